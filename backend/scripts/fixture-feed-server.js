@@ -0,0 +1,53 @@
+/**
+ * Fixture Feed Server
+ * 
+ * Serves the sample feeds in fixtures/feeds over HTTP so ingestion can be
+ * exercised locally without touching real publishers:
+ * 
+ *   npm run fixtures:feeds
+ *   FEEDS_CONFIG=fixtures/feeds/feeds.fixture.json npm start
+ * 
+ * Responses carry an ETag, so conditional polling (304) is covered too.
+ */
+
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join, basename } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = join(__dirname, '../fixtures/feeds');
+const PORT = process.env.FIXTURE_PORT || 4010;
+
+const CONTENT_TYPES = {
+    '.xml': 'application/xml; charset=utf-8',
+    '.json': 'application/feed+json; charset=utf-8'
+};
+
+const server = createServer(async (req, res) => {
+    const file = basename(new URL(req.url, 'http://localhost').pathname);
+    const extension = file.slice(file.lastIndexOf('.'));
+
+    try {
+        const body = await readFile(join(FIXTURE_DIR, file));
+        const etag = `"${createHash('sha1').update(body).digest('hex')}"`;
+
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag });
+            return res.end();
+        }
+
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extension] || 'text/plain', ETag: etag });
+        res.end(body);
+    } catch {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    }
+
+    console.log(`[Fixtures] ${req.method} ${req.url} → ${res.statusCode}`);
+});
+
+server.listen(PORT, () => {
+    console.log(`[Fixtures] Serving ${FIXTURE_DIR} on http://localhost:${PORT}`);
+});
@@ -0,0 +1,282 @@
+/**
+ * Database Migrations
+ * 
+ * Ordered schema changes for the SQLite database. Each entry runs exactly
+ * once (tracked in schema_migrations) inside a transaction.
+ * 
+ * Append new migrations to the end - never edit one that has shipped.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SEED_DATA_PATH = join(__dirname, '../data/financial-content.json');
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'create_articles',
+        up(db) {
+            db.exec(`
+                CREATE TABLE articles (
+                    id TEXT PRIMARY KEY,
+                    headline TEXT NOT NULL,
+                    headline_key TEXT,
+                    content TEXT NOT NULL,
+                    source TEXT NOT NULL,
+                    source_type TEXT NOT NULL,
+                    timestamp TEXT NOT NULL,
+                    sector TEXT,
+                    url TEXT,
+                    feed_id TEXT,
+                    extra TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                );
+
+                CREATE TABLE article_companies (
+                    article_id TEXT NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+                    ticker TEXT NOT NULL,
+                    PRIMARY KEY (article_id, ticker)
+                );
+
+                CREATE INDEX idx_articles_timestamp ON articles(timestamp);
+                CREATE INDEX idx_articles_sector ON articles(sector);
+                CREATE INDEX idx_articles_source ON articles(source);
+                CREATE INDEX idx_articles_headline_key ON articles(headline_key);
+                CREATE INDEX idx_article_companies_ticker ON article_companies(ticker);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'import_seed_json',
+        up(db) {
+            // One-time import of the curated JSON corpus
+            const { articles } = JSON.parse(readFileSync(SEED_DATA_PATH, 'utf-8'));
+            const now = new Date().toISOString();
+
+            const insertArticle = db.prepare(`
+                INSERT OR IGNORE INTO articles
+                    (id, headline, headline_key, content, source, source_type, timestamp, sector, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            const insertCompany = db.prepare('INSERT OR IGNORE INTO article_companies (article_id, ticker) VALUES (?, ?)');
+
+            for (const a of articles) {
+                // Same key as article-store normalizeHeadline()
+                const headlineKey = a.headline.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+                insertArticle.run(a.id, a.headline, headlineKey, a.content, a.source, a.sourceType, a.timestamp, a.sector, now, now);
+                for (const ticker of a.companies || []) insertCompany.run(a.id, ticker);
+            }
+        }
+    },
+    {
+        version: 3,
+        name: 'add_article_retraction',
+        up(db) {
+            // Soft delete: retracted articles leave retrieval but stay auditable
+            db.exec(`
+                ALTER TABLE articles ADD COLUMN retracted_at TEXT;
+                ALTER TABLE articles ADD COLUMN retraction_reason TEXT;
+                CREATE INDEX idx_articles_retracted_at ON articles(retracted_at);
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: 'create_watchlists',
+        up(db) {
+            db.exec(`
+                CREATE TABLE watchlists (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    items TEXT NOT NULL,
+                    options TEXT,
+                    interval_minutes INTEGER NOT NULL,
+                    sentiment_threshold REAL NOT NULL,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    last_run_at TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                );
+
+                CREATE TABLE watchlist_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    watchlist_id TEXT NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+                    item TEXT NOT NULL,
+                    run_at TEXT NOT NULL,
+                    success INTEGER NOT NULL,
+                    sentiment TEXT,
+                    sentiment_score REAL,
+                    confidence TEXT,
+                    source_ids TEXT NOT NULL,
+                    official_source_ids TEXT NOT NULL,
+                    message TEXT
+                );
+
+                CREATE TABLE watchlist_alerts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    watchlist_id TEXT NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+                    run_id INTEGER NOT NULL REFERENCES watchlist_runs(id) ON DELETE CASCADE,
+                    item TEXT NOT NULL,
+                    type TEXT NOT NULL,
+                    message TEXT NOT NULL,
+                    details TEXT,
+                    created_at TEXT NOT NULL,
+                    acknowledged_at TEXT
+                );
+
+                CREATE INDEX idx_watchlist_runs_item ON watchlist_runs(watchlist_id, item, run_at);
+                CREATE INDEX idx_watchlist_alerts_created ON watchlist_alerts(created_at);
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'create_webhooks',
+        up(db) {
+            db.exec(`
+                CREATE TABLE webhook_subscriptions (
+                    id TEXT PRIMARY KEY,
+                    url TEXT NOT NULL,
+                    secret TEXT NOT NULL,
+                    events TEXT NOT NULL,
+                    description TEXT,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                );
+
+                CREATE TABLE webhook_deliveries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    subscription_id TEXT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+                    event_id TEXT NOT NULL,
+                    event TEXT NOT NULL,
+                    payload TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    next_attempt_at TEXT,
+                    last_attempt_at TEXT,
+                    response_status INTEGER,
+                    last_error TEXT,
+                    created_at TEXT NOT NULL,
+                    delivered_at TEXT
+                );
+
+                CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+                CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, id);
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'create_analyses',
+        up(db) {
+            db.exec(`
+                CREATE TABLE analyses (
+                    id TEXT PRIMARY KEY,
+                    query TEXT NOT NULL,
+                    success INTEGER NOT NULL,
+                    sentiment TEXT,
+                    sentiment_score REAL,
+                    confidence TEXT,
+                    source_count INTEGER NOT NULL,
+                    options TEXT,
+                    response TEXT NOT NULL,
+                    created_at TEXT NOT NULL
+                );
+
+                CREATE TABLE analysis_tickers (
+                    analysis_id TEXT NOT NULL REFERENCES analyses(id) ON DELETE CASCADE,
+                    ticker TEXT NOT NULL,
+                    PRIMARY KEY (analysis_id, ticker)
+                );
+
+                CREATE INDEX idx_analyses_created ON analyses(created_at);
+                CREATE INDEX idx_analyses_success ON analyses(success, created_at);
+                CREATE INDEX idx_analysis_tickers_ticker ON analysis_tickers(ticker);
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: 'create_entity_overrides',
+        up(db) {
+            db.exec(`
+                CREATE TABLE entity_overrides (
+                    ticker TEXT PRIMARY KEY,
+                    data TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                );
+            `);
+        }
+    },
+    {
+        version: 8,
+        name: 'create_source_registry',
+        up(db) {
+            db.exec(`
+                CREATE TABLE source_overrides (
+                    name_key TEXT PRIMARY KEY,
+                    data TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                );
+
+                CREATE TABLE source_review_queue (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    source_key TEXT NOT NULL UNIQUE,
+                    source TEXT NOT NULL,
+                    suggested_type TEXT,
+                    feed_id TEXT,
+                    sample_headline TEXT,
+                    seen_count INTEGER NOT NULL DEFAULT 1,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    first_seen_at TEXT NOT NULL,
+                    last_seen_at TEXT NOT NULL,
+                    resolved_at TEXT
+                );
+
+                CREATE INDEX idx_source_review_status ON source_review_queue(status, seen_count);
+            `);
+        }
+    },
+    {
+        version: 9,
+        name: 'create_claim_outcomes',
+        up(db) {
+            db.exec(`
+                CREATE TABLE claim_outcomes (
+                    claim_id TEXT PRIMARY KEY,
+                    source TEXT NOT NULL,
+                    evidence_id TEXT NOT NULL,
+                    outcome TEXT NOT NULL,
+                    topic_overlap REAL NOT NULL,
+                    claim_timestamp TEXT NOT NULL,
+                    resolved_at TEXT NOT NULL
+                );
+
+                CREATE INDEX idx_claim_outcomes_source ON claim_outcomes(source);
+            `);
+        }
+    },
+    {
+        version: 10,
+        name: 'create_article_facts',
+        up(db) {
+            db.exec(`
+                CREATE TABLE article_facts (
+                    article_id TEXT PRIMARY KEY,
+                    facts TEXT NOT NULL,
+                    extracted_at TEXT NOT NULL
+                );
+            `);
+        }
+    }
+];
+
+export default MIGRATIONS;
@@ -11,14 +11,27 @@
  * - Grounded Claude API calls (no hallucination)
  */
 
-import dotenv from 'dotenv';
-dotenv.config();
+// Load environment variables from .env first: imports below run before the
+// rest of this file, and some of them open the article store and database
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import analyzeRouter from './routes/analyze.js';
-
-// Load environment variables from .env file
-dotenv.config();
+import ingestionRouter from './routes/ingestion.js';
+import articlesRouter from './routes/articles.js';
+import searchRouter from './routes/search.js';
+import watchlistsRouter from './routes/watchlists.js';
+import webhooksRouter from './routes/webhooks.js';
+import analysesRouter from './routes/analyses.js';
+import entitiesRouter from './routes/entities.js';
+import sourceRegistryRouter from './routes/source-registry.js';
+import storiesRouter from './routes/stories.js';
+import { startIngestion } from './services/ingestion.js';
+import { startWatchlists } from './services/watchlists.js';
+import { startWebhooks } from './services/webhooks.js';
+import { backfillTrackRecords } from './services/track-record.js';
+import { backfillFacts } from './services/fact-extraction.js';
+import { getProviderChain } from './services/llm-providers.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -32,7 +45,7 @@ app.use(cors({
   origin: [
     'https://monitor110-ai-intelligence.vercel.app'
   ],
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
@@ -59,6 +72,33 @@ app.get('/health', (req, res) => {
 // Main analysis endpoint - handles all market intelligence requests
 app.use('/api', analyzeRouter);
 
+// Stored analysis history
+app.use('/api', analysesRouter);
+
+// Entity registry and per-ticker / per-sector sentiment series
+app.use('/api', entitiesRouter);
+
+// Source registry for credibility scoring and its review queue
+app.use('/api', sourceRegistryRouter);
+
+// Feed ingestion status and manual trigger
+app.use('/api', ingestionRouter);
+
+// Article management (create, replace, retract, bulk import)
+app.use('/api', articlesRouter);
+
+// Faceted evidence search (no LLM call)
+app.use('/api', searchRouter);
+
+// Related articles clustered into stories
+app.use('/api', storiesRouter);
+
+// Watchlists, scheduled re-analysis and alerts
+app.use('/api', watchlistsRouter);
+
+// Outbound webhook subscriptions and delivery log
+app.use('/api', webhooksRouter);
+
 // =============================================================================
 // ERROR HANDLING
 // =============================================================================
@@ -93,11 +133,35 @@ const server = app.listen(PORT, () => {
 ╚═══════════════════════════════════════════════════════════╝
   `);
 
-    // Check if Gemini API key is configured
-   if (!process.env.GROQ_API_KEY) {
-  console.warn('⚠️  WARNING: GROQ_API_KEY not set.');
-  console.warn('   LLM analysis will run in MOCK mode.');
-}
+    // Check that at least one LLM provider is configured
+    const providers = getProviderChain();
+    if (providers.length === 0) {
+        console.warn('⚠️  WARNING: No LLM provider configured (GROQ_API_KEY, GEMINI_API_KEY or LOCAL_LLM_URL).');
+        console.warn('   Analysis will fall back to the offline extractive analyzer.');
+    } else {
+        console.log(`   LLM providers: ${providers.map(p => `${p.name}/${p.model}`).join(' → ')}`);
+    }
+
+    // Settle source claims against official articles already in the store
+    backfillTrackRecords();
+
+    // Extract key figures from articles stored before fact extraction ran
+    backfillFacts();
+
+    // Start polling configured feeds (set INGESTION_ENABLED=false to disable)
+    if (process.env.INGESTION_ENABLED !== 'false') {
+        startIngestion();
+    }
+
+    // Re-run due watchlists (set WATCHLISTS_ENABLED=false to disable)
+    if (process.env.WATCHLISTS_ENABLED !== 'false') {
+        startWatchlists();
+    }
+
+    // Send queued webhook deliveries (set WEBHOOKS_ENABLED=false to only queue them)
+    if (process.env.WEBHOOKS_ENABLED !== 'false') {
+        startWebhooks();
+    }
 
 });
 
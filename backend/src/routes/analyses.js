@@ -0,0 +1,79 @@
+/**
+ * Analysis History Routes
+ *
+ * GET /api/analyses      - Stored analyses, newest first (summaries)
+ * GET /api/analyses/:id  - One stored analysis: the exact /api/analyze response
+ *
+ * Filters: ?q=tesla&ticker=TSLA&sentiment=NEGATIVE&success=true&from=&to=&window=7d&limit=50&offset=0
+ *
+ * `success` defaults to true (responses that produced an analysis); pass
+ * false for failed and no-content responses, or all for both.
+ */
+
+import { Router } from 'express';
+import { SENTIMENTS, listAnalyses, getAnalysis } from '../services/analysis-history.js';
+import { resolveTimeWindow, TimeWindowError } from '../services/time-window.js';
+
+const router = Router();
+
+const SUCCESS_FILTERS = { true: true, false: false, all: null };
+
+/**
+ * GET /api/analyses
+ */
+router.get('/analyses', (req, res, next) => {
+    try {
+        const { q, ticker, sentiment, success = 'true', limit = 50, offset = 0 } = req.query;
+
+        if (!Object.hasOwn(SUCCESS_FILTERS, String(success))) {
+            return res.status(400).json({ success: false, error: 'success must be one of: true, false, all' });
+        }
+        if (sentiment && !SENTIMENTS.includes(String(sentiment).toUpperCase())) {
+            return res.status(400).json({ success: false, error: `sentiment must be one of: ${SENTIMENTS.join(', ')}` });
+        }
+        const pageSize = Number(limit);
+        const skip = Number(offset);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || !Number.isInteger(skip) || skip < 0) {
+            return res.status(400).json({ success: false, error: 'limit must be a positive integer and offset a non-negative integer' });
+        }
+
+        let timeWindow;
+        try {
+            timeWindow = resolveTimeWindow(req.query);
+        } catch (error) {
+            if (!(error instanceof TimeWindowError)) throw error;
+            return res.status(400).json({ success: false, error: error.message, errorType: error.code });
+        }
+
+        const { total, analyses } = listAnalyses({
+            q: q ? String(q).trim() : null,
+            ticker: ticker ? String(ticker).trim() : null,
+            sentiment: sentiment ? String(sentiment) : null,
+            success: SUCCESS_FILTERS[String(success)],
+            timeWindow,
+            limit: pageSize,
+            offset: skip
+        });
+
+        res.json({ total, limit: Math.min(pageSize, 500), offset: skip, analyses });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/analyses/:id
+ */
+router.get('/analyses/:id', (req, res, next) => {
+    try {
+        const analysis = getAnalysis(req.params.id);
+        if (!analysis) {
+            return res.status(404).json({ success: false, error: `Analysis ${req.params.id} not found` });
+        }
+        res.json(analysis);
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
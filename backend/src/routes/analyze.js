@@ -2,29 +2,94 @@
  * Analyze Route
  * 
  * POST /api/analyze
+ * POST /api/analyze/stream (also GET, for EventSource clients)
  * 
  * The main endpoint for market intelligence analysis.
- * Orchestrates the full RAG-style pipeline:
+ * Orchestrates the full RAG-style pipeline (services/analysis-pipeline.js):
  * 
  * 1. RETRIEVE - Find relevant documents based on query
  * 2. FILTER - Apply credibility thresholds
  * 3. DEDUPE - Remove near-duplicate content
  * 4. RELEVANCE CHECK - Verify query matches documents (GUARDRAIL)
- * 5. ANALYZE - Send to Gemini with grounded prompt
- * 6. RESPOND - Return structured, explainable results
+ * 5. ANALYZE - Send to the LLM provider chain with grounded prompt
+ * 6. VERIFY - Check every cited source exists and supports its claim
+ * 7. RESPOND - Return structured, explainable results
+ * 
+ * The streaming variant reports each stage as it completes and the LLM
+ * narrative token by token, over Server-Sent Events.
+ * 
+ * Both variants store the result in the analysis history (GET /api/analyses)
+ * and emit an analysis.completed webhook with the response body, or
+ * analysis.failed when no analysis came out of it.
  * 
  * This endpoint is the heart of the Monitor110 revival.
  */
 
 import { Router } from 'express';
-import { retrieveRelevantContent } from '../services/retrieval.js';
-import { filterByCredibility, getCredibilityBreakdown, sortByCredibility } from '../services/credibility.js';
-import { deduplicateArticles } from '../services/deduplication.js';
-import { analyzeWithLLM, generateMockAnalysis } from '../services/gemini.js';
-import { evaluateRelevance, generateNotRelevantResponse } from '../services/relevance.js';
+import { getAllArticles } from '../services/retrieval.js';
+import { runAnalysisPipeline, validateAnalysisOptions } from '../services/analysis-pipeline.js';
+import { getProviderChain } from '../services/llm-providers.js';
+import { TimeWindowError } from '../services/time-window.js';
+import { emitAnalysisEvent } from '../services/webhooks.js';
+import { saveAnalysis } from '../services/analysis-history.js';
 
 const router = Router();
 
+// Keeps proxies from closing an SSE connection while the LLM is thinking
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Shared request validation for both analyze endpoints
+ *
+ * @returns {Object|null} 400 response body, or null if query and options are usable
+ */
+function validateRequest(query, options) {
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+        return {
+            success: false,
+            error: 'Query is required and must be a non-empty string',
+            example: { query: 'Apple earnings Q4', options: { maxSources: 5 } }
+        };
+    }
+
+    const { valid, errors } = validateAnalysisOptions(options);
+    if (!valid) {
+        return {
+            success: false,
+            error: 'Invalid options',
+            errors,
+            example: { query: 'Apple earnings Q4', options: { maxSources: 5, companies: ['AAPL'] } }
+        };
+    }
+    return null;
+}
+
+/**
+ * Store a finished analysis and announce it. History is best-effort: if the
+ * database write fails the caller still gets its answer, just without an ID.
+ *
+ * @returns {Object} The response body, with `id` when it was stored
+ */
+function recordAnalysis(body, options) {
+    let recorded = body;
+    try {
+        recorded = saveAnalysis(body, options);
+    } catch (error) {
+        console.warn(`[Analyze] Could not store analysis: ${error.message}`);
+    }
+    emitAnalysisEvent(recorded);
+    return recorded;
+}
+
+function timeWindowErrorBody(error) {
+    return {
+        success: false,
+        error: error.message,
+        errorType: error.code,
+        example: { query: 'Apple earnings Q4', options: { window: '7d' } }
+    };
+}
+
 /**
  * POST /api/analyze
  * 
@@ -35,212 +100,144 @@ const router = Router();
  *     "maxSources": number (default: 8),
  *     "minCredibility": number 0-1 (default: 0.4),
  *     "companies": ["AAPL", "MSFT"] (optional filter),
- *     "useMock": boolean (default: false, use mock Gemini response)
+ *     "retrievalMode": "hybrid" | "lexical" | "semantic" (default: "hybrid"),
+ *     "from": ISO date or relative duration like "7d" (optional),
+ *     "to": ISO date (optional),
+ *     "window": relative duration ending at `to`/now, e.g. "24h" (optional),
+ *     "halfLife": recency half-life in hours or a duration like "3d" (default: RECENCY_HALF_LIFE_HOURS),
+ *     "useMock": boolean (default: false, use the offline analyzer instead of an LLM)
  *   }
  * }
  * 
  * Response:
  * {
+ *   "id": "an-... - stored analysis ID (GET /api/analyses/:id)",
  *   "success": boolean,
  *   "query": "original query",
- *   "analysis": { ... Gemini's structured analysis ... },
+ *   "analysis": { ... the LLM's structured analysis ... },
  *   "sources": [ ... filtered/deduped sources used ... ],
  *   "pipeline": { ... metadata about each processing step ... },
  *   "timestamp": "ISO timestamp"
  * }
  */
 router.post('/analyze', async (req, res) => {
-    const startTime = Date.now();
-
     try {
-        // ==========================================================================
-        // 1. VALIDATE INPUT
-        // ==========================================================================
-        const { query, options = {} } = req.body;
+        const { query, options } = req.body;
 
-        if (!query || typeof query !== 'string' || query.trim().length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Query is required and must be a non-empty string',
-                example: { query: 'Apple earnings Q4', options: { maxSources: 5 } }
-            });
-        }
+        const invalid = validateRequest(query, options);
+        if (invalid) return res.status(400).json(invalid);
 
-        // Extract options with defaults
-        const {
-            maxSources = 8,
-            minCredibility = 0.4,
-            companies = [],
-            useMock = false
-        } = options;
+        const { status, body } = await runAnalysisPipeline(query, options ?? {});
+        res.status(status).json(recordAnalysis(body, options ?? {}));
 
-        console.log(`\n${'='.repeat(60)}`);
-        console.log(`[Analyze] New request: "${query}"`);
-        console.log(`[Analyze] Options: maxSources=${maxSources}, minCredibility=${minCredibility}`);
-        console.log('='.repeat(60));
-
-        // ==========================================================================
-        // 2. RETRIEVE RELEVANT CONTENT
-        // ==========================================================================
-        const retrieved = retrieveRelevantContent(query, {
-            maxResults: maxSources * 2, // Retrieve more to account for filtering
-            companies
-        });
-
-        if (retrieved.length === 0) {
-            return res.json({
-                success: true,
-                query: query,
-                analysis: null,
-                message: 'No relevant content found for this query. Try different keywords or company names.',
-                sources: [],
-                pipeline: {
-                    retrieved: 0,
-                    filtered: 0,
-                    deduplicated: 0,
-                    processingTimeMs: Date.now() - startTime
-                },
-                timestamp: new Date().toISOString()
-            });
+    } catch (error) {
+        if (error instanceof TimeWindowError) {
+            return res.status(400).json(timeWindowErrorBody(error));
         }
+        console.error('[Analyze] Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Analysis failed',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
 
-        // ==========================================================================
-        // 3. FILTER BY CREDIBILITY
-        // ==========================================================================
-        const credibleSources = filterByCredibility(retrieved, minCredibility);
+/**
+ * Read query + options for the streaming endpoint: JSON body on POST,
+ * query string on GET (EventSource cannot send a body)
+ */
+function readStreamRequest(req) {
+    if (req.method === 'POST') {
+        return { query: req.body?.query, options: req.body?.options };
+    }
 
-        if (credibleSources.length === 0) {
-            return res.json({
-                success: true,
-                query: query,
-                analysis: null,
-                message: 'Found content but all sources below credibility threshold. Try lowering minCredibility.',
-                sources: [],
-                pipeline: {
-                    retrieved: retrieved.length,
-                    filtered: 0,
-                    filteredOutReason: `All ${retrieved.length} sources below ${minCredibility} credibility`,
-                    deduplicated: 0,
-                    processingTimeMs: Date.now() - startTime
-                },
-                timestamp: new Date().toISOString()
-            });
+    const { query, q, companies, maxSources, minCredibility, useMock, ...rest } = req.query;
+    return {
+        query: query || q,
+        options: {
+            ...rest,
+            ...(companies ? { companies: String(companies).split(',').map(c => c.trim()).filter(Boolean) } : {}),
+            ...(maxSources ? { maxSources: Number(maxSources) } : {}),
+            ...(minCredibility ? { minCredibility: Number(minCredibility) } : {}),
+            useMock: useMock === 'true'
         }
+    };
+}
 
-        // ==========================================================================
-        // 4. DEDUPLICATE CONTENT
-        // ==========================================================================
-        const { unique: dedupedSources, duplicates } = deduplicateArticles(credibleSources);
-
-        // Limit to maxSources after deduplication
-        const finalSources = sortByCredibility(dedupedSources).slice(0, maxSources);
+/**
+ * POST|GET /api/analyze/stream
+ *
+ * Same input as POST /api/analyze. Responds with text/event-stream:
+ *
+ *   event: stage    data: { stage, elapsedMs, ...stage data }   (retrieve, filter,
+ *                   dedupe, relevance, analyze, verify - each once, in order)
+ *   event: token    data: { text }       LLM narrative, as it is generated
+ *   event: restart  data: {}             discard streamed narrative (failover/re-ask)
+ *   event: result   data: { status, ...the exact POST /api/analyze response }
+ *   event: error    data: { error, errorType }
+ *
+ * Closing the connection aborts the LLM call.
+ */
+async function streamAnalysis(req, res) {
+    const { query, options: rawOptions } = readStreamRequest(req);
 
-        // ==========================================================================
-        // 5. RELEVANCE GUARDRAIL - Verify query matches document topic
-        // ==========================================================================
-        const relevanceResult = evaluateRelevance(query, finalSources);
+    const invalid = validateRequest(query, rawOptions);
+    if (invalid) return res.status(400).json(invalid);
+    const options = rawOptions ?? {};
 
-        // If query is not relevant to retrieved documents, return safe neutral response
-        if (!relevanceResult.isRelevant) {
-            console.log(`[Analyze] Relevance guardrail triggered: ${relevanceResult.reason}`);
-            const safeResponse = generateNotRelevantResponse(query, relevanceResult);
+    const startTime = Date.now();
+    const controller = new AbortController();
 
-            return res.json({
-                ...safeResponse,
-                query: query,
-                sources: [],
-                credibilityBreakdown: null,
-                pipeline: {
-                    retrieved: retrieved.length,
-                    afterCredibilityFilter: credibleSources.length,
-                    afterDeduplication: dedupedSources.length,
-                    duplicatesRemoved: duplicates.length,
-                    finalSourcesUsed: 0,
-                    relevanceFiltered: true,
-                    relevanceReason: relevanceResult.reason,
-                    averageRelevanceScore: relevanceResult.averageRelevance,
-                    processingTimeMs: Date.now() - startTime,
-                    usedMockResponse: false
-                },
-                timestamp: new Date().toISOString()
-            });
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log('[Analyze] Stream client disconnected - aborting');
+            controller.abort();
         }
+    });
 
-        // ==========================================================================
-        // 6. GET CREDIBILITY BREAKDOWN (for Gemini context)
-        // ==========================================================================
-        const credibilityBreakdown = getCredibilityBreakdown(finalSources);
-
-        // ==========================================================================
-        // 7. GENERATE ANALYSIS WITH GEMINI
-        // ==========================================================================
-        let result;
-
-        // Check if we should use mock mode
-        const shouldUseMock = useMock;
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Disable response buffering in nginx-style proxies
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
 
+    const send = (event, data) => {
+        if (controller.signal.aborted) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const heartbeat = setInterval(() => {
+        if (!controller.signal.aborted) res.write(': keep-alive\n\n');
+    }, SSE_HEARTBEAT_MS);
 
-        if (shouldUseMock) {
-            console.log('[Analyze] Using MOCK Gemini response');
-            result = generateMockAnalysis(query, finalSources);
+    try {
+        const { status, body } = await runAnalysisPipeline(query, options, {
+            signal: controller.signal,
+            onStage: (stage, data) => send('stage', { stage, elapsedMs: Date.now() - startTime, ...data }),
+            onNarrative: text => send('token', { text }),
+            onNarrativeRestart: () => send('restart', {})
+        });
+        send('result', { status, ...recordAnalysis(body, options) });
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        if (error instanceof TimeWindowError) {
+            send('error', timeWindowErrorBody(error));
         } else {
-            result = await analyzeWithLLM(query, finalSources);
-
+            console.error('[Analyze] Stream error:', error);
+            send('error', { success: false, error: 'Analysis failed', message: error.message });
         }
-
-        // ==========================================================================
-        // 8. PREPARE RESPONSE
-        // ==========================================================================
-        const processingTimeMs = Date.now() - startTime;
-
-        // Prepare source summary for response (don't send full content)
-        const sourceSummary = finalSources.map(source => ({
-            id: source.id,
-            headline: source.headline,
-            source: source.source,
-            sourceType: source.sourceType,
-            credibility: source.credibility,
-            timestamp: source.timestamp,
-            companies: source.companies
-        }));
-
-        const response = {
-            success: result.success,
-            query: query,
-            analysis: result.analysis,
-            error: result.error || null,
-            sources: sourceSummary,
-            credibilityBreakdown: credibilityBreakdown,
-            pipeline: {
-                retrieved: retrieved.length,
-                afterCredibilityFilter: credibleSources.length,
-                afterDeduplication: dedupedSources.length,
-                duplicatesRemoved: duplicates.length,
-                finalSourcesUsed: finalSources.length,
-                relevanceFiltered: false,
-                averageRelevanceScore: relevanceResult.averageRelevance,
-                processingTimeMs: processingTimeMs,
-                usedMockResponse: shouldUseMock
-            },
-            metadata: result.metadata,
-            timestamp: new Date().toISOString()
-        };
-
-        console.log(`[Analyze] Complete in ${processingTimeMs}ms`);
-        console.log(`[Analyze] Pipeline: ${retrieved.length} → ${credibleSources.length} → ${finalSources.length} sources`);
-
-        res.json(response);
-
-    } catch (error) {
-        console.error('[Analyze] Error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Analysis failed',
-            message: error.message,
-            timestamp: new Date().toISOString()
-        });
+    } finally {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) res.end();
     }
-});
+}
+
+router.post('/analyze/stream', streamAnalysis);
+router.get('/analyze/stream', streamAnalysis);
 
 /**
  * GET /api/analyze/health
@@ -250,26 +247,27 @@ router.get('/analyze/health', (req, res) => {
     res.json({
         status: 'healthy',
         endpoint: '/api/analyze',
-        hasApiKey: !!process.env.GEMINI_API_KEY,
+        providers: getProviderChain().map(p => ({ name: p.name, model: p.model })),
         timestamp: new Date().toISOString()
     });
 });
 
 /**
  * GET /api/sources
- * List available data sources for debugging/demo
+ * Corpus overview for debugging/demo (use /api/search to browse articles)
  */
 router.get('/sources', (req, res) => {
-    const { retrieveRelevantContent, getAllArticles } = require('../services/retrieval.js');
     const articles = getAllArticles();
+    const timestamps = articles.map(a => a.timestamp).sort();
 
     res.json({
         totalArticles: articles.length,
-        companies: [...new Set(articles.flatMap(a => a.companies))],
-        sourceTypes: [...new Set(articles.map(a => a.sourceType))],
+        companies: [...new Set(articles.flatMap(a => a.companies || []))].sort(),
+        sectors: [...new Set(articles.map(a => a.sector).filter(Boolean))].sort(),
+        sourceTypes: [...new Set(articles.map(a => a.sourceType))].sort(),
         dateRange: {
-            earliest: articles.reduce((min, a) => a.timestamp < min ? a.timestamp : min, articles[0].timestamp),
-            latest: articles.reduce((max, a) => a.timestamp > max ? a.timestamp : max, articles[0].timestamp)
+            earliest: timestamps[0] || null,
+            latest: timestamps[timestamps.length - 1] || null
         }
     });
 });
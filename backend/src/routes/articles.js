@@ -0,0 +1,194 @@
+/**
+ * Article Management Routes
+ *
+ * GET    /api/articles/:id      - One article with its extracted facts (retracted ones included, flagged)
+ * POST   /api/articles          - Add an article
+ * PUT    /api/articles/:id      - Replace an article
+ * DELETE /api/articles/:id      - Retract an article (soft delete)
+ * POST   /api/articles/import   - Bulk import, one JSON article per line (NDJSON)
+ *
+ * Every write goes through validateArticle() and then addArticles(), so new
+ * and corrected articles are searchable immediately. Articles that did not
+ * exist before also go out as article.ingested webhooks.
+ *
+ * DELETE never removes the row: the article is marked retracted, dropped
+ * from both search indexes and from source track records, and kept in the store so analyses that cited it
+ * can still be audited. A retracted ID is read-only on every backend:
+ * PUT answers 409, import lines for it fail, and the store itself skips
+ * writes to it (nothing retracted is indexed again).
+ */
+
+import express, { Router } from 'express';
+import { addArticles, retractArticle } from '../services/retrieval.js';
+import { getArticleById } from '../services/article-store.js';
+import { validateArticle } from '../services/article-validation.js';
+import { emitArticlesIngested } from '../services/webhooks.js';
+import { resolveClaims, forgetArticle } from '../services/track-record.js';
+import { getFactsForArticles } from '../services/fact-extraction.js';
+
+const router = Router();
+
+// Bulk imports can be far larger than the default 100kb JSON body
+const ndjsonBody = express.text({ type: ['application/x-ndjson', 'application/jsonl', 'text/plain'], limit: '5mb' });
+
+/**
+ * POST /api/articles/import
+ *
+ * Body: one article JSON object per line. Valid lines are imported even if
+ * others fail; failures are reported by line number.
+ *
+ * Response: { imported, failed: [{ line, errors }], ids }
+ */
+router.post('/articles/import', ndjsonBody, (req, res, next) => {
+    try {
+        if (typeof req.body !== 'string' || req.body.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Request body must be NDJSON (Content-Type: application/x-ndjson), one article per line'
+            });
+        }
+
+        const valid = [];
+        const failed = [];
+        const added = [];
+        const seenIds = new Set();
+
+        req.body.split(/\r?\n/).forEach((line, index) => {
+            if (line.trim().length === 0) return;
+            const lineNumber = index + 1;
+
+            let input;
+            try {
+                input = JSON.parse(line);
+            } catch (error) {
+                failed.push({ line: lineNumber, errors: [`Invalid JSON: ${error.message}`] });
+                return;
+            }
+
+            const { valid: ok, errors, value } = validateArticle(input);
+            if (!ok) {
+                failed.push({ line: lineNumber, errors });
+            } else if (seenIds.has(value.id)) {
+                failed.push({ line: lineNumber, errors: [`Duplicate id ${value.id} in this import`] });
+            } else if (getArticleById(value.id)?.retractedAt) {
+                failed.push({ line: lineNumber, errors: [`Article ${value.id} is retracted and cannot be overwritten`] });
+            } else {
+                seenIds.add(value.id);
+                valid.push(value);
+                if (!getArticleById(value.id)) added.push(value);
+            }
+        });
+
+        if (valid.length > 0) addArticles(valid);
+        emitArticlesIngested(added);
+        resolveClaims(added);
+
+        console.log(`[Articles] Import: ${valid.length} imported, ${failed.length} failed`);
+
+        res.status(valid.length > 0 || failed.length === 0 ? 200 : 400).json({
+            success: failed.length === 0,
+            imported: valid.length,
+            failed,
+            ids: valid.map(a => a.id),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/articles/:id
+ */
+router.get('/articles/:id', (req, res) => {
+    const article = getArticleById(req.params.id);
+    if (!article) {
+        return res.status(404).json({ success: false, error: `Article ${req.params.id} not found` });
+    }
+
+    res.json({
+        article: { ...article, retracted: Boolean(article.retractedAt) },
+        facts: getFactsForArticles([article])
+    });
+});
+
+/**
+ * POST /api/articles
+ * Body: { headline, content, source, sourceType, timestamp, companies?, sector?, url?, id? }
+ */
+router.post('/articles', (req, res, next) => {
+    try {
+        const { valid, errors, value } = validateArticle(req.body);
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid article', errors });
+        }
+        if (getArticleById(value.id)) {
+            return res.status(409).json({
+                success: false,
+                error: `Article ${value.id} already exists - use PUT /api/articles/${value.id} to replace it`
+            });
+        }
+
+        addArticles([value]);
+        emitArticlesIngested([value]);
+        resolveClaims([value]);
+        res.status(201).json({ success: true, article: value });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/articles/:id
+ * Full replacement; the ID always comes from the path
+ */
+router.put('/articles/:id', (req, res, next) => {
+    try {
+        const existing = getArticleById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: `Article ${req.params.id} not found` });
+        }
+        if (existing.retractedAt) {
+            return res.status(409).json({
+                success: false,
+                error: `Article ${req.params.id} is retracted and kept unchanged for audit`
+            });
+        }
+
+        const { valid, errors, value } = validateArticle(req.body, { id: req.params.id });
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid article', errors });
+        }
+
+        addArticles([value]);
+        res.json({ success: true, article: value });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/articles/:id
+ * Optional retraction reason in the body ({ reason }) or query (?reason=)
+ */
+router.delete('/articles/:id', (req, res, next) => {
+    try {
+        const existing = getArticleById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: `Article ${req.params.id} not found` });
+        }
+        if (existing.retractedAt) {
+            return res.json({ success: true, alreadyRetracted: true, article: { ...existing, retracted: true } });
+        }
+
+        const reason = req.body?.reason || req.query.reason || null;
+        const retracted = retractArticle(req.params.id, typeof reason === 'string' ? reason.slice(0, 500) : null);
+        forgetArticle(req.params.id);
+
+        res.json({ success: true, article: { ...retracted, retracted: true } });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
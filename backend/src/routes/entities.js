@@ -0,0 +1,195 @@
+/**
+ * Entity Routes
+ *
+ * GET    /api/entities                        - Registry entries (?kind=&sector=&region=&q=)
+ * POST   /api/entities                        - Add an entity
+ * GET    /api/entities/:ticker                - One entity
+ * PUT    /api/entities/:ticker                - Replace an entity (file entries too)
+ * POST   /api/entities/:ticker/aliases        - Add aliases { aliases: ["alphabet inc"] }
+ * DELETE /api/entities/:ticker/aliases/:alias - Remove an alias
+ * GET    /api/entities/:ticker/sentiment      - Sentiment series for a ticker or sector
+ *        ?interval=day|week|month&from=&to=&window=30d
+ *
+ * Registry changes take effect immediately for query expansion, relevance
+ * and tagging of new articles; existing articles keep their tags.
+ */
+
+import { Router } from 'express';
+import { getEntitySentimentSeries } from '../services/entity-sentiment.js';
+import {
+    ENTITY_KINDS,
+    validateEntity,
+    listEntities,
+    getEntity,
+    saveEntity,
+    addAliases,
+    removeAlias
+} from '../services/entity-registry.js';
+import { getArticlesByCompany } from '../services/retrieval.js';
+import { DATE_INTERVALS } from '../services/faceted-search.js';
+import { resolveTimeWindow, TimeWindowError } from '../services/time-window.js';
+
+const router = Router();
+
+function notFound(res, ticker) {
+    return res.status(404).json({ success: false, error: `Entity ${ticker} not found` });
+}
+
+/**
+ * GET /api/entities
+ */
+router.get('/entities', (req, res, next) => {
+    try {
+        const { kind, sector, region, q } = req.query;
+        if (kind && !ENTITY_KINDS.includes(kind)) {
+            return res.status(400).json({ success: false, error: `kind must be one of: ${ENTITY_KINDS.join(', ')}` });
+        }
+
+        const entities = listEntities({
+            kind,
+            sector: sector ? String(sector).trim() : null,
+            region: region ? String(region).trim() : null,
+            q: q ? String(q).trim() : null
+        });
+        res.json({ count: entities.length, entities });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/entities
+ * Body: { ticker, name, kind?, aliases?, keywords?, sector?, region?, exchange?, peers? }
+ */
+router.post('/entities', (req, res, next) => {
+    try {
+        const { valid, errors, value } = validateEntity(req.body);
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid entity', errors });
+        }
+        if (getEntity(value.ticker)) {
+            return res.status(409).json({
+                success: false,
+                error: `Entity ${value.ticker} already exists - use PUT /api/entities/${value.ticker} to replace it`
+            });
+        }
+        res.status(201).json({ success: true, entity: saveEntity(value) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/entities/:ticker
+ * Includes how many articles are tagged with it
+ */
+router.get('/entities/:ticker', (req, res, next) => {
+    try {
+        const entity = getEntity(req.params.ticker);
+        if (!entity) return notFound(res, req.params.ticker);
+        res.json({ ...entity, articleCount: getArticlesByCompany(entity.ticker).length });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/entities/:ticker
+ * Full replacement; the ticker always comes from the path
+ */
+router.put('/entities/:ticker', (req, res, next) => {
+    try {
+        if (!getEntity(req.params.ticker)) return notFound(res, req.params.ticker);
+
+        const { valid, errors, value } = validateEntity(req.body, { ticker: req.params.ticker });
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid entity', errors });
+        }
+        res.json({ success: true, entity: saveEntity(value) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/entities/:ticker/aliases
+ * Body: { aliases: ["alphabet inc", "goog"] }
+ */
+router.post('/entities/:ticker/aliases', (req, res, next) => {
+    try {
+        const { aliases } = req.body || {};
+        if (!Array.isArray(aliases) || aliases.length === 0) {
+            return res.status(400).json({ success: false, error: 'aliases must be a non-empty array of strings' });
+        }
+
+        const { entity, errors } = addAliases(req.params.ticker, aliases);
+        if (!entity) return notFound(res, req.params.ticker);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid aliases', errors });
+        }
+        res.json({ success: true, entity });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/entities/:ticker/aliases/:alias
+ */
+router.delete('/entities/:ticker/aliases/:alias', (req, res, next) => {
+    try {
+        const entity = removeAlias(req.params.ticker, req.params.alias);
+        if (!entity) {
+            return res.status(404).json({
+                success: false,
+                error: `Entity ${req.params.ticker} has no alias "${req.params.alias}"`
+            });
+        }
+        res.json({ success: true, entity });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/entities/:ticker/sentiment
+ *
+ * Response:
+ * {
+ *   "entity": "TSLA", "kind": "ticker" | "sector" | null, "interval": "day",
+ *   "articleCount": 12,
+ *   "overall": { score, sentiment, articleCount, tierMix },
+ *   "series": [{ bucket: "2026-01-29", score, sentiment, articleCount,
+ *                tierMix: { HIGH, MEDIUM, LOW, UNVERIFIED } }]   (oldest first)
+ * }
+ */
+router.get('/entities/:ticker/sentiment', (req, res, next) => {
+    try {
+        const { interval = 'day' } = req.query;
+        if (!DATE_INTERVALS.includes(interval)) {
+            return res.status(400).json({ success: false, error: `interval must be one of: ${DATE_INTERVALS.join(', ')}` });
+        }
+
+        let timeWindow;
+        try {
+            timeWindow = resolveTimeWindow(req.query);
+        } catch (error) {
+            if (!(error instanceof TimeWindowError)) throw error;
+            return res.status(400).json({ success: false, error: error.message, errorType: error.code });
+        }
+
+        const result = getEntitySentimentSeries(req.params.ticker.trim(), { interval, timeWindow });
+        if (!result.kind) {
+            return res.status(404).json({
+                success: false,
+                error: `No articles found for ticker or sector "${req.params.ticker}"`
+            });
+        }
+
+        res.json({ ...result, timeWindow, timestamp: new Date().toISOString() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
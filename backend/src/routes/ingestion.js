@@ -0,0 +1,44 @@
+/**
+ * Ingestion Routes
+ * 
+ * GET  /api/ingestion/status - Polling state of every configured feed
+ * POST /api/ingestion/run    - Poll every feed now (outside the schedule)
+ */
+
+import { Router } from 'express';
+import { getIngestionStatus, runIngestion } from '../services/ingestion.js';
+
+const router = Router();
+
+/**
+ * GET /api/ingestion/status
+ */
+router.get('/ingestion/status', (req, res) => {
+    res.json({
+        feeds: getIngestionStatus(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * POST /api/ingestion/run
+ * Returns per-feed counts plus the IDs/headlines of newly ingested articles
+ */
+router.post('/ingestion/run', async (req, res, next) => {
+    try {
+        const results = await runIngestion();
+
+        res.json({
+            success: results.every(r => !r.error),
+            results: results.map(({ articles = [], ...result }) => ({
+                ...result,
+                newArticles: articles.map(a => ({ id: a.id, headline: a.headline, sourceType: a.sourceType }))
+            })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,88 @@
+/**
+ * Search Route
+ *
+ * GET /api/search - Ranked articles with facet counts and pagination
+ *
+ * Query parameters (all optional):
+ *   q           - Free-text query; omit to browse newest first
+ *   sector      - Comma-separated sectors, e.g. technology,crypto
+ *   sourceType  - Comma-separated source types
+ *   ticker      - Comma-separated tickers (matched against `companies`)
+ *   tier        - Comma-separated credibility tiers (HIGH, MEDIUM, LOW, UNVERIFIED)
+ *   date        - Comma-separated date bucket keys from the `date` facet
+ *   interval    - Date bucket size: day (default), week or month
+ *   from, to, window, halfLife - Time window, same as /api/analyze options
+ *   sort        - relevance (default with q), date (default without), credibility
+ *   page        - 1-based page number (default: 1)
+ *   pageSize    - Results per page (default: 20, max: 100)
+ */
+
+import { Router } from 'express';
+import { searchArticles, DATE_INTERVALS, SORT_ORDERS } from '../services/faceted-search.js';
+import { resolveTimeWindow, TimeWindowError } from '../services/time-window.js';
+
+const router = Router();
+
+function parseList(value, transform = v => v) {
+    if (value == null) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(v => String(v).trim())
+        .filter(Boolean)
+        .map(transform);
+}
+
+/**
+ * GET /api/search
+ */
+router.get('/search', (req, res, next) => {
+    try {
+        const { q = '', interval = 'day', sort, page, pageSize } = req.query;
+
+        if (!DATE_INTERVALS.includes(interval)) {
+            return res.status(400).json({ success: false, error: `interval must be one of: ${DATE_INTERVALS.join(', ')}` });
+        }
+        if (sort && !SORT_ORDERS.includes(sort)) {
+            return res.status(400).json({ success: false, error: `sort must be one of: ${SORT_ORDERS.join(', ')}` });
+        }
+
+        let timeWindow;
+        try {
+            timeWindow = resolveTimeWindow(req.query);
+        } catch (error) {
+            if (!(error instanceof TimeWindowError)) throw error;
+            return res.status(400).json({ success: false, error: error.message, errorType: error.code });
+        }
+
+        const filters = {
+            sector: parseList(req.query.sector, v => v.toLowerCase()),
+            sourceType: parseList(req.query.sourceType, v => v.toLowerCase()),
+            companies: parseList(req.query.ticker, v => v.toUpperCase()),
+            credibilityTier: parseList(req.query.tier, v => v.toUpperCase()),
+            date: parseList(req.query.date)
+        };
+
+        const result = searchArticles({
+            query: String(q).trim(),
+            filters,
+            timeWindow,
+            interval,
+            sort,
+            page: Number(page),
+            pageSize: Number(pageSize)
+        });
+
+        res.json({
+            success: true,
+            query: String(q).trim() || null,
+            filters,
+            timeWindow,
+            interval,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
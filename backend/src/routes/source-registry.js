@@ -0,0 +1,205 @@
+/**
+ * Source Registry Routes
+ *
+ * GET  /api/source-registry                     - Registry entries (?sourceType=&region=&q=)
+ * POST /api/source-registry                     - Register a source
+ * GET  /api/source-registry/review              - Unregistered sources seen by ingestion (?status=pending)
+ * POST /api/source-registry/review/:id/register - Register a queued source (body: registry entry, name optional)
+ * POST /api/source-registry/review/:id/dismiss  - Dismiss a queued source
+ * GET  /api/source-registry/:name               - One entry
+ * PUT  /api/source-registry/:name               - Replace an entry (file entries too)
+ * GET  /api/source-registry/:name/track-record  - Claims confirmed/contradicted by official sources (?limit=50)
+ *
+ * Changes apply to the next credibility score computed - stored articles
+ * are re-scored whenever they are read.
+ */
+
+import { Router } from 'express';
+import {
+    REVIEW_STATUSES,
+    validateSource,
+    listSources,
+    getSource,
+    saveSource,
+    getReviewQueue,
+    getReview,
+    dismissReview
+} from '../services/source-registry.js';
+import { CREDIBILITY_SCORES } from '../services/credibility.js';
+import { getTrackRecordHistory } from '../services/track-record.js';
+
+const router = Router();
+
+function notFound(res, name) {
+    return res.status(404).json({ success: false, error: `Source ${name} not found` });
+}
+
+function readLimit(value, fallback = 50) {
+    const limit = Number(value);
+    return Number.isFinite(limit) && limit > 0 ? Math.min(500, Math.floor(limit)) : fallback;
+}
+
+/**
+ * GET /api/source-registry
+ */
+router.get('/source-registry', (req, res, next) => {
+    try {
+        const { sourceType, region, q } = req.query;
+        if (sourceType && !CREDIBILITY_SCORES[sourceType]) {
+            return res.status(400).json({
+                success: false,
+                error: `sourceType must be one of: ${Object.keys(CREDIBILITY_SCORES).join(', ')}`
+            });
+        }
+
+        const sources = listSources({
+            sourceType,
+            region: region ? String(region).trim() : null,
+            q: q ? String(q).trim() : null
+        });
+        res.json({ count: sources.length, sources });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/source-registry
+ * Body: { name, sourceType, aliases?, adjustment?, region?, notes? }
+ */
+router.post('/source-registry', (req, res, next) => {
+    try {
+        const { valid, errors, value } = validateSource(req.body);
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid source', errors });
+        }
+        if (getSource(value.name)) {
+            return res.status(409).json({
+                success: false,
+                error: `Source ${value.name} already exists - use PUT /api/source-registry/${encodeURIComponent(value.name)} to replace it`
+            });
+        }
+        res.status(201).json({ success: true, source: saveSource(value) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/source-registry/review
+ */
+router.get('/source-registry/review', (req, res, next) => {
+    try {
+        const { status = 'pending' } = req.query;
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+        }
+        res.json({ queue: getReviewQueue({ status, limit: readLimit(req.query.limit) }) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/source-registry/review/:id/register
+ * Body: { sourceType, aliases?, adjustment?, region?, notes? } - name defaults
+ * to the queued source name
+ */
+router.post('/source-registry/review/:id/register', (req, res, next) => {
+    try {
+        const review = getReview(Number(req.params.id));
+        if (!review) {
+            return res.status(404).json({ success: false, error: `Review entry ${req.params.id} not found` });
+        }
+
+        const { valid, errors, value } = validateSource({ name: review.source, ...req.body });
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid source', errors });
+        }
+        if (getSource(value.name)) {
+            return res.status(409).json({
+                success: false,
+                error: `Source ${value.name} already exists - add "${review.source}" to its aliases with PUT /api/source-registry/${encodeURIComponent(value.name)}`
+            });
+        }
+
+        const source = saveSource({
+            ...value,
+            // Keep the spelling ingestion saw resolvable when registered under another name
+            aliases: value.name.toLowerCase() === review.source.toLowerCase() || value.aliases.includes(review.source)
+                ? value.aliases
+                : [...value.aliases, review.source]
+        });
+        res.status(201).json({ success: true, source, review: getReview(review.id) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/source-registry/review/:id/dismiss
+ */
+router.post('/source-registry/review/:id/dismiss', (req, res, next) => {
+    try {
+        if (!getReview(Number(req.params.id))) {
+            return res.status(404).json({ success: false, error: `Review entry ${req.params.id} not found` });
+        }
+        res.json({ success: true, review: dismissReview(Number(req.params.id)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/source-registry/:name
+ */
+router.get('/source-registry/:name', (req, res, next) => {
+    try {
+        const source = getSource(req.params.name);
+        if (!source) return notFound(res, req.params.name);
+        res.json(source);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/source-registry/:name
+ * Full replacement; the name always comes from the path
+ */
+router.put('/source-registry/:name', (req, res, next) => {
+    try {
+        const existing = getSource(req.params.name);
+        if (!existing) return notFound(res, req.params.name);
+
+        const { valid, errors, value } = validateSource(req.body, { name: existing.name });
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid source', errors });
+        }
+        res.json({ success: true, source: saveSource(value) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/source-registry/:name/track-record
+ * Works for unregistered sources too - records are keyed by source name
+ *
+ * Response:
+ * {
+ *   "source": "Goldman Sachs Research", "claims": 9, "confirmed": 7, "contradicted": 2,
+ *   "drift": 0.06, "maxDrift": 0.15,
+ *   "history": [{ claimId, claimHeadline, evidenceId, evidenceHeadline,
+ *                 outcome: "confirmed" | "contradicted", topicOverlap, claimedAt, resolvedAt }]
+ * }
+ */
+router.get('/source-registry/:name/track-record', (req, res, next) => {
+    try {
+        res.json(getTrackRecordHistory(req.params.name, { limit: readLimit(req.query.limit) }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+/**
+ * Story Routes
+ *
+ * GET /api/stories - Related articles grouped into events
+ *     ?window=7d&from=&to=&ticker=&sector=&minArticles=2&limit=20&similarity=0.4
+ *
+ * Stories are clustered on request from the stored corpus, so new articles
+ * join (or start) a story as soon as they are ingested.
+ */
+
+import { Router } from 'express';
+import { getStories } from '../services/story-clustering.js';
+import { resolveTimeWindow, TimeWindowError } from '../services/time-window.js';
+
+const router = Router();
+
+function readLimit(value, fallback = 20) {
+    const limit = Number(value);
+    return Number.isFinite(limit) && limit > 0 ? Math.min(100, Math.floor(limit)) : fallback;
+}
+
+/**
+ * GET /api/stories
+ *
+ * Response:
+ * {
+ *   "articleCount": 64, "total": 3,
+ *   "stories": [{ id, headline, representativeId, articleCount,
+ *                 sources: [{ name, sourceType, tier, articleCount }],
+ *                 companies, sectors, firstSeen, lastUpdated,
+ *                 credibility: { min, max, tierMix },
+ *                 articles: [{ id, headline, source, sourceType, timestamp, url, credibility }] }]
+ * }
+ */
+router.get('/stories', (req, res, next) => {
+    try {
+        const { ticker, sector, minArticles, similarity } = req.query;
+
+        const minSize = minArticles === undefined ? 2 : Number(minArticles);
+        if (!Number.isInteger(minSize) || minSize < 1) {
+            return res.status(400).json({ success: false, error: 'minArticles must be a positive integer' });
+        }
+
+        const threshold = similarity === undefined ? undefined : Number(similarity);
+        if (threshold !== undefined && !(threshold > 0 && threshold <= 1)) {
+            return res.status(400).json({ success: false, error: 'similarity must be a number between 0 and 1' });
+        }
+
+        let timeWindow;
+        try {
+            timeWindow = resolveTimeWindow(req.query);
+        } catch (error) {
+            if (!(error instanceof TimeWindowError)) throw error;
+            return res.status(400).json({ success: false, error: error.message, errorType: error.code });
+        }
+
+        const result = getStories({
+            timeWindow,
+            ticker: ticker ? String(ticker).trim() : null,
+            sector: sector ? String(sector).trim().toLowerCase() : null,
+            minArticles: minSize,
+            limit: readLimit(req.query.limit),
+            similarity: threshold
+        });
+
+        res.json({ ...result, timeWindow, timestamp: new Date().toISOString() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
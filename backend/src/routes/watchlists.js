@@ -0,0 +1,167 @@
+/**
+ * Watchlist Routes
+ *
+ * GET    /api/watchlists              - All watchlists with each item's latest run
+ * POST   /api/watchlists              - Create a watchlist
+ * GET    /api/watchlists/:id          - One watchlist
+ * PUT    /api/watchlists/:id          - Replace a watchlist definition
+ * DELETE /api/watchlists/:id          - Delete a watchlist (with its runs and alerts)
+ * POST   /api/watchlists/:id/run      - Run every item now (outside the schedule)
+ * GET    /api/watchlists/:id/runs     - Run history (?item=NVDA&limit=50)
+ * GET    /api/alerts                  - Alerts (?watchlistId=&unacknowledged=true&limit=50)
+ * POST   /api/alerts/:id/acknowledge  - Mark an alert as seen
+ */
+
+import { Router } from 'express';
+import {
+    validateWatchlist,
+    listWatchlists,
+    getWatchlist,
+    createWatchlist,
+    updateWatchlist,
+    deleteWatchlist,
+    getRuns,
+    getAlerts,
+    acknowledgeAlert,
+    runWatchlist
+} from '../services/watchlists.js';
+
+const router = Router();
+
+function notFound(res, id) {
+    return res.status(404).json({ success: false, error: `Watchlist ${id} not found` });
+}
+
+function readLimit(value, fallback = 50) {
+    const limit = Number(value);
+    return Number.isFinite(limit) && limit > 0 ? Math.min(500, Math.floor(limit)) : fallback;
+}
+
+/**
+ * GET /api/watchlists
+ */
+router.get('/watchlists', (req, res, next) => {
+    try {
+        res.json({ watchlists: listWatchlists() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/watchlists
+ * Body: { name, items: ["NVDA", "Indian car market", { type: "ticker", value: "BTC" }],
+ *         intervalMinutes?, sentimentThreshold?, options?, enabled? }
+ */
+router.post('/watchlists', (req, res, next) => {
+    try {
+        const { valid, errors, value } = validateWatchlist(req.body);
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid watchlist', errors });
+        }
+        res.status(201).json({ success: true, watchlist: createWatchlist(value) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/watchlists/:id
+ */
+router.get('/watchlists/:id', (req, res, next) => {
+    try {
+        const watchlist = getWatchlist(req.params.id);
+        if (!watchlist) return notFound(res, req.params.id);
+        res.json({ watchlist });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/watchlists/:id
+ */
+router.put('/watchlists/:id', (req, res, next) => {
+    try {
+        const { valid, errors, value } = validateWatchlist(req.body);
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid watchlist', errors });
+        }
+        const watchlist = updateWatchlist(req.params.id, value);
+        if (!watchlist) return notFound(res, req.params.id);
+        res.json({ success: true, watchlist });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/watchlists/:id
+ */
+router.delete('/watchlists/:id', (req, res, next) => {
+    try {
+        if (!deleteWatchlist(req.params.id)) return notFound(res, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/watchlists/:id/run
+ */
+router.post('/watchlists/:id/run', async (req, res, next) => {
+    try {
+        const result = await runWatchlist(req.params.id);
+        if (!result) return notFound(res, req.params.id);
+        res.json({ success: true, ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/watchlists/:id/runs
+ */
+router.get('/watchlists/:id/runs', (req, res, next) => {
+    try {
+        if (!getWatchlist(req.params.id)) return notFound(res, req.params.id);
+        res.json({
+            runs: getRuns(req.params.id, { item: req.query.item, limit: readLimit(req.query.limit) })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/alerts
+ */
+router.get('/alerts', (req, res, next) => {
+    try {
+        res.json({
+            alerts: getAlerts({
+                watchlistId: req.query.watchlistId,
+                unacknowledged: req.query.unacknowledged === 'true',
+                limit: readLimit(req.query.limit)
+            })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/alerts/:id/acknowledge
+ */
+router.post('/alerts/:id/acknowledge', (req, res, next) => {
+    try {
+        const alert = acknowledgeAlert(Number(req.params.id));
+        if (!alert) return res.status(404).json({ success: false, error: `Alert ${req.params.id} not found` });
+        res.json({ success: true, alert });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,160 @@
+/**
+ * Webhook Routes
+ *
+ * GET    /api/webhooks                          - All subscriptions (secrets masked)
+ * POST   /api/webhooks                          - Register a subscription (returns the secret once)
+ * GET    /api/webhooks/dead-letters             - Deliveries that exhausted their retries
+ * POST   /api/webhooks/deliveries/:id/redeliver - Re-queue a delivery with a fresh retry budget
+ * GET    /api/webhooks/:id                      - One subscription
+ * PUT    /api/webhooks/:id                      - Replace a subscription (secret kept unless given)
+ * DELETE /api/webhooks/:id                      - Delete a subscription and its delivery log
+ * GET    /api/webhooks/:id/deliveries           - Delivery log (?status=&event=&limit=50)
+ */
+
+import { Router } from 'express';
+import {
+    DELIVERY_STATUSES,
+    validateSubscription,
+    listSubscriptions,
+    getSubscription,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    getDeliveries,
+    redeliver
+} from '../services/webhooks.js';
+
+const router = Router();
+
+function notFound(res, id) {
+    return res.status(404).json({ success: false, error: `Webhook ${id} not found` });
+}
+
+function readLimit(value, fallback = 50) {
+    const limit = Number(value);
+    return Number.isFinite(limit) && limit > 0 ? Math.min(500, Math.floor(limit)) : fallback;
+}
+
+/**
+ * GET /api/webhooks
+ */
+router.get('/webhooks', (req, res, next) => {
+    try {
+        res.json({ webhooks: listSubscriptions() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/webhooks
+ * Body: { url, events: ["analysis.completed", "analysis.failed", "alert.triggered", "article.ingested"],
+ *         secret?, description?, enabled? }
+ */
+router.post('/webhooks', (req, res, next) => {
+    try {
+        const { valid, errors, value } = validateSubscription(req.body);
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid webhook', errors });
+        }
+        res.status(201).json({ success: true, webhook: createSubscription(value) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/webhooks/dead-letters
+ * Includes each payload so it can be inspected before redelivery
+ */
+router.get('/webhooks/dead-letters', (req, res, next) => {
+    try {
+        res.json({
+            deliveries: getDeliveries({ status: 'dead', limit: readLimit(req.query.limit), includePayload: true })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/redeliver
+ */
+router.post('/webhooks/deliveries/:id/redeliver', (req, res, next) => {
+    try {
+        const delivery = redeliver(Number(req.params.id));
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: `Delivery ${req.params.id} not found` });
+        }
+        res.json({ success: true, delivery });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/webhooks/:id
+ */
+router.get('/webhooks/:id', (req, res, next) => {
+    try {
+        const webhook = getSubscription(req.params.id);
+        if (!webhook) return notFound(res, req.params.id);
+        res.json({ webhook });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ */
+router.put('/webhooks/:id', (req, res, next) => {
+    try {
+        const { valid, errors, value } = validateSubscription(req.body);
+        if (!valid) {
+            return res.status(400).json({ success: false, error: 'Invalid webhook', errors });
+        }
+        const webhook = updateSubscription(req.params.id, value);
+        if (!webhook) return notFound(res, req.params.id);
+        res.json({ success: true, webhook });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/webhooks/:id', (req, res, next) => {
+    try {
+        if (!deleteSubscription(req.params.id)) return notFound(res, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ */
+router.get('/webhooks/:id/deliveries', (req, res, next) => {
+    try {
+        if (!getSubscription(req.params.id)) return notFound(res, req.params.id);
+
+        const { status, event } = req.query;
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+            });
+        }
+
+        res.json({
+            deliveries: getDeliveries({ subscriptionId: req.params.id, status, event, limit: readLimit(req.query.limit) })
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,139 @@
+/**
+ * Analysis History Service
+ *
+ * Every analysis - /api/analyze (buffered or streamed) and watchlist runs -
+ * is stored with an ID so the team shares one history that survives reloads.
+ * Responses without an analysis (LLM failures, the relevance guardrail) are
+ * kept with success = 0; listings show only successful analyses unless asked
+ * otherwise. The full response is kept verbatim; sentiment, confidence and
+ * tickers are copied into columns so the list endpoint can filter without
+ * parsing JSON.
+ *
+ * Tickers are the companies the request asked for plus every company
+ * tagged on a source the analysis used.
+ *
+ * History lives in SQLite (services/database.js) regardless of the article
+ * store mode.
+ */
+
+import { randomUUID } from 'crypto';
+import { getDatabase } from './database.js';
+
+export const SENTIMENTS = ['POSITIVE', 'NEUTRAL', 'NEGATIVE'];
+
+const MAX_LIMIT = 500;
+
+function collectTickers(body, options) {
+    const tickers = new Set((options.companies || []).map(c => String(c).toUpperCase()));
+    for (const source of body.sources || []) {
+        for (const company of source.companies || []) tickers.add(String(company).toUpperCase());
+    }
+    return [...tickers];
+}
+
+function rowToSummary(row) {
+    return {
+        id: row.id,
+        query: row.query,
+        success: row.success === 1,
+        sentiment: row.sentiment,
+        sentimentScore: row.sentiment_score,
+        confidence: row.confidence,
+        sourceCount: row.source_count,
+        tickers: row.tickers ? row.tickers.split(',') : [],
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Persist one analysis response
+ *
+ * @param {Object} body - The /api/analyze response body
+ * @param {Object} options - The request options it was produced with
+ * @returns {Object} The body with its new `id` first
+ */
+export function saveAnalysis(body, options = {}) {
+    const id = `an-${randomUUID().replace(/-/g, '').slice(0, 12)}`;
+    const stored = { id, ...body };
+    const tickers = collectTickers(body, options);
+
+    const db = getDatabase();
+    const insertTicker = db.prepare('INSERT OR IGNORE INTO analysis_tickers (analysis_id, ticker) VALUES (?, ?)');
+
+    db.transaction(() => {
+        db.prepare(`
+            INSERT INTO analyses
+                (id, query, success, sentiment, sentiment_score, confidence, source_count, options, response, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(id, body.query, body.success && body.analysis ? 1 : 0, body.analysis?.sentiment ?? null,
+            body.analysis?.sentimentScore ?? null, body.analysis?.confidence ?? null,
+            (body.sources || []).length, JSON.stringify(options), JSON.stringify(stored),
+            body.timestamp || new Date().toISOString());
+        for (const ticker of tickers) insertTicker.run(id, ticker);
+    })();
+
+    return stored;
+}
+
+/**
+ * List stored analyses, newest first
+ *
+ * @param {Object} filters
+ * @param {string} filters.q - Case-insensitive substring of the query text
+ * @param {string} filters.ticker - Company ticker
+ * @param {string} filters.sentiment - POSITIVE | NEUTRAL | NEGATIVE
+ * @param {boolean|null} filters.success - true (default): analyses only, false: failures only, null: both
+ * @param {Object} filters.timeWindow - Resolved window (services/time-window.js)
+ * @param {number} filters.limit - Page size (default 50, max 500)
+ * @param {number} filters.offset - Rows to skip
+ * @returns {Object} { total, analyses } - summaries without the full response
+ */
+export function listAnalyses(filters = {}) {
+    const { q, ticker, sentiment, success = true, timeWindow = {}, limit = 50, offset = 0 } = filters;
+    const where = [];
+    const params = [];
+
+    if (success !== null) { where.push('a.success = ?'); params.push(success ? 1 : 0); }
+    if (q) {
+        where.push("a.query LIKE ? ESCAPE '\\'");
+        params.push(`%${q.replace(/[\\%_]/g, c => `\\${c}`)}%`);
+    }
+    if (ticker) {
+        where.push('a.id IN (SELECT analysis_id FROM analysis_tickers WHERE ticker = ?)');
+        params.push(ticker.toUpperCase());
+    }
+    if (sentiment) { where.push('a.sentiment = ?'); params.push(sentiment.toUpperCase()); }
+    if (timeWindow.from) { where.push('a.created_at >= ?'); params.push(timeWindow.from); }
+    if (timeWindow.to) { where.push('a.created_at <= ?'); params.push(timeWindow.to); }
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const db = getDatabase();
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM analyses a ${whereSql}`).get(...params);
+    const rows = db.prepare(`
+        SELECT a.id, a.query, a.success, a.sentiment, a.sentiment_score, a.confidence, a.source_count, a.created_at,
+               (SELECT GROUP_CONCAT(ticker) FROM analysis_tickers t WHERE t.analysis_id = a.id) AS tickers
+        FROM analyses a
+        ${whereSql}
+        ORDER BY a.created_at DESC, a.rowid DESC
+        LIMIT ? OFFSET ?
+    `).all(...params, Math.min(MAX_LIMIT, limit), offset);
+
+    return { total, analyses: rows.map(rowToSummary) };
+}
+
+/**
+ * @param {string} id - Analysis ID
+ * @returns {Object|null} The stored /api/analyze response, or null if unknown
+ */
+export function getAnalysis(id) {
+    const row = getDatabase().prepare('SELECT response FROM analyses WHERE id = ?').get(id);
+    return row ? JSON.parse(row.response) : null;
+}
+
+export default {
+    SENTIMENTS,
+    saveAnalysis,
+    listAnalyses,
+    getAnalysis
+};
@@ -0,0 +1,434 @@
+/**
+ * Analysis Pipeline Service
+ *
+ * The RAG-style pipeline behind POST /api/analyze and its streaming twin
+ * GET|POST /api/analyze/stream:
+ *
+ * 1. RETRIEVE - Find relevant documents based on query
+ * 2. FILTER - Apply credibility thresholds
+ * 3. DEDUPE - Remove near-duplicate content
+ * 4. RELEVANCE CHECK - Verify query matches documents (GUARDRAIL)
+ * 5. ANALYZE - Send to the LLM provider chain with grounded prompt
+ * 6. VERIFY - Check every cited source exists and supports its claim
+ * 7. RESPOND - Return structured, explainable results
+ *
+ * Every source carries its own finance-lexicon sentiment (sentiment.js), and
+ * the response adds their credibility-weighted aggregate as
+ * `sourceSentiment` next to the LLM's score, flagging when the two disagree.
+ * Likewise `confidenceAssessment` carries the confidence label computed from
+ * corroboration (services/confidence.js), the rule that fired and whether
+ * the LLM's label differs. `duplicates` lists the articles dropped by
+ * deduplication, each with the kept source it matched and how similar it was.
+ * `contradictions` lists figures and directional claims the final sources
+ * disagree on (services/contradictions.js); they lower the computed label.
+ * `facts` lists the typed figures the final sources state - entity, metric,
+ * value, unit, period (services/fact-extraction.js).
+ *
+ * Callers observe progress through optional hooks; the buffered endpoint
+ * simply passes none. Options are checked up front with
+ * validateAnalysisOptions() (analyze routes and watchlists); time-window
+ * errors (TimeWindowError) are thrown so each route can map them to a 400.
+ */
+
+import { retrieveRelevantContent } from './retrieval.js';
+import { filterByCredibility, getCredibilityBreakdown, sortByCredibility } from './credibility.js';
+import { deduplicateArticles } from './deduplication.js';
+import { analyzeWithLLM } from './gemini.js';
+import { analyzeOffline } from './offline-analysis.js';
+import { hasConfiguredProvider, LLMUnavailableError } from './llm-providers.js';
+import { AnalysisValidationError } from './analysis-schema.js';
+import { verifyGrounding } from './grounding.js';
+import { evaluateRelevance, generateNotRelevantResponse } from './relevance.js';
+import { resolveTimeWindow } from './time-window.js';
+import { scoreArticle, aggregateSentiment, labelSentiment } from './sentiment.js';
+import { assessConfidence } from './confidence.js';
+import { detectContradictions } from './contradictions.js';
+import { getFactsForArticles } from './fact-extraction.js';
+
+export const PIPELINE_STAGES = ['retrieve', 'filter', 'dedupe', 'relevance', 'analyze', 'verify'];
+export const RETRIEVAL_MODES = ['hybrid', 'lexical', 'semantic'];
+
+const MAX_SOURCES_LIMIT = 50;
+
+// Source-weighted and LLM scores further apart than this count as disagreeing
+const SENTIMENT_DISAGREEMENT_GAP = 0.4;
+
+/**
+ * Validate /api/analyze options (time-window fields are checked by
+ * resolveTimeWindow when the pipeline runs)
+ *
+ * @param {*} options - Raw options; undefined means none
+ * @returns {Object} { valid, errors, value } - value is the options object
+ */
+export function validateAnalysisOptions(options) {
+    if (options === undefined) return { valid: true, errors: [], value: {} };
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        return { valid: false, errors: ['options must be an object'], value: null };
+    }
+
+    const errors = [];
+    const { maxSources, minCredibility, companies, retrievalMode, useMock } = options;
+
+    if (maxSources !== undefined && !(Number.isInteger(maxSources) && maxSources >= 1 && maxSources <= MAX_SOURCES_LIMIT)) {
+        errors.push(`options.maxSources must be an integer between 1 and ${MAX_SOURCES_LIMIT}`);
+    }
+    if (minCredibility !== undefined && !(Number.isFinite(minCredibility) && minCredibility >= 0 && minCredibility <= 1)) {
+        errors.push('options.minCredibility must be a number between 0 and 1');
+    }
+    if (companies !== undefined && !(Array.isArray(companies)
+        && companies.every(ticker => typeof ticker === 'string' && ticker.trim().length > 0))) {
+        errors.push('options.companies must be an array of ticker strings');
+    }
+    if (retrievalMode !== undefined && !RETRIEVAL_MODES.includes(retrievalMode)) {
+        errors.push(`options.retrievalMode must be one of: ${RETRIEVAL_MODES.join(', ')}`);
+    }
+    if (useMock !== undefined && typeof useMock !== 'boolean') {
+        errors.push('options.useMock must be a boolean');
+    }
+
+    return errors.length > 0
+        ? { valid: false, errors, value: null }
+        : { valid: true, errors: [], value: options };
+}
+
+/**
+ * Source summary sent to clients (no full content)
+ */
+export function summarizeSource(source) {
+    return {
+        id: source.id,
+        headline: source.headline,
+        source: source.source,
+        sourceType: source.sourceType,
+        credibility: source.credibility,
+        timestamp: source.timestamp,
+        companies: source.companies,
+        retrievers: source.retrievers,
+        recencyWeight: source.recencyWeight,
+        sentiment: source.sentiment ?? scoreArticle(source)
+    };
+}
+
+/**
+ * Duplicate summary sent to clients: the dropped article and what it matched
+ */
+export function summarizeDuplicate(duplicate) {
+    return {
+        id: duplicate.id,
+        headline: duplicate.headline,
+        source: duplicate.source,
+        sourceType: duplicate.sourceType,
+        credibility: duplicate.credibility,
+        timestamp: duplicate.timestamp,
+        duplicateOf: duplicate.deduplication.duplicateOf,
+        similarity: duplicate.deduplication.similarity
+    };
+}
+
+/**
+ * Credibility-weighted article sentiment, compared with the LLM's score
+ *
+ * @param {Array} sources - Final sources (credibility attached)
+ * @param {Object|null} analysis - The LLM/offline analysis
+ * @returns {Object} { score, label, sourcesScored, llmScore, llmLabel, difference, disagrees }
+ */
+export function compareSourceSentiment(sources, analysis) {
+    const score = Math.round(aggregateSentiment(sources) * 100) / 100;
+    const label = labelSentiment(score);
+    const llmScore = typeof analysis?.sentimentScore === 'number' ? analysis.sentimentScore : null;
+    const difference = llmScore === null ? null : Math.round(Math.abs(score - llmScore) * 100) / 100;
+
+    return {
+        score,
+        label,
+        sourcesScored: sources.length,
+        llmScore,
+        llmLabel: analysis?.sentiment ?? null,
+        difference,
+        disagrees: llmScore !== null && (label !== analysis.sentiment || difference >= SENTIMENT_DISAGREEMENT_GAP)
+    };
+}
+
+/**
+ * Run the full pipeline for one query
+ *
+ * @param {string} query - Market intelligence query (already validated non-empty)
+ * @param {Object} options - Request options (see POST /api/analyze)
+ * @param {Object} hooks
+ * @param {Function} hooks.onStage - (stage, data) after each stage completes
+ * @param {Function} hooks.onNarrative - Streams LLM narrative text as it is generated
+ * @param {Function} hooks.onNarrativeRestart - A partially streamed narrative was discarded
+ * @param {AbortSignal} hooks.signal - Aborts the LLM call (e.g. client disconnected)
+ * @returns {Promise<Object>} { status, body } - body is the /api/analyze response
+ * @throws {TimeWindowError} On an invalid time window
+ */
+export async function runAnalysisPipeline(query, options = {}, hooks = {}) {
+    const { onStage = () => {}, onNarrative, onNarrativeRestart, signal } = hooks;
+    const startTime = Date.now();
+
+    // Extract options with defaults
+    const {
+        maxSources = 8,
+        minCredibility = 0.4,
+        companies = [],
+        retrievalMode = 'hybrid',
+        useMock = false
+    } = options;
+
+    const timeWindow = resolveTimeWindow(options);
+
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`[Analyze] New request: "${query}"`);
+    console.log(`[Analyze] Options: maxSources=${maxSources}, minCredibility=${minCredibility}, window=${timeWindow.from || '…'} → ${timeWindow.to || 'now'}, halfLife=${timeWindow.halfLifeHours}h`);
+    console.log('='.repeat(60));
+
+    // ==========================================================================
+    // 1. RETRIEVE RELEVANT CONTENT
+    // ==========================================================================
+    const retrieved = retrieveRelevantContent(query, {
+        maxResults: maxSources * 2, // Retrieve more to account for filtering
+        companies,
+        mode: retrievalMode,
+        timeWindow
+    });
+    onStage('retrieve', { count: retrieved.length, timeWindow, sources: retrieved.map(summarizeSource) });
+
+    if (retrieved.length === 0) {
+        return {
+            status: 200,
+            body: {
+                success: true,
+                query: query,
+                analysis: null,
+                message: timeWindow.from || timeWindow.to
+                    ? 'No relevant content found for this query in the requested time window. Try widening it.'
+                    : 'No relevant content found for this query. Try different keywords or company names.',
+                sources: [],
+                pipeline: {
+                    timeWindow,
+                    retrieved: 0,
+                    filtered: 0,
+                    deduplicated: 0,
+                    processingTimeMs: Date.now() - startTime
+                },
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    // ==========================================================================
+    // 2. FILTER BY CREDIBILITY
+    // ==========================================================================
+    const credibleSources = filterByCredibility(retrieved, minCredibility);
+    onStage('filter', {
+        count: credibleSources.length,
+        removed: retrieved.length - credibleSources.length,
+        minCredibility
+    });
+
+    if (credibleSources.length === 0) {
+        return {
+            status: 200,
+            body: {
+                success: true,
+                query: query,
+                analysis: null,
+                message: 'Found content but all sources below credibility threshold. Try lowering minCredibility.',
+                sources: [],
+                pipeline: {
+                    timeWindow,
+                    retrieved: retrieved.length,
+                    filtered: 0,
+                    filteredOutReason: `All ${retrieved.length} sources below ${minCredibility} credibility`,
+                    deduplicated: 0,
+                    processingTimeMs: Date.now() - startTime
+                },
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    // ==========================================================================
+    // 3. DEDUPLICATE CONTENT
+    // ==========================================================================
+    const { unique: dedupedSources, duplicates } = deduplicateArticles(credibleSources);
+
+    // Limit to maxSources after deduplication
+    const finalSources = sortByCredibility(dedupedSources)
+        .slice(0, maxSources)
+        .map(source => ({ ...source, sentiment: scoreArticle(source) }));
+    onStage('dedupe', {
+        count: dedupedSources.length,
+        duplicatesRemoved: duplicates.length,
+        finalSourcesUsed: finalSources.length,
+        sources: finalSources.map(summarizeSource),
+        duplicates: duplicates.map(summarizeDuplicate)
+    });
+
+    // ==========================================================================
+    // 4. RELEVANCE GUARDRAIL - Verify query matches document topic
+    // ==========================================================================
+    const relevanceResult = evaluateRelevance(query, finalSources);
+    onStage('relevance', {
+        isRelevant: relevanceResult.isRelevant,
+        averageRelevance: relevanceResult.averageRelevance,
+        reason: relevanceResult.reason
+    });
+
+    // If query is not relevant to retrieved documents, return safe neutral response
+    if (!relevanceResult.isRelevant) {
+        console.log(`[Analyze] Relevance guardrail triggered: ${relevanceResult.reason}`);
+        const safeResponse = generateNotRelevantResponse(query, relevanceResult);
+
+        return {
+            status: 200,
+            body: {
+                ...safeResponse,
+                query: query,
+                sources: [],
+                credibilityBreakdown: null,
+                pipeline: {
+                    timeWindow,
+                    retrieved: retrieved.length,
+                    afterCredibilityFilter: credibleSources.length,
+                    afterDeduplication: dedupedSources.length,
+                    duplicatesRemoved: duplicates.length,
+                    finalSourcesUsed: 0,
+                    relevanceFiltered: true,
+                    relevanceReason: relevanceResult.reason,
+                    averageRelevanceScore: relevanceResult.averageRelevance,
+                    processingTimeMs: Date.now() - startTime,
+                    usedMockResponse: false
+                },
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    // ==========================================================================
+    // 5. GET CREDIBILITY BREAKDOWN (for LLM context)
+    // ==========================================================================
+    const credibilityBreakdown = getCredibilityBreakdown(finalSources);
+
+    // ==========================================================================
+    // 6. GENERATE ANALYSIS - LLM chain, or the offline analyzer when no LLM is available
+    // ==========================================================================
+    let result;
+    let offlineFallback = false;
+
+    const shouldUseMock = useMock;
+
+    if (shouldUseMock) {
+        console.log('[Analyze] Using offline analyzer (useMock=true)');
+        result = analyzeOffline(query, finalSources);
+    } else if (!hasConfiguredProvider()) {
+        console.log('[Analyze] No LLM provider configured - using offline analyzer');
+        offlineFallback = true;
+        result = analyzeOffline(query, finalSources);
+    } else {
+        try {
+            result = await analyzeWithLLM(query, finalSources, {
+                signal,
+                onNarrative,
+                onRestart: onNarrativeRestart
+            });
+        } catch (error) {
+            if (error instanceof LLMUnavailableError && signal?.aborted) {
+                // Nobody is listening any more - do not spend an offline run on it
+                throw error;
+            } else if (error instanceof LLMUnavailableError) {
+                console.warn(`[Analyze] ${error.message} - falling back to offline analyzer`);
+                offlineFallback = true;
+                result = analyzeOffline(query, finalSources);
+                result.metadata.providerAttempts = error.attempts;
+            } else if (error instanceof AnalysisValidationError) {
+                // The model answered but never produced a valid analysis - surface a typed error
+                console.warn(`[Analyze] LLM analysis degraded: ${error.code} - ${error.message}`);
+                result = {
+                    success: false,
+                    analysis: null,
+                    error: error.message,
+                    errorType: error.code,
+                    errorDetails: error.errors,
+                    metadata: { model: null, isMock: false, timestamp: new Date().toISOString() }
+                };
+            } else {
+                throw error;
+            }
+        }
+    }
+    onStage('analyze', {
+        success: result.success,
+        model: result.metadata?.model ?? null,
+        offlineFallback
+    });
+
+    // ==========================================================================
+    // 7. VERIFY GROUNDING - Every cited source must exist and support the claim
+    // ==========================================================================
+    if (result.success && result.analysis) {
+        result.analysis = verifyGrounding(result.analysis, finalSources);
+    }
+    onStage('verify', {
+        ungroundedInsights: result.analysis?.grounding?.ungroundedCount ?? null,
+        allGrounded: result.analysis?.grounding?.allGrounded ?? null
+    });
+
+    // ==========================================================================
+    // 8. PREPARE RESPONSE
+    // ==========================================================================
+    const processingTimeMs = Date.now() - startTime;
+    const contradictions = detectContradictions(finalSources);
+
+    const response = {
+        success: result.success,
+        query: query,
+        analysis: result.analysis,
+        error: result.error || null,
+        errorType: result.errorType || null,
+        errorDetails: result.errorDetails,
+        sources: finalSources.map(summarizeSource),
+        duplicates: duplicates.map(summarizeDuplicate),
+        facts: getFactsForArticles(finalSources),
+        credibilityBreakdown: credibilityBreakdown,
+        sourceSentiment: compareSourceSentiment(finalSources, result.analysis),
+        contradictions,
+        confidenceAssessment: assessConfidence(finalSources, result.analysis, contradictions),
+        pipeline: {
+            timeWindow: {
+                ...timeWindow,
+                // What the answer actually covers, not just what was asked for
+                earliestSource: finalSources.reduce((min, s) => s.timestamp < min ? s.timestamp : min, finalSources[0].timestamp),
+                latestSource: finalSources.reduce((max, s) => s.timestamp > max ? s.timestamp : max, finalSources[0].timestamp)
+            },
+            retrieved: retrieved.length,
+            afterCredibilityFilter: credibleSources.length,
+            afterDeduplication: dedupedSources.length,
+            duplicatesRemoved: duplicates.length,
+            finalSourcesUsed: finalSources.length,
+            relevanceFiltered: false,
+            averageRelevanceScore: relevanceResult.averageRelevance,
+            ungroundedInsights: result.analysis?.grounding?.ungroundedCount ?? null,
+            processingTimeMs: processingTimeMs,
+            usedMockResponse: shouldUseMock,
+            offlineFallback: offlineFallback
+        },
+        metadata: result.metadata,
+        timestamp: new Date().toISOString()
+    };
+
+    console.log(`[Analyze] Complete in ${processingTimeMs}ms`);
+    console.log(`[Analyze] Pipeline: ${retrieved.length} → ${credibleSources.length} → ${finalSources.length} sources`);
+
+    return { status: result.success ? 200 : 502, body: response };
+}
+
+export default {
+    PIPELINE_STAGES,
+    RETRIEVAL_MODES,
+    validateAnalysisOptions,
+    summarizeSource,
+    summarizeDuplicate,
+    compareSourceSentiment,
+    runAnalysisPipeline
+};
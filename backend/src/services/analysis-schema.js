@@ -0,0 +1,290 @@
+/**
+ * Analysis Schema Service
+ *
+ * Strict schema for the analysis object returned by the LLM, plus the
+ * tooling to recover usable JSON from imperfect replies.
+ *
+ * LLMs regularly wrap JSON in markdown fences, add a sentence of preamble,
+ * leave trailing commas, or get cut off mid-object when they hit the token
+ * limit. Instead of letting JSON.parse take down the request we:
+ * 1. EXTRACT - Strip fences/prose and locate the JSON object
+ * 2. REPAIR - Close truncated strings/arrays/objects, drop trailing commas
+ * 3. VALIDATE - Check every field against the schema below
+ *
+ * Validation errors are returned as plain sentences so they can be fed
+ * straight back to the model in a re-ask.
+ */
+
+export const SENTIMENTS = ['POSITIVE', 'NEUTRAL', 'NEGATIVE'];
+export const CONFIDENCE_LEVELS = ['CONFIRMED', 'EMERGING', 'RUMOR'];
+
+/**
+ * Thrown when the model's output still fails validation after every repair
+ * and re-ask attempt.
+ */
+export class AnalysisValidationError extends Error {
+    constructor(message, errors = [], rawOutput = '') {
+        super(message);
+        this.name = 'AnalysisValidationError';
+        this.code = 'ANALYSIS_INVALID';
+        this.errors = errors;
+        this.rawOutput = rawOutput;
+    }
+}
+
+// =============================================================================
+// EXTRACTION & REPAIR
+// =============================================================================
+
+/**
+ * Pull the JSON object out of a raw model reply.
+ * Handles ```json fences and leading/trailing prose.
+ *
+ * @param {string} text - Raw model output
+ * @returns {string|null} The JSON candidate, or null if no object start found
+ */
+export function extractJsonCandidate(text) {
+    if (typeof text !== 'string') return null;
+
+    // Prefer the contents of a fenced block if there is one
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    const body = fenced ? fenced[1] : text;
+
+    const start = body.indexOf('{');
+    if (start === -1) return null;
+
+    // Walk forward to the matching closing brace (string-aware)
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < body.length; i++) {
+        const ch = body[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '{') depth++;
+        else if (ch === '}') {
+            depth--;
+            if (depth === 0) return body.slice(start, i + 1);
+        }
+    }
+
+    // Never closed - probably truncated, hand the tail to repairJson
+    return body.slice(start);
+}
+
+/**
+ * Close whatever a truncated JSON text left open: an unterminated string,
+ * a dangling comma or colon, and any unclosed objects/arrays.
+ */
+function closeOpenStructures(text) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (const ch of text) {
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '{' || ch === '[') stack.push(ch);
+        else if (ch === '}' || ch === ']') stack.pop();
+    }
+
+    let closed = inString ? `${text}"` : text;
+    closed = closed.replace(/[,:\s]+$/, '');
+    while (stack.length > 0) {
+        closed += stack.pop() === '{' ? '}' : ']';
+    }
+
+    // Trailing commas before a close bracket
+    return closed.replace(/,\s*([}\]])/g, '$1');
+}
+
+/**
+ * Best-effort repair of a truncated or sloppy JSON object.
+ * Closes open structures; if the result still does not parse (e.g. the
+ * reply stopped after a key), backs off to the previous comma and retries.
+ *
+ * @param {string} json - JSON candidate
+ * @returns {string} Repaired JSON text (may still be invalid)
+ */
+export function repairJson(json) {
+    const MAX_BACKOFFS = 5;
+    let text = json;
+
+    for (let i = 0; i <= MAX_BACKOFFS; i++) {
+        const attempt = closeOpenStructures(text);
+        try {
+            JSON.parse(attempt);
+            return attempt;
+        } catch {
+            const lastComma = text.lastIndexOf(',');
+            if (lastComma === -1) break;
+            text = text.slice(0, lastComma);
+        }
+    }
+
+    return closeOpenStructures(json);
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate (and lightly normalize) an analysis object.
+ * Normalization is limited to unambiguous fixes: enum casing/whitespace and
+ * numeric strings for sentimentScore. Anything else is reported as an error.
+ *
+ * @param {*} candidate - Parsed JSON value
+ * @returns {Object} { valid, errors: string[], value }
+ */
+export function validateAnalysis(candidate) {
+    const errors = [];
+
+    if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+        return { valid: false, errors: ['Response must be a single JSON object'], value: null };
+    }
+
+    const value = { ...candidate };
+
+    if (typeof value.narrative !== 'string' || value.narrative.trim().length === 0) {
+        errors.push('"narrative" must be a non-empty string');
+    }
+
+    const sentiment = typeof value.sentiment === 'string' ? value.sentiment.trim().toUpperCase() : value.sentiment;
+    if (!SENTIMENTS.includes(sentiment)) {
+        errors.push(`"sentiment" must be one of ${SENTIMENTS.join('/')} (got ${JSON.stringify(value.sentiment)})`);
+    } else {
+        value.sentiment = sentiment;
+    }
+
+    const score = typeof value.sentimentScore === 'string' ? Number(value.sentimentScore) : value.sentimentScore;
+    if (typeof score !== 'number' || !Number.isFinite(score) || score < -1 || score > 1) {
+        errors.push(`"sentimentScore" must be a number between -1 and 1 (got ${JSON.stringify(value.sentimentScore)})`);
+    } else {
+        value.sentimentScore = score;
+    }
+
+    const confidence = typeof value.confidence === 'string' ? value.confidence.trim().toUpperCase() : value.confidence;
+    if (!CONFIDENCE_LEVELS.includes(confidence)) {
+        errors.push(`"confidence" must be one of ${CONFIDENCE_LEVELS.join('/')} (got ${JSON.stringify(value.confidence)})`);
+    } else {
+        value.confidence = confidence;
+    }
+
+    if (value.confidenceExplanation !== undefined && typeof value.confidenceExplanation !== 'string') {
+        errors.push('"confidenceExplanation" must be a string');
+    }
+
+    if (!Array.isArray(value.keyInsights) || value.keyInsights.some(i => typeof i !== 'string')) {
+        errors.push('"keyInsights" must be an array of strings');
+    }
+
+    return { valid: errors.length === 0, errors, value: errors.length === 0 ? value : null };
+}
+
+/**
+ * Extract, repair and validate a raw model reply in one go.
+ *
+ * @param {string} text - Raw model output
+ * @returns {Object} { valid, errors, value, repaired }
+ */
+export function parseAnalysis(text) {
+    const candidate = extractJsonCandidate(text);
+    if (candidate === null) {
+        return { valid: false, errors: ['Response did not contain a JSON object'], value: null, repaired: false };
+    }
+
+    let parsed;
+    let repaired = false;
+    try {
+        parsed = JSON.parse(candidate);
+    } catch {
+        try {
+            parsed = JSON.parse(repairJson(candidate));
+            repaired = true;
+        } catch (error) {
+            return { valid: false, errors: [`Response is not valid JSON: ${error.message}`], value: null, repaired: false };
+        }
+    }
+
+    return { ...validateAnalysis(parsed), repaired };
+}
+
+// =============================================================================
+// STREAMING
+// =============================================================================
+
+const SIMPLE_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Follow one string field of a JSON reply while it is still being streamed,
+ * e.g. the narrative inside {"narrative": "...", ...}, and emit its decoded
+ * text as it grows. Everything outside that string is ignored.
+ *
+ * @param {string} field - Top-level string field to follow
+ * @param {Function} onText - Called with each newly decoded piece of the value
+ * @returns {Function} push(delta) - feed raw reply chunks in arrival order
+ */
+export function createFieldStreamer(field, onText) {
+    const opening = new RegExp(`"${field}"\\s*:\\s*"`);
+    let buffer = '';
+    let position = -1;
+    let done = false;
+
+    return function push(delta) {
+        if (done) return;
+        buffer += delta;
+
+        if (position < 0) {
+            const match = buffer.match(opening);
+            if (!match) return;
+            position = match.index + match[0].length;
+        }
+
+        let text = '';
+        while (position < buffer.length) {
+            const char = buffer[position];
+            if (char === '"') {
+                done = true;
+                break;
+            }
+            if (char !== '\\') {
+                text += char;
+                position++;
+                continue;
+            }
+            // Escape sequence - wait for the rest of it if it is split across chunks
+            const next = buffer[position + 1];
+            if (next === undefined) break;
+            if (next === 'u') {
+                const hex = buffer.slice(position + 2, position + 6);
+                if (hex.length < 4) break;
+                text += String.fromCharCode(parseInt(hex, 16));
+                position += 6;
+            } else {
+                text += SIMPLE_ESCAPES[next] ?? next;
+                position += 2;
+            }
+        }
+
+        if (text) onText(text);
+    };
+}
+
+export default {
+    extractJsonCandidate,
+    repairJson,
+    validateAnalysis,
+    parseAnalysis,
+    createFieldStreamer
+};
@@ -0,0 +1,375 @@
+/**
+ * Article Store Service
+ *
+ * Storage layer behind retrieval. Two interchangeable backends:
+ *
+ * - sqlite (default) - Persistent, indexed by timestamp, sector, ticker and
+ *   source. The seed JSON corpus is imported by a migration on first run.
+ * - json - The original in-memory mode: reads data/financial-content.json
+ *   at startup, changes live only until restart. Handy for demos.
+ *
+ * Select with ARTICLE_STORE=sqlite|json.
+ *
+ * Both backends speak the same article schema:
+ *   { id, headline, content, source, sourceType, timestamp, sector, companies, ... }
+ * Fields outside the core schema (url, feedId, ...) round-trip untouched.
+ *
+ * Each article's normalized headline (normalizeHeadline) is indexed, so
+ * findExisting() can tell ingestion which feed items are already stored
+ * without loading the corpus.
+ *
+ * Retracted articles (soft deletes) carry `retractedAt`/`retractionReason`.
+ * They are excluded from listings unless `includeRetracted` is set, but
+ * getArticleById always returns them so past analyses stay auditable.
+ * Both backends refuse to overwrite a retracted article: upserts to its ID
+ * are skipped, so it is never silently un-retracted.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getDatabase } from './database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const JSON_DATA_PATH = join(__dirname, '../data/financial-content.json');
+
+// IDs/headlines per findExisting() query
+const LOOKUP_CHUNK = 400;
+
+// Columns stored natively; everything else goes to the `extra` JSON column
+const CORE_FIELDS = [
+    'id', 'headline', 'content', 'source', 'sourceType', 'timestamp', 'sector', 'companies',
+    'url', 'feedId', 'retractedAt', 'retractionReason'
+];
+
+/**
+ * Headline reduced to lowercase words, the key for "same story, same headline"
+ *
+ * @param {string} headline
+ * @returns {string}
+ */
+export function normalizeHeadline(headline) {
+    return headline.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// =============================================================================
+// JSON BACKEND
+// =============================================================================
+
+function createJsonStore() {
+    const { articles } = JSON.parse(readFileSync(JSON_DATA_PATH, 'utf-8'));
+    const byId = new Map(articles.map(a => [a.id, a]));
+
+    return {
+        mode: 'json',
+
+        getAll: () => [...byId.values()].filter(a => !a.retractedAt),
+
+        getById: id => byId.get(id) || null,
+
+        query(filters) {
+            return applyFilters([...byId.values()], filters);
+        },
+
+        upsert(list) {
+            const written = list.filter(article => !byId.get(article.id)?.retractedAt);
+            for (const article of written) byId.set(article.id, article);
+            return written;
+        },
+
+        findExisting(ids, headlineKeys) {
+            const wantedIds = new Set(ids);
+            const wantedKeys = new Set(headlineKeys);
+            const found = { ids: new Set(), headlineKeys: new Set() };
+            for (const article of byId.values()) {
+                if (wantedIds.has(article.id)) found.ids.add(article.id);
+                const key = normalizeHeadline(article.headline);
+                if (wantedKeys.has(key)) found.headlineKeys.add(key);
+            }
+            return found;
+        },
+
+        retract(id, reason) {
+            const article = byId.get(id);
+            if (!article) return null;
+            const retracted = { ...article, retractedAt: new Date().toISOString(), retractionReason: reason || null };
+            byId.set(id, retracted);
+            return retracted;
+        }
+    };
+}
+
+/**
+ * In-memory equivalent of the SQL filters (json mode)
+ */
+function applyFilters(articles, filters = {}) {
+    const { from, to, sector, ticker, source, sourceType, includeRetracted, limit, offset = 0 } = filters;
+    const tickerUpper = ticker?.toUpperCase();
+
+    const matches = articles
+        .filter(a => includeRetracted || !a.retractedAt)
+        .filter(a => !from || a.timestamp >= from)
+        .filter(a => !to || a.timestamp <= to)
+        .filter(a => !sector || a.sector === sector)
+        .filter(a => !tickerUpper || (a.companies || []).includes(tickerUpper))
+        .filter(a => !source || a.source === source)
+        .filter(a => !sourceType || a.sourceType === sourceType)
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    return limit ? matches.slice(offset, offset + limit) : matches.slice(offset);
+}
+
+// =============================================================================
+// SQLITE BACKEND
+// =============================================================================
+
+const SELECT_ARTICLE = `
+    SELECT a.*,
+           (SELECT json_group_array(ticker) FROM article_companies c WHERE c.article_id = a.id) AS companies
+    FROM articles a
+`;
+
+function rowToArticle(row) {
+    return {
+        id: row.id,
+        headline: row.headline,
+        content: row.content,
+        source: row.source,
+        sourceType: row.source_type,
+        timestamp: row.timestamp,
+        sector: row.sector,
+        companies: JSON.parse(row.companies || '[]'),
+        ...(row.url ? { url: row.url } : {}),
+        ...(row.feed_id ? { feedId: row.feed_id } : {}),
+        ...(row.extra ? JSON.parse(row.extra) : {}),
+        ...(row.retracted_at ? { retractedAt: row.retracted_at, retractionReason: row.retraction_reason } : {})
+    };
+}
+
+function createSqliteStore() {
+    const db = getDatabase();
+
+    const statements = {
+        all: db.prepare(`${SELECT_ARTICLE} WHERE a.retracted_at IS NULL ORDER BY a.timestamp DESC`),
+        byId: db.prepare(`${SELECT_ARTICLE} WHERE a.id = ?`),
+        upsert: db.prepare(`
+            INSERT INTO articles
+                (id, headline, headline_key, content, source, source_type, timestamp, sector, url, feed_id, extra, created_at, updated_at)
+            VALUES
+                (@id, @headline, @headlineKey, @content, @source, @sourceType, @timestamp, @sector, @url, @feedId, @extra, @now, @now)
+            ON CONFLICT(id) DO UPDATE SET
+                headline = excluded.headline,
+                headline_key = excluded.headline_key,
+                content = excluded.content,
+                source = excluded.source,
+                source_type = excluded.source_type,
+                timestamp = excluded.timestamp,
+                sector = excluded.sector,
+                url = excluded.url,
+                feed_id = excluded.feed_id,
+                extra = excluded.extra,
+                updated_at = excluded.updated_at
+            WHERE articles.retracted_at IS NULL
+        `),
+        retract: db.prepare('UPDATE articles SET retracted_at = ?, retraction_reason = ?, updated_at = ? WHERE id = ?'),
+        clearCompanies: db.prepare('DELETE FROM article_companies WHERE article_id = ?'),
+        insertCompany: db.prepare('INSERT OR IGNORE INTO article_companies (article_id, ticker) VALUES (?, ?)')
+    };
+
+    const upsertMany = db.transaction(list => {
+        const now = new Date().toISOString();
+        const written = [];
+        for (const article of list) {
+            const extra = Object.fromEntries(
+                Object.entries(article).filter(([key]) => !CORE_FIELDS.includes(key))
+            );
+
+            const { changes } = statements.upsert.run({
+                id: article.id,
+                headline: article.headline,
+                headlineKey: normalizeHeadline(article.headline),
+                content: article.content,
+                source: article.source,
+                sourceType: article.sourceType,
+                timestamp: article.timestamp,
+                sector: article.sector ?? null,
+                url: article.url ?? null,
+                feedId: article.feedId ?? null,
+                extra: Object.keys(extra).length > 0 ? JSON.stringify(extra) : null,
+                now
+            });
+            // A retracted row is left untouched
+            if (changes === 0) continue;
+            written.push(article);
+
+            statements.clearCompanies.run(article.id);
+            for (const ticker of article.companies || []) {
+                statements.insertCompany.run(article.id, ticker);
+            }
+        }
+        return written;
+    });
+
+    return {
+        mode: 'sqlite',
+
+        getAll: () => statements.all.all().map(rowToArticle),
+
+        getById(id) {
+            const row = statements.byId.get(id);
+            return row ? rowToArticle(row) : null;
+        },
+
+        query(filters = {}) {
+            const { from, to, sector, ticker, source, sourceType, includeRetracted, limit, offset = 0 } = filters;
+            const where = includeRetracted ? [] : ['a.retracted_at IS NULL'];
+            const params = {};
+
+            if (from) { where.push('a.timestamp >= @from'); params.from = from; }
+            if (to) { where.push('a.timestamp <= @to'); params.to = to; }
+            if (sector) { where.push('a.sector = @sector'); params.sector = sector; }
+            if (source) { where.push('a.source = @source'); params.source = source; }
+            if (sourceType) { where.push('a.source_type = @sourceType'); params.sourceType = sourceType; }
+            if (ticker) {
+                where.push('a.id IN (SELECT article_id FROM article_companies WHERE ticker = @ticker)');
+                params.ticker = ticker.toUpperCase();
+            }
+
+            const sql = `${SELECT_ARTICLE}
+                ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+                ORDER BY a.timestamp DESC
+                ${limit ? 'LIMIT @limit OFFSET @offset' : ''}`;
+            if (limit) Object.assign(params, { limit, offset });
+
+            return db.prepare(sql).all(params).map(rowToArticle);
+        },
+
+        upsert: list => upsertMany(list),
+
+        findExisting(ids, headlineKeys) {
+            const found = { ids: new Set(), headlineKeys: new Set() };
+            // Chunked to stay under SQLite's bound-parameter limit
+            for (let i = 0; i < Math.max(ids.length, headlineKeys.length); i += LOOKUP_CHUNK) {
+                const idChunk = ids.slice(i, i + LOOKUP_CHUNK);
+                const keyChunk = headlineKeys.slice(i, i + LOOKUP_CHUNK);
+                const rows = db.prepare(`
+                    SELECT id, headline_key FROM articles
+                    WHERE id IN (${idChunk.map(() => '?').join(', ') || 'NULL'})
+                       OR headline_key IN (${keyChunk.map(() => '?').join(', ') || 'NULL'})
+                `).all(...idChunk, ...keyChunk);
+                for (const row of rows) {
+                    if (idChunk.includes(row.id)) found.ids.add(row.id);
+                    if (keyChunk.includes(row.headline_key)) found.headlineKeys.add(row.headline_key);
+                }
+            }
+            return found;
+        },
+
+        retract(id, reason) {
+            const now = new Date().toISOString();
+            const { changes } = statements.retract.run(now, reason || null, now, id);
+            return changes > 0 ? this.getById(id) : null;
+        }
+    };
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = process.env.ARTICLE_STORE === 'json' ? createJsonStore() : createSqliteStore();
+        console.log(`[Store] Using ${store.mode} article store`);
+    }
+    return store;
+}
+
+/**
+ * @returns {string} Active backend: 'sqlite' or 'json'
+ */
+export function getStoreMode() {
+    return getStore().mode;
+}
+
+/**
+ * @returns {Array} Every live (non-retracted) article, newest first (sqlite) / file order (json)
+ */
+export function getAllArticles() {
+    return getStore().getAll();
+}
+
+/**
+ * @param {string} id - Article ID
+ * @returns {Object|null} The article (retracted or not), or null if unknown
+ */
+export function getArticleById(id) {
+    return getStore().getById(id);
+}
+
+/**
+ * Filtered listing, newest first
+ *
+ * @param {Object} filters
+ * @param {string} filters.from - ISO timestamp lower bound (inclusive)
+ * @param {string} filters.to - ISO timestamp upper bound (inclusive)
+ * @param {string} filters.sector - Exact sector
+ * @param {string} filters.ticker - Company ticker
+ * @param {string} filters.source - Exact source name
+ * @param {string} filters.sourceType - Source type
+ * @param {boolean} filters.includeRetracted - Include soft-deleted articles
+ * @param {number} filters.limit - Page size (default: no limit)
+ * @param {number} filters.offset - Page offset
+ * @returns {Array} Matching articles
+ */
+export function queryArticles(filters = {}) {
+    return getStore().query(filters);
+}
+
+/**
+ * Insert or replace articles by ID; retracted articles are never overwritten
+ *
+ * @param {Array} articles - Articles in the corpus schema
+ * @returns {Array} The articles written (writes to retracted IDs are skipped)
+ */
+export function upsertArticles(articles) {
+    return getStore().upsert(articles);
+}
+
+/**
+ * Which of some IDs and normalized headlines are already stored
+ * (retracted articles included)
+ *
+ * @param {string[]} ids - Article IDs
+ * @param {string[]} headlineKeys - normalizeHeadline() keys
+ * @returns {Object} { ids: Set, headlineKeys: Set } - the ones that exist
+ */
+export function findExisting(ids, headlineKeys) {
+    return getStore().findExisting(ids, headlineKeys);
+}
+
+/**
+ * Soft-delete an article
+ *
+ * @param {string} id - Article ID
+ * @param {string} reason - Why it was retracted (kept for audits)
+ * @returns {Object|null} The retracted article, or null if unknown
+ */
+export function retractArticle(id, reason) {
+    return getStore().retract(id, reason);
+}
+
+export default {
+    getStoreMode,
+    getAllArticles,
+    getArticleById,
+    queryArticles,
+    upsertArticles,
+    findExisting,
+    normalizeHeadline,
+    retractArticle
+};
@@ -0,0 +1,133 @@
+/**
+ * Article Validation Service
+ *
+ * Validates and normalizes articles submitted through the management API
+ * (POST/PUT /api/articles and NDJSON bulk import) before they reach the
+ * store.
+ *
+ * Rules:
+ * - headline, content and source are required non-empty strings
+ * - sourceType must be one of the credibility tiers (CREDIBILITY_SCORES)
+ * - timestamp must parse as a date; it is stored as an ISO string
+ * - companies are trimmed, upper-cased and deduplicated; company names
+ *   ("apple") are resolved to their ticker through the entity registry
+ * - sector defaults to 'general', url must be http(s) when present
+ */
+
+import { randomUUID } from 'crypto';
+import { CREDIBILITY_SCORES } from './credibility.js';
+import { resolveEntities } from './entity-registry.js';
+
+export const SOURCE_TYPES = Object.keys(CREDIBILITY_SCORES);
+
+// Upper bounds keep one bad import line from bloating the corpus
+const MAX_HEADLINE_LENGTH = 500;
+const MAX_CONTENT_LENGTH = 20000;
+const ID_PATTERN = /^[A-Za-z0-9][\w-]{0,63}$/;
+
+/**
+ * Normalize a company list: "apple" → AAPL, " msft " → MSFT
+ */
+function normalizeCompanies(companies) {
+    const tickers = new Set();
+    for (const entry of companies) {
+        const value = String(entry).trim();
+        if (!value) continue;
+        const [resolved] = resolveEntities(value);
+        tickers.add(resolved || value.toUpperCase());
+    }
+    return [...tickers];
+}
+
+function requireString(input, field, maxLength, errors) {
+    const value = input[field];
+    if (typeof value !== 'string' || value.trim().length === 0) {
+        errors.push(`${field} is required and must be a non-empty string`);
+        return null;
+    }
+    if (maxLength && value.length > maxLength) {
+        errors.push(`${field} must be at most ${maxLength} characters`);
+        return null;
+    }
+    return value.trim();
+}
+
+/**
+ * Validate and normalize an incoming article
+ *
+ * @param {Object} input - Raw article from the request body
+ * @param {Object} options
+ * @param {string} options.id - ID to use (e.g. from the URL on PUT); generated if absent
+ * @returns {Object} { valid, errors, value } - value is the normalized article
+ */
+export function validateArticle(input, options = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: ['Article must be a JSON object'], value: null };
+    }
+
+    const errors = [];
+
+    const id = options.id ?? input.id ?? `art-${randomUUID().slice(0, 8)}`;
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+        errors.push('id must be 1-64 letters, digits, dashes or underscores');
+    }
+
+    const headline = requireString(input, 'headline', MAX_HEADLINE_LENGTH, errors);
+    const content = requireString(input, 'content', MAX_CONTENT_LENGTH, errors);
+    const source = requireString(input, 'source', null, errors);
+
+    const sourceType = typeof input.sourceType === 'string' ? input.sourceType.trim().toLowerCase() : input.sourceType;
+    if (!SOURCE_TYPES.includes(sourceType)) {
+        errors.push(`sourceType must be one of: ${SOURCE_TYPES.join(', ')}`);
+    }
+
+    let timestamp = null;
+    const date = input.timestamp != null ? new Date(input.timestamp) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+        errors.push('timestamp is required and must be a valid date (ISO 8601)');
+    } else {
+        timestamp = date.toISOString();
+    }
+
+    let companies = [];
+    if (input.companies != null) {
+        if (!Array.isArray(input.companies)) {
+            errors.push('companies must be an array of tickers or company names');
+        } else {
+            companies = normalizeCompanies(input.companies);
+        }
+    }
+
+    if (input.sector != null && typeof input.sector !== 'string') {
+        errors.push('sector must be a string');
+    }
+
+    if (input.url != null && !/^https?:\/\/\S+$/i.test(String(input.url))) {
+        errors.push('url must be an http(s) URL');
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors, value: null };
+    }
+
+    return {
+        valid: true,
+        errors: [],
+        value: {
+            id,
+            headline,
+            content,
+            source,
+            sourceType,
+            timestamp,
+            sector: input.sector?.trim().toLowerCase() || 'general',
+            companies,
+            ...(input.url ? { url: String(input.url) } : {})
+        }
+    };
+}
+
+export default {
+    SOURCE_TYPES,
+    validateArticle
+};
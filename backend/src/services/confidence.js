@@ -0,0 +1,190 @@
+/**
+ * Confidence Service
+ *
+ * Computes the CONFIRMED / EMERGING / RUMOR label from the evidence itself,
+ * so it can be checked against (and explain) the label the LLM chose.
+ *
+ * Corroboration is counted per EVENT: the sources that report the same
+ * event as an anchor article (services/event-similarity.js). Within the best-corroborated event, sources are
+ * INDEPENDENT when they are different outlets - three Reuters pieces count
+ * once; registry aliases ("Thomson Reuters") count as their canonical name.
+ *
+ * Rules, first match wins:
+ * - official_corroborated    CONFIRMED  official source + another independent outlet
+ * - high_tier_corroborated   CONFIRMED  2+ independent HIGH-tier outlets
+ * - official_uncorroborated  EMERGING   an official source nobody else reports yet
+ * - credible_corroborated    EMERGING   2+ independent HIGH/MEDIUM outlets
+ * - single_high_tier         EMERGING   one HIGH-tier outlet
+ * - low_credibility          RUMOR      everything else
+ *
+ * The tier mix comes from getCredibilityBreakdown() over all final sources.
+ *
+ * When the sources contradict each other (services/contradictions.js), the
+ * label drops one level - CONFIRMED to EMERGING, EMERGING to RUMOR - and
+ * the reasons name what they disagree on.
+ */
+
+import { getCredibilityBreakdown } from './credibility.js';
+import { lookupSource } from './source-registry.js';
+import { eventProfiles, isSameEvent } from './event-similarity.js';
+import { detectContradictions } from './contradictions.js';
+
+export const CONFIDENCE_RULES = [
+    'official_corroborated',
+    'high_tier_corroborated',
+    'official_uncorroborated',
+    'credible_corroborated',
+    'single_high_tier',
+    'low_credibility'
+];
+
+const LOWER_LABEL = { CONFIRMED: 'EMERGING', EMERGING: 'RUMOR', RUMOR: 'RUMOR' };
+
+function outletOf(source) {
+    return lookupSource(source.source)?.name ?? source.source;
+}
+
+/**
+ * Summarize one event: its articles and independent outlets
+ */
+function describeEvent(members) {
+    const outlets = new Map();
+    for (const source of members) {
+        const outlet = outletOf(source);
+        const entry = outlets.get(outlet) || { outlet, official: false, tiers: new Set() };
+        if ((source.credibility?.sourceType ?? source.sourceType) === 'official') entry.official = true;
+        entry.tiers.add(source.credibility?.tier);
+        outlets.set(outlet, entry);
+    }
+
+    const list = [...outlets.values()];
+    return {
+        articleIds: members.map(source => source.id),
+        outlets: list.map(entry => entry.outlet),
+        independentSources: list.length,
+        officialOutlets: list.filter(entry => entry.official).map(entry => entry.outlet),
+        highTierOutlets: list.filter(entry => entry.tiers.has('HIGH')).length,
+        credibleOutlets: list.filter(entry => entry.tiers.has('HIGH') || entry.tiers.has('MEDIUM')).length
+    };
+}
+
+/**
+ * Group sources around each anchor and keep the best-corroborated event
+ */
+function findBestEvent(sources) {
+    const profiles = eventProfiles(sources);
+
+    // Most independent outlets, then most official, then most HIGH-tier
+    const better = (a, b) => a.independentSources - b.independentSources
+        || a.officialOutlets.length - b.officialOutlets.length
+        || a.highTierOutlets - b.highTierOutlets;
+
+    let best = describeEvent([]);
+    sources.forEach((_, i) => {
+        const members = sources.filter((__, j) => j === i || isSameEvent(profiles[i], profiles[j]));
+        const event = describeEvent(members);
+        if (better(event, best) > 0) best = event;
+    });
+    return best;
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Classify confidence from the final sources
+ *
+ * @param {Array} sources - Final sources (credibility attached)
+ * @param {Object} options
+ * @param {Array} options.contradictions - detectContradictions(sources), if already computed
+ * @returns {Object} { label, rule, reasons: string[], event, tierMix, contradictionCount, loweredFrom }
+ *   - event: { articleIds, outlets, independentSources, officialOutlets, highTierOutlets, credibleOutlets }
+ *   - loweredFrom: the rule's label before contradictions lowered it, or null
+ */
+export function classifyConfidence(sources, options = {}) {
+    const { contradictions = detectContradictions(sources) } = options;
+    const event = findBestEvent(sources);
+    const breakdown = getCredibilityBreakdown(sources);
+    const tierMix = {
+        HIGH: breakdown.highCredibilityCount,
+        MEDIUM: breakdown.mediumCredibilityCount,
+        LOW: breakdown.lowCredibilityCount,
+        UNVERIFIED: breakdown.unverifiedCount
+    };
+
+    const reasons = [];
+    const corroboration = event.independentSources > 1
+        ? `${plural(event.independentSources, 'independent outlet')} report the same story (${event.outlets.join(', ')})`
+        : 'No other outlet corroborates the leading story';
+    reasons.push(corroboration);
+
+    let label;
+    let rule;
+    if (event.officialOutlets.length > 0 && event.independentSources >= 2) {
+        label = 'CONFIRMED';
+        rule = 'official_corroborated';
+        reasons.push(`Official source: ${event.officialOutlets.join(', ')}`);
+    } else if (event.highTierOutlets >= 2) {
+        label = 'CONFIRMED';
+        rule = 'high_tier_corroborated';
+        reasons.push(`${event.highTierOutlets} of them are HIGH-credibility outlets`);
+    } else if (event.officialOutlets.length > 0) {
+        label = 'EMERGING';
+        rule = 'official_uncorroborated';
+        reasons.push(`Official source (${event.officialOutlets.join(', ')}) not yet reported elsewhere`);
+    } else if (event.credibleOutlets >= 2) {
+        label = 'EMERGING';
+        rule = 'credible_corroborated';
+        reasons.push('Credible outlets report it, but there is no official confirmation');
+    } else if (event.highTierOutlets >= 1) {
+        label = 'EMERGING';
+        rule = 'single_high_tier';
+        reasons.push('Only one high-credibility outlet and no official confirmation');
+    } else {
+        label = 'RUMOR';
+        rule = 'low_credibility';
+        reasons.push('No official or high-credibility corroboration');
+    }
+
+    let loweredFrom = null;
+    if (contradictions.length > 0) {
+        const topics = contradictions.map(conflict => `${conflict.entity} ${conflict.metric}`);
+        const lowered = LOWER_LABEL[label];
+        reasons.push(`Sources disagree on ${[...new Set(topics)].join(', ')}`
+            + (lowered !== label ? ` - lowered from ${label} to ${lowered}` : ''));
+        if (lowered !== label) {
+            loweredFrom = label;
+            label = lowered;
+        }
+    }
+
+    const weak = tierMix.LOW + tierMix.UNVERIFIED;
+    reasons.push(`Tier mix: ${tierMix.HIGH} high, ${tierMix.MEDIUM} medium, ${weak} low/unverified of ${plural(sources.length, 'source')}`);
+
+    return { label, rule, reasons, event, tierMix, contradictionCount: contradictions.length, loweredFrom };
+}
+
+/**
+ * Computed confidence, compared with the LLM's label
+ *
+ * @param {Array} sources - Final sources (credibility attached)
+ * @param {Object|null} analysis - The LLM/offline analysis
+ * @param {Array} contradictions - detectContradictions(sources), if already computed
+ * @returns {Object} classifyConfidence() result plus { llmLabel, disagrees }
+ */
+export function assessConfidence(sources, analysis, contradictions) {
+    const computed = classifyConfidence(sources, { contradictions });
+    const llmLabel = analysis?.confidence ? String(analysis.confidence).toUpperCase() : null;
+    return {
+        ...computed,
+        llmLabel,
+        disagrees: llmLabel !== null && llmLabel !== computed.label
+    };
+}
+
+export default {
+    CONFIDENCE_RULES,
+    classifyConfidence,
+    assessConfidence
+};
@@ -0,0 +1,24 @@
+/**
+ * Config Helpers
+ *
+ * Shared readers for numeric settings in the environment. Call them where
+ * the value is used rather than at module load: imports run before
+ * index.js has loaded .env, so a value read at import time ignores it.
+ */
+
+/**
+ * Read a positive number from the environment, falling back to a default
+ * when it is unset or not a number
+ *
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default
+ * @returns {number}
+ */
+export function readNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export default {
+    readNumber
+};
@@ -0,0 +1,194 @@
+/**
+ * Contradiction Service
+ *
+ * Notices when the final sources disagree with each other: Bloomberg puts
+ * Azure growth at 34% while a blog says 29%, or one outlet says the RBI
+ * held rates while another says it cut them.
+ *
+ * Two kinds of claim are compared:
+ * - figures     - the source's reported facts (fact-extraction.js):
+ *                 "revenue growth of 34%", "closed at $198.50"
+ * - directions  - a metric and which way it moved ("Azure growth slows",
+ *                 "RBI holds rates steady", "downgraded Tesla"), read from
+ *                 the same clauses the facts come from
+ * Forecasts, estimates ("beating expectations of 29%"), hedged and negated
+ * clauses are skipped - they are not claims about what happened.
+ *
+ * Claims are grouped per entity and metric; figures that agree once rounded
+ * alike (see CURRENCY_TOLERANCE) count as the same side. Two sides CONFLICT when no single outlet backs
+ * both (an outlet quoting the old and the new figure is not a disagreement)
+ * and, for figures, they are within MAX_FIGURE_RATIO of each other and not
+ * for different periods - values further apart usually describe different
+ * things (a segment's revenue vs the company's, Q3 vs Q4). Every side of a
+ * conflict cites its sources.
+ */
+
+import { articleClauses, extractFacts } from './fact-extraction.js';
+import { lookupSource } from './source-registry.js';
+
+// Relative difference for money; percentages are compared at the precision
+// of the less precise figure, so 34% matches 33.7% but 6.5% does not match 6.25%
+const CURRENCY_TOLERANCE = 0.02;
+const MAX_FIGURE_RATIO = 1.5;
+
+const DIRECTION_METRICS = [
+    {
+        metric: 'rating',
+        pattern: /\b(?:upgrade|downgrade)[sd]\b.*\b(?:to|from)\b|\banalysts?\b.*\b(?:upgrade|downgrade)[sd]\b/
+    },
+    { metric: 'interest rate', pattern: /\b(?:repo|interest|policy|benchmark|key) rates?\b|\brates? (?:cut|hike)s?\b/ },
+    { metric: 'inflation', pattern: /\binflation\b/ },
+    { metric: 'revenue', pattern: /\b(?:revenue|sales)\b/ },
+    { metric: 'profit', pattern: /\b(?:profit|earnings|net income)\b/ },
+    { metric: 'share price', pattern: /\b(?:shares|stock|share price)\b/ },
+    { metric: 'growth', pattern: /\bgrowth\b/ }
+];
+
+const DIRECTIONS = {
+    up: /\b(?:rise[sn]?|rose|rising|grow[sn]?|grew|growing|increase[sd]?|surge[sd]?|jump(?:ed|s)?|gain(?:ed|s)?|climb(?:ed|s)?|rall(?:y|ied|ies)|soar(?:ed|s)?|accelerat\w*|rais(?:e|ed|es)|hike[sd]?|upgrade[sd]?)\b/,
+    down: /\b(?:fall(?:s|en|ing)?|fell|declin\w*|drop(?:ped|s)?|cut(?:s|ting)?|slash\w*|slump\w*|plung\w*|tumbl\w*|slow(?:s|ed|ing)?|decelerat\w*|lower(?:ed|s)?|downgrade[sd]?|shr[iu]nk\w*)\b/,
+    flat: /\b(?:holds?|held|unchanged|maintain\w*|steady|flat|pause[sd]?)\b/
+};
+
+const HEDGES = /\b(?:may|might|could|would|if|projected|forecast\w*|predict\w*|expect\w*|likely|plans?|aims?)\b/;
+const NEGATION = /\b(?:not|no|never|without)\b|n't\b/;
+
+// =============================================================================
+// EXTRACTION
+// =============================================================================
+
+/**
+ * Figure and direction claims made by one source
+ *
+ * @param {Object} source - Article with headline and content
+ * @returns {Array} [{ kind: 'figure'|'direction', entity, metric, value?, unit?, currency?, period?, direction?, text, excerpt }]
+ */
+export function extractClaims(source) {
+    const claims = extractFacts(source)
+        .filter(fact => fact.basis === 'reported')
+        .map(({ entity, metric, value, unit, currency, period, text, excerpt }) => ({
+            kind: 'figure', entity, metric, value, unit, currency, period, text, excerpt
+        }));
+
+    for (const clause of articleClauses(source)) {
+        if (!clause.entity || HEDGES.test(clause.lower) || NEGATION.test(clause.lower)) continue;
+
+        const match = DIRECTION_METRICS.find(({ pattern }) => pattern.test(clause.lower));
+        const direction = match && Object.keys(DIRECTIONS).find(key => DIRECTIONS[key].test(clause.lower));
+        if (direction) {
+            const text = clause.lower.match(DIRECTIONS[direction])[0];
+            claims.push({ kind: 'direction', entity: clause.entity, metric: match.metric, direction, text, excerpt: clause.text });
+        }
+    }
+
+    return claims;
+}
+
+// =============================================================================
+// DETECTION
+// =============================================================================
+
+function decimalsOf(text) {
+    return text.match(/\.(\d+)/)?.[1].length ?? 0;
+}
+
+function sameFigure(a, b) {
+    if (a.unit !== b.unit || a.currency !== b.currency) return false;
+    if (a.unit === 'percent') {
+        const decimals = Math.min(decimalsOf(a.text), decimalsOf(b.text));
+        return a.value.toFixed(decimals) === b.value.toFixed(decimals);
+    }
+    return Math.abs(a.value - b.value) <= CURRENCY_TOLERANCE * Math.max(a.value, b.value);
+}
+
+/**
+ * Whether two differing claims are about the same quantity
+ */
+function comparable(a, b) {
+    if (a.kind === 'direction') return true;
+    if (a.unit !== b.unit || a.currency !== b.currency) return false;
+    if (a.period && b.period && a.period !== b.period) return false;
+    const [low, high] = [a.value, b.value].sort((x, y) => x - y);
+    return low > 0 && high / low <= MAX_FIGURE_RATIO;
+}
+
+/**
+ * Group one entity/metric's claims into sides that say the same thing
+ */
+function groupSides(claims) {
+    const sides = [];
+    for (const claim of claims) {
+        const side = sides.find(candidate => (claim.kind === 'figure'
+            ? sameFigure(candidate.claim, claim)
+            : candidate.claim.direction === claim.direction));
+        if (side) side.members.push(claim);
+        else sides.push({ claim, members: [claim] });
+    }
+    return sides;
+}
+
+function describeSide({ claim, members }) {
+    const sources = new Map();
+    for (const member of members) {
+        if (!sources.has(member.sourceId)) {
+            sources.set(member.sourceId, { id: member.sourceId, source: member.source, outlet: member.outlet, excerpt: member.excerpt });
+        }
+    }
+    return {
+        claim: claim.text,
+        ...(claim.kind === 'figure'
+            ? { value: claim.value, unit: claim.unit, currency: claim.currency }
+            : { direction: claim.direction }),
+        sources: [...sources.values()]
+    };
+}
+
+/**
+ * Find claims the final sources disagree on
+ *
+ * @param {Array} sources - Final sources
+ * @returns {Array} Conflicts: [{ entity, metric, kind, summary,
+ *   sides: [{ claim, value?, unit?, currency?, direction?, sources: [{ id, source, outlet, excerpt }] }] }]
+ */
+export function detectContradictions(sources) {
+    const groups = new Map();
+    for (const source of sources) {
+        const outlet = lookupSource(source.source)?.name ?? source.source;
+        for (const claim of extractClaims(source)) {
+            const key = `${claim.kind}|${claim.entity}|${claim.metric}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ ...claim, sourceId: source.id, source: source.source, outlet });
+        }
+    }
+
+    const conflicts = [];
+    for (const claims of groups.values()) {
+        const sides = groupSides(claims);
+        const outlets = sides.map(side => new Set(side.members.map(member => member.outlet)));
+
+        // Sides that clash with at least one other side
+        const clashing = sides.filter((side, i) => sides.some((other, j) => i !== j
+            && comparable(side.claim, other.claim)
+            && ![...outlets[i]].some(outlet => outlets[j].has(outlet))));
+        if (clashing.length < 2) continue;
+
+        const { kind, entity, metric } = claims[0];
+        const described = clashing.map(describeSide);
+        conflicts.push({
+            entity,
+            metric,
+            kind,
+            summary: `${entity} ${metric}: ${described
+                .map(side => `${side.sources.map(s => s.outlet).join(', ')} say${side.sources.length === 1 ? 's' : ''} "${side.claim}"`)
+                .join(' vs ')}`,
+            sides: described
+        });
+    }
+
+    return conflicts;
+}
+
+export default {
+    extractClaims,
+    detectContradictions
+};
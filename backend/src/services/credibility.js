@@ -12,10 +12,22 @@
  * 4. MAJOR_PUBLICATION (lower tier) (0.65) - TechCrunch, MarketWatch
  * 5. SOCIAL_MEDIA (0.40) - Twitter/X, Reddit, unverified sources
  * 6. UNKNOWN (0.30) - Unclassified sources
+ * 
+ * Per-source types and adjustments come from the source registry
+ * (services/source-registry.js). A registered source scores as its
+ * registry type plus adjustment; an unregistered one as the type the
+ * article declares. credibility.rule records which applied.
+ * 
+ * Analyst and social sources also carry a learned adjustment from their
+ * track record - how many of their earlier claims official sources later
+ * confirmed (services/track-record.js).
  */
 
+import { lookupSource } from './source-registry.js';
+import { getTrackRecord } from './track-record.js';
+
 // Credibility score mapping by source type
-const CREDIBILITY_SCORES = {
+export const CREDIBILITY_SCORES = {
     official: 0.95,        // Company announcements, IR, SEC filings
     major_publication: 0.85, // Bloomberg, Reuters, WSJ
     analyst: 0.75,         // Morgan Stanley, Goldman Sachs research
@@ -23,41 +35,25 @@ const CREDIBILITY_SCORES = {
     unknown: 0.30          // Unclassified sources
 };
 
-// Additional source-specific adjustments
-const SOURCE_ADJUSTMENTS = {
-    // Premium sources get a boost
-    'Bloomberg': 0.05,
-    'Reuters': 0.05,
-    'Financial Times': 0.05,
-    'Apple Investor Relations': 0.05,
-    'Microsoft Blog': 0.03,
-    'NVIDIA Investor Relations': 0.05,
-    'Tesla IR': 0.05,
-
-    // Lower-tier publications
-    'TechCrunch': -0.10,
-    'DigiTimes': -0.15,
-    'Electrek': -0.05,
-
-    // Social media gets penalized
-    '@elonmusk': 0.10, // High-profile but still social
-    '@mingchikuo': 0.05, // Known leaker, slightly more credible
-    'Reddit r/teslamotors': -0.10
-};
-
 /**
  * Calculate credibility score for a single article
  * 
  * @param {Object} article - Article object with source and sourceType
  * @returns {Object} Article with credibility metadata attached
+ *   - credibility.rule: { registered, source, matched, sourceType, adjustment,
+ *     trackRecord: { claims, confirmed, contradicted, drift } | null }
  */
 export function assignCredibility(article) {
+    const entry = lookupSource(article.source);
+    const sourceType = entry?.sourceType ?? article.sourceType;
+
     // Base score from source type
-    let baseScore = CREDIBILITY_SCORES[article.sourceType] || CREDIBILITY_SCORES.unknown;
+    let baseScore = CREDIBILITY_SCORES[sourceType] || CREDIBILITY_SCORES.unknown;
 
-    // Apply source-specific adjustments
-    const adjustment = SOURCE_ADJUSTMENTS[article.source] || 0;
-    let finalScore = Math.min(1.0, Math.max(0.1, baseScore + adjustment));
+    // Apply source-specific adjustments, then what the track record taught us
+    const adjustment = entry?.adjustment ?? 0;
+    const trackRecord = getTrackRecord(article.source);
+    let finalScore = Math.min(1.0, Math.max(0.1, baseScore + adjustment + (trackRecord?.drift ?? 0)));
 
     // Determine credibility tier for display
     let tier;
@@ -66,13 +62,23 @@ export function assignCredibility(article) {
     else if (finalScore >= 0.50) tier = 'LOW';
     else tier = 'UNVERIFIED';
 
+    const rule = {
+        registered: !!entry,
+        source: entry?.name ?? null,
+        matched: entry?.matched ?? null,
+        sourceType: CREDIBILITY_SCORES[sourceType] ? sourceType : 'unknown',
+        adjustment,
+        trackRecord
+    };
+
     return {
         ...article,
         credibility: {
             score: finalScore,
             tier: tier,
-            sourceType: article.sourceType,
-            explanation: generateCredibilityExplanation(article, finalScore, tier)
+            sourceType: rule.sourceType,
+            explanation: generateCredibilityExplanation(article, rule),
+            rule
         }
     };
 }
@@ -80,7 +86,7 @@ export function assignCredibility(article) {
 /**
  * Generate human-readable explanation for credibility assignment
  */
-function generateCredibilityExplanation(article, score, tier) {
+function generateCredibilityExplanation(article, rule) {
     const explanations = {
         official: `Official company source (${article.source}) - highest reliability`,
         major_publication: `Major financial publication (${article.source}) - professionally verified`,
@@ -89,7 +95,24 @@ function generateCredibilityExplanation(article, score, tier) {
         unknown: `Unclassified source - credibility uncertain`
     };
 
-    return explanations[article.sourceType] || explanations.unknown;
+    let explanation = explanations[rule.sourceType];
+    if (!rule.registered) {
+        explanation += `; not in source registry, scored as declared type "${rule.sourceType}"`;
+    } else {
+        const via = rule.matched.toLowerCase() !== rule.source.toLowerCase() ? ` via alias "${rule.matched}"` : '';
+        const adjustment = rule.adjustment === 0 ? 'no adjustment' : `adjustment ${signed(rule.adjustment)}`;
+        explanation += `; registry rule "${rule.source}"${via}: ${rule.sourceType}, ${adjustment}`;
+    }
+
+    const record = rule.trackRecord;
+    if (record) {
+        explanation += `; track record: ${record.confirmed} of ${record.claims} prior claim${record.claims === 1 ? '' : 's'} confirmed (${signed(record.drift)})`;
+    }
+    return explanation;
+}
+
+function signed(value) {
+    return `${value > 0 ? '+' : ''}${value}`;
 }
 
 /**
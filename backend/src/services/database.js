@@ -0,0 +1,92 @@
+/**
+ * Database Service
+ * 
+ * Shared embedded SQLite connection (better-sqlite3).
+ * 
+ * The database file lives at DATABASE_PATH (default: backend/data/monitor110.db)
+ * and is created on first use. Pending migrations from src/db/migrations.js
+ * run automatically when the connection opens, so a fresh checkout only
+ * needs `npm start`.
+ * 
+ * better-sqlite3 is synchronous on purpose: queries are local and fast, and a
+ * sync API keeps the retrieval/analysis pipeline free of extra awaits.
+ */
+
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { MIGRATIONS } from '../db/migrations.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_DATABASE_PATH = join(__dirname, '../../data/monitor110.db');
+
+let db = null;
+
+/**
+ * Apply every migration newer than the recorded schema version.
+ * Each migration runs in its own transaction.
+ */
+function runMigrations(database) {
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const applied = new Set(
+        database.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+    const record = database.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+
+        database.transaction(() => {
+            migration.up(database);
+            record.run(migration.version, migration.name, new Date().toISOString());
+        })();
+
+        console.log(`[Database] Applied migration ${migration.version}: ${migration.name}`);
+    }
+}
+
+/**
+ * Get the shared connection, opening and migrating it on first call
+ * 
+ * @returns {Database} better-sqlite3 database handle
+ */
+export function getDatabase() {
+    if (db) return db;
+
+    const path = process.env.DATABASE_PATH ? resolve(process.env.DATABASE_PATH) : DEFAULT_DATABASE_PATH;
+    if (path !== ':memory:') mkdirSync(dirname(path), { recursive: true });
+
+    db = new Database(path);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    runMigrations(db);
+    console.log(`[Database] Connected: ${path}`);
+
+    return db;
+}
+
+/**
+ * Close the shared connection (used on shutdown)
+ */
+export function closeDatabase() {
+    if (db) {
+        db.close();
+        db = null;
+    }
+}
+
+export default {
+    getDatabase,
+    closeDatabase
+};
@@ -0,0 +1,347 @@
+/**
+ * Entity Registry Service
+ *
+ * One table of the companies, assets, institutions, sectors and topics the
+ * dataset covers. Retrieval (query expansion), ingestion and the article API
+ * (company tagging) and the relevance guardrail all read it, so a name only
+ * has to be taught once.
+ *
+ * Each entity has:
+ * - ticker    - the tag stored on articles' `companies` ("TSLA", "BANKS")
+ * - name      - display name
+ * - kind      - company | asset | institution | sector | topic
+ * - aliases   - names that identify the entity; text mentioning one is tagged
+ *               with the ticker. An alias belongs to exactly one entity.
+ * - keywords  - related terms ("iphone", "gpu") that only count towards query
+ *               relevance; they may repeat across entities
+ * - sector, region, exchange, peers (tickers)
+ *
+ * Text is matched longest alias first, so "Tata Consultancy" tags TCS and
+ * not TATA as well.
+ *
+ * The defaults ship in data/entity-registry.json. Entities added or edited
+ * through the API are stored in SQLite (entity_overrides) and replace the
+ * file entry with the same ticker, so aliases can be fixed without a deploy.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getDatabase } from './database.js';
+import { tokenize } from './text.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const REGISTRY_PATH = join(__dirname, '../data/entity-registry.json');
+
+export const ENTITY_KINDS = ['company', 'asset', 'institution', 'sector', 'topic'];
+
+const TICKER_PATTERN = /^[A-Z0-9][A-Z0-9.\-]{0,14}$/;
+const MAX_TERMS = 50;
+const MAX_TERM_LENGTH = 60;
+
+// Lazily built: { entities: Map<ticker, entity>, aliases: Map<alias, ticker>, maxAliasTokens }
+let registry = null;
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Normalize a term the way text is tokenized: "Dr. Reddy's" → "dr reddy's"
+ */
+function normalizeTerm(term) {
+    return tokenize(term).join(' ');
+}
+
+function normalizeTerms(input, field, errors) {
+    if (input == null) return [];
+    if (!Array.isArray(input) || input.length > MAX_TERMS) {
+        errors.push(`${field} must be an array of at most ${MAX_TERMS} strings`);
+        return [];
+    }
+    const terms = new Set();
+    for (const term of input) {
+        const normalized = typeof term === 'string' && term.length <= MAX_TERM_LENGTH ? normalizeTerm(term) : '';
+        if (!normalized) {
+            errors.push(`${field} entries must be non-empty strings of at most ${MAX_TERM_LENGTH} characters`);
+            continue;
+        }
+        terms.add(normalized);
+    }
+    return [...terms];
+}
+
+function optionalString(input, field, errors) {
+    const value = input[field];
+    if (value == null || value === '') return null;
+    if (typeof value !== 'string' || value.length > 60) {
+        errors.push(`${field} must be a string of at most 60 characters`);
+        return null;
+    }
+    return value.trim();
+}
+
+/**
+ * Validate and normalize an entity
+ *
+ * Aliases already owned by another entity are rejected.
+ *
+ * @param {Object} input - Raw entity
+ * @param {Object} options
+ * @param {string} options.ticker - Ticker to use (e.g. from the URL on PUT)
+ * @returns {Object} { valid, errors, value }
+ */
+export function validateEntity(input, options = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: ['Entity must be a JSON object'], value: null };
+    }
+
+    const errors = [];
+
+    const ticker = String(options.ticker ?? input.ticker ?? '').trim().toUpperCase();
+    if (!TICKER_PATTERN.test(ticker)) {
+        errors.push('ticker is required: 1-15 characters, letters, digits, "." or "-"');
+    }
+
+    if (typeof input.name !== 'string' || input.name.trim().length === 0 || input.name.length > 100) {
+        errors.push('name is required and must be a string of at most 100 characters');
+    }
+
+    const kind = input.kind ?? 'company';
+    if (!ENTITY_KINDS.includes(kind)) {
+        errors.push(`kind must be one of: ${ENTITY_KINDS.join(', ')}`);
+    }
+
+    const aliases = normalizeTerms(input.aliases, 'aliases', errors);
+    const keywords = normalizeTerms(input.keywords, 'keywords', errors);
+
+    let peers = [];
+    if (input.peers != null) {
+        if (!Array.isArray(input.peers) || input.peers.some(peer => !TICKER_PATTERN.test(String(peer).trim().toUpperCase()))) {
+            errors.push('peers must be an array of tickers');
+        } else {
+            peers = [...new Set(input.peers.map(peer => String(peer).trim().toUpperCase()))].filter(peer => peer !== ticker);
+        }
+    }
+
+    const sector = optionalString(input, 'sector', errors);
+    const region = optionalString(input, 'region', errors);
+    const exchange = optionalString(input, 'exchange', errors);
+
+    if (errors.length === 0) {
+        const { aliases: owners } = loadRegistry();
+        for (const alias of aliases) {
+            const owner = owners.get(alias);
+            if (owner && owner !== ticker) errors.push(`alias "${alias}" already belongs to ${owner}`);
+        }
+    }
+
+    if (errors.length > 0) return { valid: false, errors, value: null };
+
+    return {
+        valid: true,
+        errors: [],
+        value: {
+            ticker,
+            name: input.name.trim(),
+            kind,
+            aliases,
+            keywords,
+            sector: sector?.toLowerCase() ?? null,
+            region: region?.toUpperCase() ?? null,
+            exchange: exchange?.toUpperCase() ?? null,
+            peers
+        }
+    };
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+function buildRegistry(list) {
+    const entities = new Map(list.map(entity => [entity.ticker, entity]));
+    const aliases = new Map();
+    let maxAliasTokens = 1;
+
+    for (const entity of entities.values()) {
+        for (const alias of entity.aliases) {
+            if (aliases.has(alias) && aliases.get(alias) !== entity.ticker) {
+                console.warn(`[Entities] Alias "${alias}" claimed by ${aliases.get(alias)} and ${entity.ticker} - keeping ${aliases.get(alias)}`);
+                continue;
+            }
+            aliases.set(alias, entity.ticker);
+            maxAliasTokens = Math.max(maxAliasTokens, alias.split(' ').length);
+        }
+    }
+
+    return { entities, aliases, maxAliasTokens };
+}
+
+/**
+ * Read the registry file and apply the stored overrides
+ */
+function loadRegistry() {
+    if (registry) return registry;
+
+    const merged = new Map();
+    for (const entity of JSON.parse(readFileSync(REGISTRY_PATH, 'utf-8')).entities) {
+        merged.set(entity.ticker, entity);
+    }
+    for (const row of getDatabase().prepare('SELECT data FROM entity_overrides').all()) {
+        const entity = JSON.parse(row.data);
+        merged.set(entity.ticker, entity);
+    }
+
+    registry = buildRegistry([...merged.values()]);
+    console.log(`[Entities] Loaded ${registry.entities.size} entities, ${registry.aliases.size} aliases`);
+    return registry;
+}
+
+function saveOverride(entity) {
+    getDatabase().prepare(`
+        INSERT INTO entity_overrides (ticker, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(ticker) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(entity.ticker, JSON.stringify(entity), new Date().toISOString());
+
+    // Rebuild on next read so the alias index picks up the change
+    registry = null;
+    return getEntity(entity.ticker);
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * List entities, optionally filtered
+ *
+ * @param {Object} filters
+ * @param {string} filters.kind - company | asset | institution | sector | topic
+ * @param {string} filters.sector - e.g. "banking"
+ * @param {string} filters.region - e.g. "IN"
+ * @param {string} filters.q - Case-insensitive match on ticker, name or alias
+ * @returns {Array} Entities sorted by ticker
+ */
+export function listEntities(filters = {}) {
+    const { kind, sector, region, q } = filters;
+    const needle = q ? q.toLowerCase() : null;
+
+    return [...loadRegistry().entities.values()]
+        .filter(entity => !kind || entity.kind === kind)
+        .filter(entity => !sector || entity.sector === sector.toLowerCase())
+        .filter(entity => !region || entity.region === region.toUpperCase())
+        .filter(entity => !needle
+            || entity.ticker.toLowerCase().includes(needle)
+            || entity.name.toLowerCase().includes(needle)
+            || entity.aliases.some(alias => alias.includes(needle)))
+        .sort((a, b) => a.ticker.localeCompare(b.ticker));
+}
+
+/**
+ * @param {string} ticker - Entity ticker (case-insensitive)
+ * @returns {Object|null} The entity, or null if unknown
+ */
+export function getEntity(ticker) {
+    return loadRegistry().entities.get(String(ticker).toUpperCase()) || null;
+}
+
+/**
+ * Resolve the entities a piece of text names, longest alias first
+ *
+ * @param {string} text - Query, headline or content
+ * @returns {string[]} Unique tickers in order of first mention (e.g. ["TCS", "INFY"])
+ */
+export function resolveEntities(text) {
+    const { aliases, maxAliasTokens } = loadRegistry();
+    const tokens = tokenize(text);
+    const tickers = new Set();
+
+    for (let i = 0; i < tokens.length;) {
+        let matched = 0;
+        for (let n = Math.min(maxAliasTokens, tokens.length - i); n > 0; n--) {
+            const ticker = aliases.get(tokens.slice(i, i + n).join(' '));
+            if (ticker) {
+                tickers.add(ticker);
+                matched = n;
+                break;
+            }
+        }
+        i += matched || 1;
+    }
+
+    return [...tickers];
+}
+
+/**
+ * Every entity with the terms that signal it in a query: aliases, keywords
+ * and the lowercase ticker
+ *
+ * @returns {Array} [{ ticker, kind, aliases, terms }]
+ */
+export function getEntityVocabulary() {
+    return [...loadRegistry().entities.values()].map(entity => ({
+        ticker: entity.ticker,
+        kind: entity.kind,
+        aliases: entity.aliases,
+        terms: [...new Set([entity.ticker.toLowerCase(), ...entity.aliases, ...entity.keywords])]
+    }));
+}
+
+// =============================================================================
+// MANAGEMENT
+// =============================================================================
+
+/**
+ * Add or replace an entity
+ *
+ * @param {Object} value - Validated entity (see validateEntity)
+ * @returns {Object} The stored entity
+ */
+export function saveEntity(value) {
+    return saveOverride(value);
+}
+
+/**
+ * Add aliases to an entity
+ *
+ * @param {string} ticker - Entity ticker
+ * @param {string[]} aliases - New aliases
+ * @returns {Object} { entity, errors } - entity is null when the ticker is unknown
+ */
+export function addAliases(ticker, aliases) {
+    const entity = getEntity(ticker);
+    if (!entity) return { entity: null, errors: [] };
+
+    const { valid, errors, value } = validateEntity({ ...entity, aliases: [...entity.aliases, ...(Array.isArray(aliases) ? aliases : [aliases])] });
+    if (!valid) return { entity, errors };
+    return { entity: saveOverride(value), errors: [] };
+}
+
+/**
+ * Remove one alias from an entity
+ *
+ * @param {string} ticker - Entity ticker
+ * @param {string} alias - Alias to remove (any case/punctuation)
+ * @returns {Object|null} The updated entity, or null if the ticker or alias is unknown
+ */
+export function removeAlias(ticker, alias) {
+    const entity = getEntity(ticker);
+    const normalized = normalizeTerm(alias);
+    if (!entity || !entity.aliases.includes(normalized)) return null;
+    return saveOverride({ ...entity, aliases: entity.aliases.filter(a => a !== normalized) });
+}
+
+export default {
+    ENTITY_KINDS,
+    validateEntity,
+    listEntities,
+    getEntity,
+    resolveEntities,
+    getEntityVocabulary,
+    saveEntity,
+    addAliases,
+    removeAlias
+};
@@ -0,0 +1,100 @@
+/**
+ * Entity Sentiment Service
+ *
+ * Sentiment over time for one ticker or sector, computed straight from its
+ * articles (no LLM call). Articles are grouped into date buckets
+ * (faceted-search's dateBucket); each bucket carries:
+ *
+ * - score        - credibility-weighted mean of the article lexicon scores
+ *                  (sentiment.js), so one official filing outweighs a
+ *                  handful of social posts
+ * - articleCount - articles in the bucket
+ * - tierMix      - article count per credibility tier
+ *
+ * The entity is looked up as a ticker first (getArticlesByCompany); if no
+ * article is tagged with it, it is treated as a sector name.
+ */
+
+import { getArticlesByCompany } from './retrieval.js';
+import { queryArticles } from './article-store.js';
+import { assignCredibility } from './credibility.js';
+import { scoreArticle, labelSentiment } from './sentiment.js';
+import { dateBucket } from './faceted-search.js';
+import { isWithinWindow } from './time-window.js';
+
+const TIERS = ['HIGH', 'MEDIUM', 'LOW', 'UNVERIFIED'];
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function summarizeBucket(articles) {
+    let weightedSum = 0;
+    let totalWeight = 0;
+    const tierMix = Object.fromEntries(TIERS.map(tier => [tier, 0]));
+
+    for (const article of articles) {
+        const weight = article.credibility.score;
+        weightedSum += scoreArticle(article).score * weight;
+        totalWeight += weight;
+        tierMix[article.credibility.tier]++;
+    }
+
+    const score = totalWeight === 0 ? 0 : round(weightedSum / totalWeight);
+    return { score, sentiment: labelSentiment(score), articleCount: articles.length, tierMix };
+}
+
+/**
+ * Find an entity's articles: by ticker, else by sector
+ *
+ * @param {string} entity - Ticker ("TSLA") or sector ("crypto")
+ * @returns {Object} { kind: 'ticker' | 'sector', articles }
+ */
+function findEntityArticles(entity) {
+    const byTicker = getArticlesByCompany(entity.toUpperCase());
+    if (byTicker.length > 0) return { kind: 'ticker', articles: byTicker };
+    return { kind: 'sector', articles: queryArticles({ sector: entity.toLowerCase() }) };
+}
+
+/**
+ * Sentiment series for a ticker or sector
+ *
+ * @param {string} entity - Ticker or sector
+ * @param {Object} params
+ * @param {string} params.interval - day | week | month (default: day)
+ * @param {Object} params.timeWindow - Resolved window (see resolveTimeWindow)
+ * @returns {Object} { entity, kind, interval, articleCount, overall, series }
+ *   - series is oldest first; kind is null when the entity has no articles at all
+ */
+export function getEntitySentimentSeries(entity, params = {}) {
+    const { interval = 'day', timeWindow = null } = params;
+    const { kind, articles } = findEntityArticles(entity);
+
+    const scored = articles
+        .filter(article => !timeWindow || isWithinWindow(article.timestamp, timeWindow))
+        .map(assignCredibility);
+
+    const buckets = new Map();
+    for (const article of scored) {
+        const key = dateBucket(article.timestamp, interval);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(article);
+    }
+
+    const series = [...buckets]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([bucket, members]) => ({ bucket, ...summarizeBucket(members) }));
+
+    return {
+        entity: kind === 'ticker' ? entity.toUpperCase() : entity.toLowerCase(),
+        kind: articles.length > 0 ? kind : null,
+        interval,
+        articleCount: scored.length,
+        overall: scored.length > 0 ? summarizeBucket(scored) : null,
+        series
+    };
+}
+
+export default {
+    getEntitySentimentSeries
+};
@@ -0,0 +1,130 @@
+/**
+ * Event Similarity
+ *
+ * The one definition of "the same event" shared by story clustering,
+ * confidence corroboration and source track records. Two articles report
+ * the same event when they
+ * - name a common entity - a company, institution or asset; sector and
+ *   topic tags ("BANKS", "EV") are shared by unrelated news and don't count,
+ * - were published within the caller's time gap (MAX_GAP_HOURS by default),
+ * - and either state a figure for a shared entity and the same metric and
+ *   period (fact-extraction.js; at least one of them names the period), or
+ *   share at least MIN_SHARED_TERMS terms and MIN_TERM_OVERLAP of the
+ *   shorter article's terms.
+ *
+ * Terms naming an article's own entities (tickers, aliases) don't count:
+ * every candidate shares them, so "Apple" plus "revenue" settles nothing.
+ *
+ * Comparisons run on profiles (eventProfiles), which hold the terms,
+ * entities and facts of each article, so a pairwise pass over many
+ * articles analyzes each text only once.
+ */
+
+import { analyzeText } from './text.js';
+import { getEntity, resolveEntities } from './entity-registry.js';
+import { getFactsForArticles } from './fact-extraction.js';
+
+const MAX_GAP_HOURS = 72;
+const MIN_TERM_OVERLAP = 0.4;
+const MIN_SHARED_TERMS = 3;
+
+const BROAD_KINDS = new Set(['sector', 'topic']);
+
+function entityTerms(tickers) {
+    const terms = new Set();
+    for (const ticker of tickers) {
+        for (const name of [ticker, ...(getEntity(ticker)?.aliases || [])]) {
+            for (const term of analyzeText(name)) terms.add(term);
+        }
+    }
+    return terms;
+}
+
+/**
+ * Whether two fact lists state a figure for one of the entities, the same
+ * metric and the same period
+ */
+function sharesFact(facts, otherFacts, entities) {
+    return facts.some(fact => entities.includes(fact.entity) && otherFacts.some(other =>
+        other.entity === fact.entity
+        && other.metric === fact.metric
+        && Boolean(fact.period || other.period)
+        && (!fact.period || !other.period || fact.period === other.period)));
+}
+
+/**
+ * What event comparisons need from each article
+ *
+ * @param {Array} articles - Articles in the corpus schema
+ * @returns {Array} Profiles in article order: { article, time, entities: Set, terms: Set, facts }
+ */
+export function eventProfiles(articles) {
+    const facts = new Map();
+    for (const fact of getFactsForArticles(articles)) {
+        if (!facts.has(fact.sourceId)) facts.set(fact.sourceId, []);
+        facts.get(fact.sourceId).push(fact);
+    }
+
+    return articles.map(article => {
+        const text = `${article.headline} ${article.content || ''}`;
+        const entities = new Set([...(article.companies || []), ...resolveEntities(text)]
+            .filter(ticker => !BROAD_KINDS.has(getEntity(ticker)?.kind)));
+        const ignored = entityTerms(entities);
+
+        return {
+            article,
+            time: new Date(article.timestamp).getTime(),
+            entities,
+            terms: new Set(analyzeText(text).filter(term => !ignored.has(term))),
+            facts: facts.get(article.id) || []
+        };
+    });
+}
+
+/**
+ * How two articles relate
+ *
+ * @param {Object} a - Profile (see eventProfiles)
+ * @param {Object} b - Profile
+ * @returns {Object} { entities, gapHours, sharedTerms, overlap, sharedFact }
+ *   - overlap: shared terms over the shorter article's terms (0-1)
+ */
+export function compareEvents(a, b) {
+    const entities = [...a.entities].filter(ticker => b.entities.has(ticker));
+    let sharedTerms = 0;
+    for (const term of a.terms) if (b.terms.has(term)) sharedTerms++;
+    const smaller = Math.min(a.terms.size, b.terms.size);
+
+    return {
+        entities,
+        gapHours: Math.abs(a.time - b.time) / 3600000,
+        sharedTerms,
+        overlap: smaller === 0 ? 0 : sharedTerms / smaller,
+        sharedFact: entities.length > 0 && sharesFact(a.facts, b.facts, entities)
+    };
+}
+
+/**
+ * Whether two articles report the same event
+ *
+ * @param {Object} a - Profile (see eventProfiles)
+ * @param {Object} b - Profile
+ * @param {Object} options
+ * @param {number} options.maxGapHours - Maximum time between them (default 72)
+ * @param {number} options.minOverlap - Term overlap that links them without a shared fact (default 0.4)
+ * @returns {boolean}
+ */
+export function isSameEvent(a, b, options = {}) {
+    const { maxGapHours = MAX_GAP_HOURS, minOverlap = MIN_TERM_OVERLAP } = options;
+    if (!(Math.abs(a.time - b.time) <= maxGapHours * 3600000)) return false;
+    if (![...a.entities].some(ticker => b.entities.has(ticker))) return false;
+
+    const { sharedTerms, overlap, sharedFact } = compareEvents(a, b);
+    return sharedFact || (sharedTerms >= MIN_SHARED_TERMS && overlap >= minOverlap);
+}
+
+export default {
+    eventProfiles,
+    compareEvents,
+    isSameEvent
+};
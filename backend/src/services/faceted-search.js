@@ -0,0 +1,155 @@
+/**
+ * Faceted Search Service
+ *
+ * Lets analysts browse the evidence behind an analysis without an LLM call:
+ * ranked articles plus facet counts by sector, source type, company,
+ * credibility tier and date bucket.
+ *
+ * Ranking reuses the analyze pipeline's retrieval (BM25 + LSA, recency
+ * decay, time window) when there is a query, and falls back to newest-first
+ * over the store when there is none. Credibility comes from the same
+ * assignCredibility() the pipeline uses.
+ *
+ * Facet counts are disjunctive: each facet is counted with every filter
+ * applied except its own, so selecting sector=crypto still shows how many
+ * results the other sectors would add.
+ */
+
+import { retrieveRelevantContent } from './retrieval.js';
+import { queryArticles } from './article-store.js';
+import { assignCredibility } from './credibility.js';
+import { isWithinWindow } from './time-window.js';
+
+// Upper bound on the ranked candidate set a query can produce
+const MAX_CANDIDATES = 500;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SNIPPET_LENGTH = 240;
+
+export const DATE_INTERVALS = ['day', 'week', 'month'];
+export const SORT_ORDERS = ['relevance', 'date', 'credibility'];
+
+/**
+ * Date bucket key for a timestamp: 2026-01-29 (day), 2026-01-26 (week,
+ * Monday start) or 2026-01 (month)
+ */
+export function dateBucket(timestamp, interval = 'day') {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return 'undated';
+    if (interval === 'month') return date.toISOString().slice(0, 7);
+    if (interval === 'week') {
+        const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+        date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+// Facet name → values an article contributes
+const FACETS = {
+    sector: article => [article.sector || 'general'],
+    sourceType: article => [article.sourceType],
+    companies: article => article.companies || [],
+    credibilityTier: article => [article.credibility.tier],
+    date: (article, interval) => [dateBucket(article.timestamp, interval)]
+};
+
+function countFacet(articles, facet, interval) {
+    const counts = new Map();
+    for (const article of articles) {
+        for (const value of new Set(FACETS[facet](article, interval))) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+    }
+    const entries = [...counts].map(([value, count]) => ({ value, count }));
+    // Dates read chronologically, everything else by popularity
+    return facet === 'date'
+        ? entries.sort((a, b) => b.value.localeCompare(a.value))
+        : entries.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+function matchesFilters(article, filters, interval, skipFacet) {
+    return Object.entries(filters).every(([facet, values]) => {
+        if (facet === skipFacet || values.length === 0) return true;
+        return FACETS[facet](article, interval).some(value => values.includes(value));
+    });
+}
+
+function toResult(article) {
+    return {
+        id: article.id,
+        headline: article.headline,
+        snippet: article.content.length > SNIPPET_LENGTH
+            ? `${article.content.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, '')}…`
+            : article.content,
+        source: article.source,
+        sourceType: article.sourceType,
+        sector: article.sector,
+        companies: article.companies,
+        timestamp: article.timestamp,
+        ...(article.url ? { url: article.url } : {}),
+        credibility: article.credibility,
+        relevanceScore: article.relevanceScore ?? null,
+        retrievers: article.retrievers
+    };
+}
+
+/**
+ * Search the corpus with facets and pagination
+ *
+ * @param {Object} params
+ * @param {string} params.query - Free-text query (optional; empty = browse newest first)
+ * @param {Object} params.filters - Facet name → accepted values, e.g. { sector: ['crypto'] }
+ * @param {Object} params.timeWindow - Resolved window (see resolveTimeWindow)
+ * @param {string} params.interval - Date bucket size: day | week | month (default: day)
+ * @param {string} params.sort - relevance | date | credibility (default: relevance with a query, else date)
+ * @param {number} params.page - 1-based page (default: 1)
+ * @param {number} params.pageSize - Results per page (default: 20, max: 100)
+ * @returns {Object} { total, page, pageSize, totalPages, results, facets }
+ */
+export function searchArticles(params = {}) {
+    const { query = '', filters = {}, timeWindow = null, interval = 'day' } = params;
+    const sort = params.sort || (query ? 'relevance' : 'date');
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(params.pageSize) || DEFAULT_PAGE_SIZE));
+    const page = Math.max(1, Math.floor(params.page) || 1);
+
+    const candidates = query
+        ? retrieveRelevantContent(query, { maxResults: MAX_CANDIDATES, timeWindow })
+        : queryArticles({ from: timeWindow?.from ?? undefined, to: timeWindow?.to ?? undefined });
+
+    const scored = candidates
+        .filter(article => !timeWindow || isWithinWindow(article.timestamp, timeWindow))
+        .map(assignCredibility);
+
+    const matches = scored.filter(article => matchesFilters(article, filters, interval));
+
+    if (sort === 'date') {
+        matches.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+    } else if (sort === 'credibility') {
+        matches.sort((a, b) => b.credibility.score - a.credibility.score);
+    }
+    // 'relevance' keeps the retrieval order
+
+    const facets = Object.fromEntries(
+        Object.keys(FACETS).map(facet => [
+            facet,
+            countFacet(scored.filter(article => matchesFilters(article, filters, interval, facet)), facet, interval)
+        ])
+    );
+
+    return {
+        total: matches.length,
+        page,
+        pageSize,
+        totalPages: Math.ceil(matches.length / pageSize),
+        sort,
+        results: matches.slice((page - 1) * pageSize, page * pageSize).map(toResult),
+        facets
+    };
+}
+
+export default {
+    DATE_INTERVALS,
+    SORT_ORDERS,
+    dateBucket,
+    searchArticles
+};
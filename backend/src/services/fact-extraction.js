@@ -0,0 +1,365 @@
+/**
+ * Fact Extraction Service
+ *
+ * Pulls typed financial facts out of article text, so the hard numbers
+ * ("revenue of $123.9 billion", "34% year-over-year", "cut the repo rate
+ * by 25 basis points") reach the user as data rather than only as prose.
+ *
+ * Each fact:
+ * - entity   - ticker the clause is about (entity registry)
+ * - metric   - what was measured ("revenue", "revenue growth", "price target", ...)
+ * - value    - number, scaled ("$1.5 billion" → 1500000000)
+ * - unit     - percent | currency | bps | count; currency carries USD/INR/EUR/GBP
+ * - period   - "Q4 2026", "FY2025", "January", "YTD", ... or null
+ * - basis    - reported | forecast (may, projected, will, target, ...) |
+ *              estimate (expectations, consensus) - only reported facts are
+ *              claims about what happened
+ * - text     - the figure as written; excerpt - the clause it came from
+ * - sourceId, source - the article
+ *
+ * Text is split into sentences and clauses; a figure becomes a fact when its
+ * clause names a metric of the figure's unit (FIGURE_METRICS) - the mention
+ * nearest the figure wins, earlier metrics on ties. Ranges ("18-20%"),
+ * small bare numbers ("Vision Pro 2", "Microsoft 365") and negated clauses
+ * are skipped. A clause's entity is the one it names,
+ * else one its sentence names that the article is about, else the
+ * headline's (or the article's only company).
+ *
+ * Facts are extracted when articles are added (retrieval.addArticles) and
+ * stored per article in SQLite (article_facts); backfillFacts() covers
+ * articles stored before.
+ */
+
+import { getDatabase } from './database.js';
+import { queryArticles } from './article-store.js';
+import { resolveEntities } from './entity-registry.js';
+
+export const FACT_UNITS = ['percent', 'currency', 'bps', 'count'];
+export const FACT_BASES = ['reported', 'forecast', 'estimate'];
+
+// A figure takes the metric of its unit mentioned nearest to it; `after`
+// metrics must be named right after the figure ("500,000 paid seats")
+const FIGURE_METRICS = [
+    { metric: 'price target', unit: 'currency', pattern: /\bprice target\b/ },
+    { metric: 'revenue', unit: 'currency', pattern: /\b(?:revenue|turnover)\b/ },
+    { metric: 'sales', unit: 'currency', pattern: /\bsales\b/ },
+    { metric: 'profit', unit: 'currency', pattern: /\b(?:profit|earnings|net income)\b/ },
+    { metric: 'share price', unit: 'currency', pattern: /\b(?:shares?|stock)\b.*\b(?:closed|traded|trading|hit|reached)\b|\bclosed at\b|\btrading at\b/ },
+    { metric: 'deal value', unit: 'currency', pattern: /\b(?:deal|contract|acquire|acquisition|valued)\b/ },
+    { metric: 'investment', unit: 'currency', pattern: /\binvest(?:s|ed|ing|ments?)?\b/ },
+    { metric: 'inflows', unit: 'currency', pattern: /\binflows?\b/ },
+    { metric: 'funding', unit: 'currency', pattern: /\b(?:secures?|secured|raised?|raises|funding)\b/ },
+    { metric: 'price', unit: 'currency', pattern: /\bprices?\b|\bhigh of\b|\bsurge[sd]? past\b|\btrading at\b/ },
+
+    { metric: 'interest rate', unit: 'percent', pattern: /\b(?:repo|interest|policy|benchmark) rates?\b/ },
+    { metric: 'interest rate change', unit: 'bps', pattern: /\brates?\b/ },
+    { metric: 'inflation', unit: 'percent', pattern: /\binflation\b/ },
+    { metric: 'market share', unit: 'percent', pattern: /\bmarket share\b/ },
+    { metric: 'share of revenue', unit: 'percent', pattern: /\bof (?:total |its )?(?:\w+ )?revenue\b/ },
+    { metric: 'revenue growth', unit: 'percent', pattern: /\brevenue\b.*\b(?:growth|grew|grow|increase|rose|jump|surge)|\b(?:growth|increase|jump|rise)\b.*\brevenue\b/ },
+    { metric: 'sales growth', unit: 'percent', pattern: /\bsales\b.*\b(?:growth|grew|grow|increase|rose|jump|surge)|\b(?:growth|increase|jump|rise)\b.*\bsales\b/ },
+    {
+        metric: 'profit growth',
+        unit: 'percent',
+        pattern: /\b(?:profit|earnings|net income)\b.*\b(?:growth|grew|grow|increase|rose|jump|surge)|\b(?:growth|increase|jump|rise)\b.*\b(?:profit|earnings|net income)\b/
+    },
+    { metric: 'credit growth', unit: 'percent', pattern: /\bcredit\b.*\bgrowth\b|\bgrowth\b.*\bcredit\b/ },
+    { metric: 'share price change', unit: 'percent', pattern: /\b(?:shares?|stock)\b.*\b(?:gain|rose|fell|jump|drop|climb|slump)\w*/ },
+
+    { metric: 'deliveries', unit: 'count', pattern: /\bdeliver(?:ed|ies|y)\b/ },
+    { metric: 'production', unit: 'count', pattern: /\b(?:production|produced|units per)\b/ },
+    { metric: 'users', unit: 'count', after: true, pattern: /^\s?(?:[\w-]+ ){0,2}(?:seats|subscribers|users|customers|accounts)\b/ },
+    { metric: 'index level', unit: 'count', pattern: /\b(?:sensex|nifty|index)\b.*\b(?:crossed|closed|hit|reached)\b/ }
+];
+
+const ESTIMATE = /\b(?:expectations?|estimates?|consensus)\b/;
+const FORECAST = /\b(?:may|might|could|would|will|if|projected|forecast\w*|predict\w*|expect\w*|likely|plans?|aims?|target|guidance|outlook)\b/;
+const NEGATION = /\b(?:not|no|never|without)\b|n't\b/;
+
+const CURRENCIES = { '$': 'USD', usd: 'USD', '₹': 'INR', rs: 'INR', 'rs.': 'INR', inr: 'INR', '€': 'EUR', eur: 'EUR', '£': 'GBP', gbp: 'GBP' };
+const SCALES = { trillion: 1e12, billion: 1e9, bn: 1e9, million: 1e6, mn: 1e6, crore: 1e7, lakh: 1e5, k: 1e3 };
+
+const PERCENT_PATTERN = /(\d+(?:\.\d+)?)\s?(?:%|percent\b|per cent\b)/g;
+const BPS_PATTERN = /(\d+)\s?(?:basis points?|bps)\b/g;
+const CURRENCY_PATTERN = /(\$|₹|€|£|\brs\.?|\busd|\binr|\beur|\bgbp)\s?(\d[\d,]*(?:\.\d+)?)(?:\s?(trillion|billion|bn|million|mn|crore|lakh|k)\b)?/g;
+const COUNT_PATTERN = /\b(\d[\d,]*(?:\.\d+)?)(?:\s?(million|mn|billion|bn|crore|lakh|k)\b)?(?!\s?(?:%|percent|per cent|basis|bps))/g;
+const RANGE_PATTERN = /[$₹€£]?\d[\d,]*(?:\.\d+)?\s?[-–]\s?[$₹€£]?\d[\d,]*(?:\.\d+)?(?:\s?(?:%|percent\b|per cent\b|trillion\b|billion\b|bn\b|million\b|mn\b|crore\b|lakh\b))?/g;
+
+// Bare counts below this are model numbers and product names, not figures
+const MIN_BARE_COUNT = 1000;
+
+const QUARTERS = { first: 1, second: 2, third: 3, fourth: 4 };
+const MONTHS = 'january|february|march|april|may|june|july|august|september|october|november|december';
+
+// =============================================================================
+// TEXT
+// =============================================================================
+
+function splitSentences(text) {
+    return text.split(/(?<=[.!?])\s+(?=[A-Z])/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+function splitClauses(sentence) {
+    return sentence.split(/[,;:]\s+|\s+(?:while|whereas|but)\s+/i).map(clause => clause.trim()).filter(Boolean);
+}
+
+/**
+ * The headline and every clause of an article, each with the entity it is about
+ *
+ * @param {Object} article - Article with headline, content and companies
+ * @returns {Array} [{ text, lower, entity, sentence }] - entity is null when none applies
+ */
+export function articleClauses(article) {
+    const headlineEntities = resolveEntities(article.headline);
+    const about = new Set([...headlineEntities, ...(article.companies || [])]);
+    const fallback = headlineEntities[0]
+        ?? (article.companies?.length === 1 ? article.companies[0] : null);
+
+    const clauses = [];
+    for (const sentence of [article.headline, ...splitSentences(article.content || '')]) {
+        const sentenceEntity = resolveEntities(sentence).find(ticker => about.has(ticker)) ?? fallback;
+        for (const text of splitClauses(sentence)) {
+            const named = resolveEntities(text);
+            const entity = named.find(ticker => about.has(ticker)) ?? named[0] ?? sentenceEntity;
+            clauses.push({ text, lower: text.toLowerCase(), entity, sentence });
+        }
+    }
+    return clauses;
+}
+
+/**
+ * Reporting period named in a clause (or, failing that, its sentence)
+ *
+ * @param {string} text - Clause or sentence
+ * @returns {string|null} e.g. "Q4 2026", "Q4", "FY2025", "January 2026", "2025", "YTD"
+ */
+function findPeriod(text) {
+    const lower = text.toLowerCase();
+
+    const quarter = lower.match(/\bq([1-4])(?:\s?(?:fy)?\s?'?(\d{4}|\d{2}))?\b/)
+        || lower.match(/\b(first|second|third|fourth)[ -]quarter(?: of (\d{4}))?\b/);
+    if (quarter) {
+        const number = QUARTERS[quarter[1]] ?? quarter[1];
+        return quarter[2] ? `Q${number} ${quarter[2].length === 2 ? `20${quarter[2]}` : quarter[2]}` : `Q${number}`;
+    }
+
+    const fiscal = lower.match(/\bfy\s?'?(\d{4}|\d{2})\b|\bfiscal(?: year)? (\d{4})\b/);
+    if (fiscal) {
+        const year = fiscal[1] || fiscal[2];
+        return `FY${year.length === 2 ? `20${year}` : year}`;
+    }
+
+    if (/\byear-to-date\b|\bytd\b/.test(lower)) return 'YTD';
+
+    const month = lower.match(new RegExp(`\\b(?:in|for|during|since) (${MONTHS})(?: (\\d{4}))?\\b`));
+    if (month) {
+        const name = month[1][0].toUpperCase() + month[1].slice(1);
+        return month[2] ? `${name} ${month[2]}` : name;
+    }
+
+    const year = lower.match(/\b(?:in|for|during|by) ((?:19|20)\d{2})\b/);
+    return year ? year[1] : null;
+}
+
+// =============================================================================
+// EXTRACTION
+// =============================================================================
+
+/**
+ * Numbers in a clause with their unit and position
+ */
+function findFigures(clause) {
+    const lower = clause.toLowerCase();
+    const figures = [];
+    // Ranges are reserved first so neither end is read as a figure
+    const taken = [...lower.matchAll(RANGE_PATTERN)].map(match => [match.index, match.index + match[0].length]);
+    const claim = (match, figure) => {
+        const text = clause.substr(match.index, match[0].length).trim();
+        const span = [match.index, match.index + text.length];
+        if (taken.some(([start, end]) => span[0] < end && start < span[1])) return;
+        taken.push(span);
+        figures.push({ ...figure, text, start: span[0], end: span[1] });
+    };
+
+    for (const match of lower.matchAll(CURRENCY_PATTERN)) {
+        const scale = SCALES[match[3]] || 1;
+        claim(match, { unit: 'currency', currency: CURRENCIES[match[1]], value: Number(match[2].replace(/,/g, '')) * scale });
+    }
+    for (const match of lower.matchAll(PERCENT_PATTERN)) {
+        claim(match, { unit: 'percent', currency: null, value: Number(match[1]) });
+    }
+    for (const match of lower.matchAll(BPS_PATTERN)) {
+        claim(match, { unit: 'bps', currency: null, value: Number(match[1]) });
+    }
+    for (const match of lower.matchAll(COUNT_PATTERN)) {
+        const value = Number(match[1].replace(/,/g, '')) * (SCALES[match[2]] || 1);
+        // Bare years are dates, small bare numbers are names
+        if (!match[2] && !match[1].includes(',') && (value < MIN_BARE_COUNT || (value >= 1900 && value <= 2100))) continue;
+        claim(match, { unit: 'count', currency: null, value });
+    }
+    return figures;
+}
+
+/**
+ * Metric of a figure's unit mentioned nearest to it in the clause
+ */
+function findMetric(lower, figure) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of FIGURE_METRICS) {
+        if (candidate.unit !== figure.unit) continue;
+
+        if (candidate.after) {
+            if (candidate.pattern.test(lower.slice(figure.end)) && bestDistance > 0) {
+                best = candidate;
+                bestDistance = 0;
+            }
+            continue;
+        }
+
+        for (const match of lower.matchAll(new RegExp(candidate.pattern, 'g'))) {
+            const end = match.index + match[0].length;
+            const distance = end <= figure.start ? figure.start - end
+                : match.index >= figure.end ? match.index - figure.end
+                    : 0;
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+    }
+    return best;
+}
+
+function basisOf(lower) {
+    if (ESTIMATE.test(lower)) return 'estimate';
+    if (FORECAST.test(lower.replace(/\bprice target\b/g, ''))) return 'forecast';
+    return 'reported';
+}
+
+/**
+ * Typed facts stated in an article
+ *
+ * @param {Object} article - Article with id, headline, content, source, companies
+ * @returns {Array} [{ entity, metric, value, unit, currency, period, basis, text, excerpt, sourceId, source }]
+ */
+export function extractFacts(article) {
+    const facts = [];
+    const seen = new Map();
+
+    for (const clause of articleClauses(article)) {
+        if (!clause.entity || NEGATION.test(clause.lower)) continue;
+
+        for (const figure of findFigures(clause.text)) {
+            const match = findMetric(clause.lower, figure);
+            if (!match) continue;
+
+            const fact = {
+                entity: clause.entity,
+                metric: match.metric,
+                value: figure.value,
+                unit: figure.unit,
+                currency: figure.currency,
+                period: findPeriod(clause.text) ?? findPeriod(clause.sentence),
+                basis: basisOf(clause.lower),
+                text: figure.text,
+                excerpt: clause.text,
+                sourceId: article.id,
+                source: article.source
+            };
+
+            // The headline usually repeats a figure from the body, which may
+            // add the period
+            const key = `${fact.entity}|${fact.metric}|${fact.unit}|${fact.currency}|${fact.value}`;
+            const earlier = seen.get(key);
+            if (earlier && (!earlier.period || !fact.period || earlier.period === fact.period)) {
+                earlier.period ??= fact.period;
+                continue;
+            }
+            seen.set(key, fact);
+            facts.push(fact);
+        }
+    }
+
+    return facts;
+}
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+/**
+ * Extract and store the facts of articles, replacing earlier extractions
+ *
+ * @param {Array} articles - Articles in the corpus schema
+ * @returns {number} Facts stored
+ */
+export function storeFacts(articles) {
+    const db = getDatabase();
+    const upsert = db.prepare(`
+        INSERT INTO article_facts (article_id, facts, extracted_at) VALUES (?, ?, ?)
+        ON CONFLICT(article_id) DO UPDATE SET facts = excluded.facts, extracted_at = excluded.extracted_at
+    `);
+    const now = new Date().toISOString();
+
+    let count = 0;
+    db.transaction(() => {
+        for (const article of articles) {
+            const facts = extractFacts(article);
+            upsert.run(article.id, JSON.stringify(facts), now);
+            count += facts.length;
+        }
+    })();
+    return count;
+}
+
+/**
+ * Extract facts for every stored article that has none yet
+ * (run at startup so the seed corpus and earlier imports are covered)
+ *
+ * @returns {number} Articles extracted
+ */
+export function backfillFacts() {
+    const done = new Set(getDatabase().prepare('SELECT article_id FROM article_facts').all().map(row => row.article_id));
+    const missing = queryArticles({ includeRetracted: true }).filter(article => !done.has(article.id));
+    if (missing.length === 0) return 0;
+
+    const count = storeFacts(missing);
+    console.log(`[Facts] Extracted ${count} fact(s) from ${missing.length} article(s)`);
+    return missing.length;
+}
+
+/**
+ * Stored facts of some articles, in article order
+ *
+ * Articles without a stored extraction are extracted (and stored) now.
+ *
+ * @param {Array} articles - Articles in the corpus schema
+ * @returns {Array} Facts (see extractFacts)
+ */
+export function getFactsForArticles(articles) {
+    if (articles.length === 0) return [];
+
+    const rows = getDatabase()
+        .prepare(`SELECT article_id, facts FROM article_facts WHERE article_id IN (${articles.map(() => '?').join(', ')})`)
+        .all(...articles.map(article => article.id));
+    const stored = new Map(rows.map(row => [row.article_id, JSON.parse(row.facts)]));
+
+    const missing = articles.filter(article => !stored.has(article.id));
+    if (missing.length > 0) {
+        storeFacts(missing);
+        for (const article of missing) stored.set(article.id, extractFacts(article));
+    }
+
+    return articles.flatMap(article => stored.get(article.id));
+}
+
+export default {
+    FACT_UNITS,
+    FACT_BASES,
+    articleClauses,
+    extractFacts,
+    storeFacts,
+    backfillFacts,
+    getFactsForArticles
+};
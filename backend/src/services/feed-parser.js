@@ -0,0 +1,152 @@
+/**
+ * Feed Parser Service
+ *
+ * Dependency-free parsing of the three feed formats we ingest:
+ * - RSS 2.0   (<rss><channel><item>)
+ * - Atom 1.0  (<feed><entry>)
+ * - JSON Feed (https://jsonfeed.org, { version, items: [] })
+ *
+ * Every format is normalized to the same raw item shape:
+ *   { guid, title, summary, link, published, author }
+ *
+ * This is deliberately not a general XML parser - it only understands the
+ * handful of elements news feeds actually use, which keeps it small and
+ * tolerant of the slightly broken markup real feeds often ship.
+ */
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', mdash: '—', ndash: '–', hellip: '…'
+};
+
+/**
+ * Decode XML/HTML entities (named, decimal and hex)
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) ? String.fromCodePoint(value) : match;
+        }
+        return ENTITIES[code.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Turn an element's inner XML into plain text: unwrap CDATA, drop tags,
+ * decode entities, collapse whitespace
+ */
+export function toPlainText(value) {
+    if (!value) return '';
+    let text = value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+    // Entity-encoded HTML (common in RSS descriptions) - decode, then strip
+    text = decodeEntities(text);
+    text = text.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ');
+    return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Inner XML of the first <tag> (namespace prefix allowed, e.g. dc:creator)
+ */
+function firstElement(xml, tags) {
+    for (const tag of tags) {
+        const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+        if (match) return match[1];
+    }
+    return null;
+}
+
+/**
+ * Attribute value of the first self-closing or open <tag ...>
+ */
+function firstAttribute(xml, tag, attribute, filter) {
+    const pattern = new RegExp(`<${tag}\\s([^>]*?)/?>`, 'gi');
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        const attrs = match[1];
+        if (filter && !filter(attrs)) continue;
+        const value = attrs.match(new RegExp(`${attribute}\\s*=\\s*["']([^"']*)["']`, 'i'));
+        if (value) return decodeEntities(value[1]);
+    }
+    return null;
+}
+
+function allBlocks(xml, tag) {
+    return xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>[\\s\\S]*?</${tag}>`, 'gi')) || [];
+}
+
+function parseRss(xml) {
+    return allBlocks(xml, 'item').map(item => ({
+        guid: toPlainText(firstElement(item, ['guid'])) || null,
+        title: toPlainText(firstElement(item, ['title'])),
+        summary: toPlainText(firstElement(item, ['content:encoded', 'description'])),
+        link: toPlainText(firstElement(item, ['link'])) || null,
+        published: toPlainText(firstElement(item, ['pubDate', 'dc:date'])) || null,
+        author: toPlainText(firstElement(item, ['dc:creator', 'author'])) || null
+    }));
+}
+
+function parseAtom(xml) {
+    return allBlocks(xml, 'entry').map(entry => ({
+        guid: toPlainText(firstElement(entry, ['id'])) || null,
+        title: toPlainText(firstElement(entry, ['title'])),
+        summary: toPlainText(firstElement(entry, ['content', 'summary'])),
+        link: firstAttribute(entry, 'link', 'href', attrs => !/rel\s*=\s*["'](?!alternate)/i.test(attrs)),
+        published: toPlainText(firstElement(entry, ['published', 'updated'])) || null,
+        author: toPlainText(firstElement(firstElement(entry, ['author']) || '', ['name'])) || null
+    }));
+}
+
+function parseJsonFeed(feed) {
+    return (feed.items || []).map(item => ({
+        guid: item.id != null ? String(item.id) : null,
+        title: toPlainText(item.title || ''),
+        summary: item.content_text || toPlainText(item.content_html || item.summary || ''),
+        link: item.url || item.external_url || null,
+        published: item.date_published || item.date_modified || null,
+        author: item.authors?.[0]?.name || item.author?.name || null
+    }));
+}
+
+/**
+ * Detect the feed format from the body
+ *
+ * @param {string} body - Raw response body
+ * @returns {string} 'json' | 'atom' | 'rss' | 'unknown'
+ */
+export function detectFormat(body) {
+    const head = body.trimStart().slice(0, 500);
+    if (head.startsWith('{')) return 'json';
+    if (/<feed[\s>]/i.test(head) || /<feed[\s>]/i.test(body.slice(0, 2000))) return 'atom';
+    if (/<rss[\s>]|<rdf:RDF/i.test(body.slice(0, 2000))) return 'rss';
+    return 'unknown';
+}
+
+/**
+ * Parse a feed body into raw items
+ *
+ * @param {string} body - Raw response body
+ * @param {string} format - Optional explicit format ('rss' | 'atom' | 'json')
+ * @returns {Array} Raw items { guid, title, summary, link, published, author }
+ * @throws {Error} If the format is unrecognized or JSON is malformed
+ */
+export function parseFeed(body, format) {
+    const detected = format || detectFormat(body);
+
+    switch (detected) {
+        case 'json':
+            return parseJsonFeed(JSON.parse(body));
+        case 'atom':
+            return parseAtom(body);
+        case 'rss':
+            return parseRss(body);
+        default:
+            throw new Error('Unrecognized feed format (expected RSS, Atom or JSON Feed)');
+    }
+}
+
+export default {
+    detectFormat,
+    parseFeed,
+    toPlainText
+};
@@ -1,29 +1,30 @@
-import Groq from "groq-sdk";
+import { completeWithFailover } from "./llm-providers.js";
+import { readNumber } from "./config.js";
+import { parseAnalysis, createFieldStreamer, AnalysisValidationError } from "./analysis-schema.js";
 
-/**
- * Lazy Groq client initialization (avoids env timing issues)
- */
-function getGroqClient() {
-  if (!process.env.GROQ_API_KEY) {
-    throw new Error("GROQ_API_KEY is missing. Check backend/.env");
-  }
+// How many times the model is re-asked after an invalid reply
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
 
-  return new Groq({
-    apiKey: process.env.GROQ_API_KEY,
-  });
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime())
+    ? "undated"
+    : date.toISOString().replace("T", " ").slice(0, 16) + " UTC";
 }
 
 /**
- * Real LLM analysis using Groq
+ * Real LLM analysis through the provider chain (Groq → Gemini → local)
+ *
+ * Pass `onNarrative` to stream: it receives the narrative text as the model
+ * writes it, and `onRestart` fires whenever a partially streamed reply is
+ * discarded (provider failover or a validation re-ask).
  */
-export async function analyzeWithLLM(query, documents) {
-  const client = getGroqClient(); // ✅ FIX 1: create client here
-
-  const context = documents
-    .map(
-      (doc, i) =>
-        `Source ${i + 1} (${doc.source}): ${doc.headline}\n${doc.content}`
-    )
+export async function analyzeWithLLM(query, documents, options = {}) {
+  const { signal, onNarrative, onRestart } = options;
+  // Newest first, with dates, so the narrative can say what is new
+  const context = [...documents]
+    .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+    .map((doc) => `[${doc.id}] ${formatDate(doc.timestamp)} | ${doc.source}: ${doc.headline}\n${doc.content}`)
     .join("\n\n");
 
   const prompt = `
@@ -32,19 +33,28 @@ You are a financial intelligence analyst.
 You MUST ONLY use the information provided below.
 Do NOT add external knowledge.
 
-CONTEXT:
+TODAY: ${formatDate(new Date().toISOString())}
+
+CONTEXT (newest first, each article dated):
 ${context}
 
 QUERY:
 ${query}
 
 TASK:
-1. Write a 2–3 sentence market narrative
+1. Write a 2–3 sentence market narrative; lead with the newest developments
+   and make clear when a claim comes from older coverage
 2. Sentiment: POSITIVE / NEUTRAL / NEGATIVE
 3. Confidence: CONFIRMED / EMERGING / RUMOR
 4. Explain the confidence briefly
 5. List key insights (3–4 bullets)
 
+CITATIONS:
+Every sentence of the narrative and every key insight MUST end with the
+ID(s) of the source(s) that support it in square brackets, e.g. [art-001]
+or [art-001, art-004]. Only cite IDs that appear in CONTEXT, and only cite
+a source for a figure or claim that it actually contains.
+
 If data is insufficient, say so clearly.
 
 Return ONLY valid JSON in this format:
@@ -54,56 +64,67 @@ Return ONLY valid JSON in this format:
   "sentimentScore": 0.0,
   "confidence": "",
   "confidenceExplanation": "",
-  "keyInsights": []
+  "keyInsights": ["insight text [art-001]"]
 }
 `;
 
-  const completion = await client.chat.completions.create({
-    model: "llama-3.1-8b-instant", // Groq free + strong
-    messages: [{ role: "user", content: prompt }],
-    temperature: 0.3,
-  });
+  const maxRepairAttempts = Math.floor(readNumber("LLM_MAX_REPAIR_ATTEMPTS", DEFAULT_MAX_REPAIR_ATTEMPTS));
+  const messages = [{ role: "user", content: prompt }];
+  let completion;
+  let parsed;
 
-  const analysis = JSON.parse(
-    completion.choices[0].message.content
-  );
+  // Parse → validate → re-ask with the validation errors, a bounded number of times
+  for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+    if (attempt > 0 && onNarrative) onRestart?.();
+    let push = onNarrative && createFieldStreamer("narrative", onNarrative);
 
-  // ✅ FIX 2: wrap response in expected structure
-  return {
-    success: true,
-    analysis,
-    metadata: {
-      model: "llama-3.1-8b-instant",
-      isMock: false,
-      documentsAnalyzed: documents.length,
-      timestamp: new Date().toISOString(),
-    },
-  };
-}
+    completion = await completeWithFailover(messages, {
+      temperature: 0.3,
+      signal,
+      ...(onNarrative
+        ? {
+            onToken: (delta) => push(delta),
+            onRestart: () => {
+              push = createFieldStreamer("narrative", onNarrative);
+              onRestart?.();
+            },
+          }
+        : {}),
+    });
+    parsed = parseAnalysis(completion.content);
+
+    if (parsed.valid) break;
+
+    console.warn(
+      `[LLM] Invalid analysis (attempt ${attempt + 1}): ${parsed.errors.join("; ")}`
+    );
+    messages.push(
+      { role: "assistant", content: completion.content },
+      {
+        role: "user",
+        content: `Your previous reply failed validation:\n- ${parsed.errors.join("\n- ")}\n\nReturn ONLY the corrected JSON object, with no markdown or commentary.`,
+      }
+    );
+  }
+
+  if (!parsed.valid) {
+    throw new AnalysisValidationError(
+      `LLM output failed validation after ${maxRepairAttempts + 1} attempts`,
+      parsed.errors,
+      completion.content
+    );
+  }
 
-/**
- * Mock fallback (used when API key missing or useMock=true)
- */
-export function generateMockAnalysis(query, documents) {
   return {
     success: true,
-    analysis: {
-      narrative:
-        "Based on available sources, the market shows mixed but cautiously optimistic signals.",
-      sentiment: "POSITIVE",
-      sentimentScore: 0.7,
-      confidence: "EMERGING",
-      confidenceExplanation:
-        "The analysis is based on multiple credible sources, but long-term impacts remain uncertain.",
-      keyInsights: [
-        "AI-related demand continues to drive market momentum",
-        "Earnings performance remains strong across major players",
-        "Regulatory risks exist but are currently manageable",
-      ],
-    },
+    analysis: parsed.value,
     metadata: {
-      model: "MOCK",
-      isMock: true,
+      model: `${completion.provider}/${completion.model}`,
+      provider: completion.provider,
+      providerAttempts: completion.attempts,
+      outputRepaired: parsed.repaired,
+      validationAttempts: (messages.length + 1) / 2,
+      isMock: false,
       documentsAnalyzed: documents.length,
       timestamp: new Date().toISOString(),
     },
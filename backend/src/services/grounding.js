@@ -0,0 +1,148 @@
+/**
+ * Grounding Service
+ *
+ * Verifies that the LLM's claims are actually supported by the sources
+ * it cites. The prompt asks the model to append article IDs in square
+ * brackets (e.g. "Azure grew 34% [art-002]") to the narrative and to every
+ * key insight. For each claim we then check:
+ *
+ * 1. CITED - The claim cites at least one article
+ * 2. KNOWN - Every cited ID was one of the final sources sent to the model
+ * 3. NUMBERS - Every figure in the claim appears in a cited article
+ * 4. TERMS - Most of the claim's key terms appear in a cited article
+ *
+ * Claims failing any check are flagged as ungrounded - they are still
+ * returned, but the UI marks them so analysts know to double-check.
+ */
+
+import { stem } from './text.js';
+
+// Share of a claim's key terms that must appear in its cited articles
+const MIN_TERM_COVERAGE = 0.5;
+
+// Words that carry no evidential weight
+const STOPWORDS = new Set([
+    'about', 'above', 'after', 'again', 'against', 'also', 'amid', 'among', 'being', 'below',
+    'between', 'both', 'could', 'despite', 'does', 'doing', 'during', 'each', 'from', 'further',
+    'have', 'having', 'into', 'itself', 'just', 'more', 'most', 'other', 'over', 'same', 'should',
+    'some', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+    'those', 'through', 'under', 'until', 'very', 'were', 'what', 'when', 'where', 'which',
+    'while', 'will', 'with', 'within', 'would', 'your', 'remains', 'continue', 'continues',
+    'significant', 'strong', 'overall', 'market', 'sources', 'source', 'reported', 'reports',
+    'according', 'indicate', 'indicates', 'suggest', 'suggests', 'signals', 'showing', 'shows'
+]);
+
+// Citation markers: "[art-001]" or "[art-001, art-004]"
+const CITATION_PATTERN = /\s*\[([A-Za-z][\w]*-[\w-]+(?:\s*[,;]\s*[A-Za-z][\w]*-[\w-]+)*)\]/g;
+
+/**
+ * Split a claim into clean text and the article IDs it cites
+ *
+ * @param {string} text - Claim text with inline [id] markers
+ * @returns {Object} { text, citations: string[] }
+ */
+export function extractCitations(text) {
+    const citations = [];
+    const clean = String(text || '').replace(CITATION_PATTERN, (_, ids) => {
+        ids.split(/[,;]/).forEach(id => citations.push(id.trim()));
+        return '';
+    }).trim();
+
+    return { text: clean, citations: [...new Set(citations)] };
+}
+
+/**
+ * Pull numeric figures from text ("$123.9 billion" → "123.9", "1,200" → "1200")
+ */
+function extractNumbers(text) {
+    return (text.match(/\d+(?:[.,]\d+)*/g) || [])
+        .map(n => n.replace(/,(?=\d{3}\b)/g, ''));
+}
+
+/**
+ * Extract key terms from a claim: non-stopword words of 4+ letters
+ */
+function extractKeyTerms(text) {
+    return [...new Set(
+        text.toLowerCase()
+            .replace(/[^a-z\s-]/g, ' ')
+            .split(/[\s-]+/)
+            .filter(w => w.length >= 4 && !STOPWORDS.has(w))
+            .map(stem)
+    )];
+}
+
+/**
+ * Verify one claim against the articles it cites
+ *
+ * @param {string} rawText - Claim text including citation markers
+ * @param {Map} sourcesById - Final sources keyed by ID
+ * @returns {Object} Grounding verdict for the claim
+ */
+export function verifyClaim(rawText, sourcesById) {
+    const { text, citations } = extractCitations(rawText);
+    const unknownCitations = citations.filter(id => !sourcesById.has(id));
+    const cited = citations.filter(id => sourcesById.has(id)).map(id => sourcesById.get(id));
+
+    const evidenceText = cited.map(a => `${a.headline} ${a.content}`).join(' ');
+    const evidenceNumbers = new Set(extractNumbers(evidenceText));
+    const evidenceStems = new Set(extractKeyTerms(evidenceText));
+
+    const numbers = extractNumbers(text);
+    const missingNumbers = numbers.filter(n => !evidenceNumbers.has(n));
+
+    const terms = extractKeyTerms(text);
+    const matchedTerms = terms.filter(t => evidenceStems.has(t));
+    const termCoverage = terms.length > 0 ? matchedTerms.length / terms.length : 1;
+
+    const issues = [];
+    if (citations.length === 0) issues.push('No source cited');
+    if (unknownCitations.length > 0) issues.push(`Cites unknown source(s): ${unknownCitations.join(', ')}`);
+    if (cited.length > 0 && missingNumbers.length > 0) issues.push(`Figure(s) not found in cited sources: ${missingNumbers.join(', ')}`);
+    if (cited.length > 0 && termCoverage < MIN_TERM_COVERAGE) issues.push('Key terms not found in cited sources');
+
+    return {
+        text,
+        citations,
+        grounded: issues.length === 0,
+        termCoverage: Math.round(termCoverage * 100) / 100,
+        issues
+    };
+}
+
+/**
+ * Verify the narrative and every key insight of an analysis.
+ * Returns a copy of the analysis with citation markers stripped from the
+ * text and a `grounding` section carrying citations and verdicts.
+ *
+ * @param {Object} analysis - Validated analysis from the LLM
+ * @param {Array} sources - Final sources the model was given
+ * @returns {Object} Analysis with grounding attached
+ */
+export function verifyGrounding(analysis, sources) {
+    const sourcesById = new Map(sources.map(s => [s.id, s]));
+
+    const narrative = verifyClaim(analysis.narrative, sourcesById);
+    const insights = (analysis.keyInsights || []).map(insight => verifyClaim(insight, sourcesById));
+    const ungroundedCount = insights.filter(i => !i.grounded).length;
+
+    console.log(`[Grounding] Narrative grounded: ${narrative.grounded} | Insights grounded: ${insights.length - ungroundedCount}/${insights.length}`);
+
+    return {
+        ...analysis,
+        narrative: narrative.text,
+        keyInsights: insights.map(i => i.text),
+        grounding: {
+            narrative,
+            insights,
+            ungroundedCount,
+            allGrounded: narrative.grounded && ungroundedCount === 0
+        }
+    };
+}
+
+export default {
+    extractCitations,
+    verifyClaim,
+    verifyGrounding
+};
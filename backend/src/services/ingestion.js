@@ -0,0 +1,284 @@
+/**
+ * Ingestion Service
+ *
+ * Polls configured RSS/Atom/JSON feeds on a schedule and adds new items to
+ * the corpus, where they are immediately searchable (no restart needed).
+ *
+ * Pipeline per poll:
+ * 1. FETCH - Conditional GET (ETag / Last-Modified) with a timeout
+ * 2. PARSE - RSS, Atom or JSON Feed → raw items (services/feed-parser.js)
+ * 3. MAP - Raw item → article schema; companies resolved through the entity
+ *    registry, sourceType looked up in the source registry (unregistered
+ *    sources are queued for review, services/source-registry.js)
+ * 4. DEDUPE - Skip items whose ID or normalized headline already exists
+ * 5. INDEX - addArticles() updates the corpus and both search indexes
+ *
+ * Feeds are configured in data/feeds.json (or the file named by
+ * FEEDS_CONFIG), e.g.:
+ *   { "feeds": [{ "id": "reuters-biz", "url": "https://...", "source": "Reuters",
+ *                 "sector": "finance", "intervalMinutes": 15 }] }
+ */
+
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { parseFeed } from './feed-parser.js';
+import { addArticles } from './retrieval.js';
+import { resolveEntities } from './entity-registry.js';
+import { findExisting, normalizeHeadline } from './article-store.js';
+import { emitArticlesIngested } from './webhooks.js';
+import { lookupSource, recordUnknownSource } from './source-registry.js';
+import { resolveClaims } from './track-record.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_FEEDS_PATH = join(__dirname, '../data/feeds.json');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+const FETCH_TIMEOUT_MS = 15000;
+// Feed descriptions can be whole articles - keep the corpus compact
+const MAX_CONTENT_LENGTH = 2000;
+
+// feedId → polling state (exposed through getIngestionStatus)
+const feedState = new Map();
+const timers = [];
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Load feed definitions from FEEDS_CONFIG or data/feeds.json
+ *
+ * @returns {Array} Feed definitions with defaults applied
+ */
+export function loadFeedConfig() {
+    const path = process.env.FEEDS_CONFIG ? resolve(process.env.FEEDS_CONFIG) : DEFAULT_FEEDS_PATH;
+
+    try {
+        const { feeds = [] } = JSON.parse(readFileSync(path, 'utf-8'));
+        return feeds
+            .filter(feed => feed.url && feed.enabled !== false)
+            .map(feed => ({
+                id: feed.id || feed.url,
+                url: feed.url,
+                source: feed.source || new URL(feed.url).hostname,
+                sourceType: feed.sourceType || null,
+                sector: feed.sector || 'general',
+                format: feed.format || null,
+                intervalMinutes: feed.intervalMinutes || DEFAULT_INTERVAL_MINUTES
+            }));
+    } catch (error) {
+        console.warn(`[Ingestion] Could not load feed config from ${path}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Look up a source's type in the registry
+ *
+ * @param {string} source - Source name as it appears on the item/feed
+ * @returns {string|null} sourceType, or null if the source is not registered
+ */
+export function lookupSourceType(source) {
+    return lookupSource(source)?.sourceType || null;
+}
+
+// =============================================================================
+// MAPPING & DEDUPLICATION
+// =============================================================================
+
+function parseTimestamp(value) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : new Date().toISOString();
+}
+
+/**
+ * Map a raw feed item to the article schema
+ *
+ * @param {Object} item - Raw item from parseFeed
+ * @param {Object} feed - Feed definition
+ * @returns {Object|null} Article, or null if the item has no usable headline
+ */
+export function mapItemToArticle(item, feed) {
+    if (!item.title) return null;
+
+    const key = item.guid || item.link || `${feed.id}:${item.title}`;
+    const content = (item.summary || item.title).slice(0, MAX_CONTENT_LENGTH);
+
+    return {
+        id: `feed-${createHash('sha1').update(key).digest('hex').slice(0, 12)}`,
+        headline: item.title,
+        content,
+        source: feed.source,
+        sourceType: lookupSourceType(feed.source) || feed.sourceType || 'unknown',
+        timestamp: parseTimestamp(item.published),
+        sector: feed.sector,
+        companies: resolveEntities(`${item.title} ${content}`),
+        url: item.link || undefined,
+        feedId: feed.id
+    };
+}
+
+// =============================================================================
+// POLLING
+// =============================================================================
+
+/**
+ * Fetch, parse and ingest one feed
+ *
+ * @param {Object} feed - Feed definition
+ * @returns {Promise<Object>} { feedId, fetched, ingested, duplicates, notModified }
+ */
+export async function pollFeed(feed) {
+    const state = feedState.get(feed.id) || { feedId: feed.id, url: feed.url, totalIngested: 0 };
+    feedState.set(feed.id, state);
+    state.lastPolledAt = new Date().toISOString();
+
+    try {
+        const response = await fetch(feed.url, {
+            headers: {
+                Accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/json, text/xml;q=0.9, */*;q=0.8',
+                ...(state.etag ? { 'If-None-Match': state.etag } : {}),
+                ...(state.lastModified ? { 'If-Modified-Since': state.lastModified } : {})
+            },
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+        });
+
+        if (response.status === 304) {
+            state.lastError = null;
+            return { feedId: feed.id, fetched: 0, ingested: 0, duplicates: 0, notModified: true };
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const etag = response.headers.get('etag') || null;
+        const lastModified = response.headers.get('last-modified') || null;
+
+        const items = parseFeed(await response.text(), feed.format);
+        const articles = items.map(item => mapItemToArticle(item, feed)).filter(Boolean);
+
+        // Dedupe against the corpus (retracted items included) and within this batch
+        const existing = findExisting(
+            articles.map(a => a.id),
+            articles.map(a => normalizeHeadline(a.headline))
+        );
+        const seenIds = existing.ids;
+        const seenHeadlines = existing.headlineKeys;
+        const fresh = [];
+
+        for (const article of articles) {
+            const headlineKey = normalizeHeadline(article.headline);
+            if (seenIds.has(article.id) || seenHeadlines.has(headlineKey)) continue;
+            seenIds.add(article.id);
+            seenHeadlines.add(headlineKey);
+            fresh.push(article);
+        }
+
+        if (fresh.length > 0) addArticles(fresh);
+
+        // Kept only once the batch is stored: if parsing or storing throws,
+        // the next poll must fetch the feed again rather than get a 304
+        state.etag = etag;
+        state.lastModified = lastModified;
+
+        if (fresh.length > 0) {
+            emitArticlesIngested(fresh);
+            resolveClaims(fresh);
+        }
+
+        // Unregistered sources wait for review instead of silently scoring as "unknown"
+        for (const article of fresh) {
+            recordUnknownSource({ source: article.source, suggestedType: feed.sourceType, feedId: feed.id, headline: article.headline });
+        }
+
+        state.lastError = null;
+        state.lastSuccessAt = new Date().toISOString();
+        state.totalIngested += fresh.length;
+
+        console.log(`[Ingestion] ${feed.id}: ${items.length} items, ${fresh.length} new, ${articles.length - fresh.length} duplicates`);
+
+        return {
+            feedId: feed.id,
+            fetched: items.length,
+            ingested: fresh.length,
+            duplicates: articles.length - fresh.length,
+            notModified: false,
+            articles: fresh
+        };
+    } catch (error) {
+        state.lastError = error.message;
+        console.warn(`[Ingestion] ${feed.id} failed: ${error.message}`);
+        return { feedId: feed.id, fetched: 0, ingested: 0, duplicates: 0, error: error.message };
+    }
+}
+
+/**
+ * Poll every configured feed once
+ *
+ * @returns {Promise<Array>} Per-feed poll results
+ */
+export async function runIngestion() {
+    const feeds = loadFeedConfig();
+    const results = [];
+    // Sequential on purpose - feeds are few and this keeps load predictable
+    for (const feed of feeds) {
+        results.push(await pollFeed(feed));
+    }
+    return results;
+}
+
+/**
+ * Start polling every configured feed on its own interval
+ *
+ * @returns {number} Number of feeds scheduled
+ */
+export function startIngestion() {
+    stopIngestion();
+    const feeds = loadFeedConfig();
+
+    for (const feed of feeds) {
+        pollFeed(feed);
+        const timer = setInterval(() => pollFeed(feed), feed.intervalMinutes * 60 * 1000);
+        timer.unref();
+        timers.push(timer);
+    }
+
+    if (feeds.length > 0) {
+        console.log(`[Ingestion] Polling ${feeds.length} feed(s): ${feeds.map(f => `${f.id} every ${f.intervalMinutes}m`).join(', ')}`);
+    }
+    return feeds.length;
+}
+
+/**
+ * Stop all scheduled polling
+ */
+export function stopIngestion() {
+    while (timers.length > 0) clearInterval(timers.pop());
+}
+
+/**
+ * Polling state per feed
+ *
+ * @returns {Array} [{ feedId, url, lastPolledAt, lastSuccessAt, lastError, totalIngested }]
+ */
+export function getIngestionStatus() {
+    return loadFeedConfig().map(feed => {
+        const { etag, lastModified, ...state } = feedState.get(feed.id) || { feedId: feed.id, url: feed.url, totalIngested: 0 };
+        return { ...state, intervalMinutes: feed.intervalMinutes };
+    });
+}
+
+export default {
+    loadFeedConfig,
+    lookupSourceType,
+    mapItemToArticle,
+    pollFeed,
+    runIngestion,
+    startIngestion,
+    stopIngestion,
+    getIngestionStatus
+};
@@ -0,0 +1,314 @@
+/**
+ * LLM Provider Service
+ *
+ * Pluggable provider layer used by the analysis step.
+ * Every provider exposes the same tiny interface:
+ *
+ *   { name, model, isConfigured(), complete(messages, { signal, temperature, onToken }) }
+ *
+ * When `onToken` is given the provider streams its reply and calls
+ * onToken(delta) for every chunk; the resolved value is still the full text.
+ *
+ * Supported providers:
+ * - groq   - Groq cloud (LLaMA models), needs GROQ_API_KEY
+ * - gemini - Google Gemini, needs GEMINI_API_KEY
+ * - local  - Any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM),
+ *            enabled by setting LOCAL_LLM_URL
+ *
+ * Providers are tried in the order given by LLM_PROVIDERS (default:
+ * "groq,gemini,local"). Unconfigured providers are skipped. Each provider
+ * gets its own timeout and retry budget before we fail over to the next one.
+ */
+
+import Groq from 'groq-sdk';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { readNumber } from './config.js';
+
+// Defaults used when no provider-specific override is set
+const DEFAULT_CHAIN = ['groq', 'gemini', 'local'];
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 1;
+const RETRY_BASE_DELAY_MS = 500;
+
+/**
+ * Thrown when every provider in the chain failed (or none is configured).
+ * `attempts` lists what was tried so the caller can surface it.
+ */
+export class LLMUnavailableError extends Error {
+    constructor(message, attempts = []) {
+        super(message);
+        this.name = 'LLMUnavailableError';
+        this.code = 'LLM_UNAVAILABLE';
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * Read an OpenAI-style SSE stream ("data: {...}" lines, "data: [DONE]")
+ *
+ * @param {ReadableStream} body - fetch response body
+ * @param {Function} onToken - Called with every content delta
+ * @returns {Promise<string>} The full content
+ */
+async function readOpenAIStream(body, onToken) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+
+    for await (const bytes of body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const data = line.replace(/^data:\s*/, '').trim();
+            if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+            const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onToken(delta);
+            }
+        }
+    }
+    return content;
+}
+
+// =============================================================================
+// PROVIDERS
+// =============================================================================
+
+const PROVIDERS = {
+    groq: () => ({
+        name: 'groq',
+        model: process.env.GROQ_MODEL || 'llama-3.1-8b-instant',
+        timeoutMs: readNumber('GROQ_TIMEOUT_MS', readNumber('LLM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS)),
+        maxRetries: readNumber('GROQ_MAX_RETRIES', readNumber('LLM_MAX_RETRIES', DEFAULT_MAX_RETRIES)),
+        isConfigured: () => !!process.env.GROQ_API_KEY,
+
+        async complete(messages, { signal, temperature, onToken }) {
+            // Retries and timeouts are handled by the failover loop, not the SDK
+            const client = new Groq({ apiKey: process.env.GROQ_API_KEY, maxRetries: 0 });
+
+            if (onToken) {
+                const stream = await client.chat.completions.create(
+                    { model: this.model, messages, temperature, stream: true },
+                    { signal }
+                );
+                let content = '';
+                for await (const chunk of stream) {
+                    const delta = chunk.choices[0]?.delta?.content;
+                    if (delta) {
+                        content += delta;
+                        onToken(delta);
+                    }
+                }
+                return content;
+            }
+
+            const completion = await client.chat.completions.create(
+                { model: this.model, messages, temperature },
+                { signal }
+            );
+            return completion.choices[0]?.message?.content ?? '';
+        }
+    }),
+
+    gemini: () => ({
+        name: 'gemini',
+        model: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+        timeoutMs: readNumber('GEMINI_TIMEOUT_MS', readNumber('LLM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS)),
+        maxRetries: readNumber('GEMINI_MAX_RETRIES', readNumber('LLM_MAX_RETRIES', DEFAULT_MAX_RETRIES)),
+        isConfigured: () => !!process.env.GEMINI_API_KEY,
+
+        async complete(messages, { signal, temperature, onToken }) {
+            const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+            const client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+            const model = client.getGenerativeModel({
+                model: this.model,
+                generationConfig: { temperature },
+                ...(system ? { systemInstruction: system } : {})
+            });
+
+            const request = {
+                contents: messages
+                    .filter(m => m.role !== 'system')
+                    .map(m => ({
+                        role: m.role === 'assistant' ? 'model' : 'user',
+                        parts: [{ text: m.content }]
+                    }))
+            };
+
+            if (onToken) {
+                const result = await model.generateContentStream(request, { signal });
+                let content = '';
+                for await (const chunk of result.stream) {
+                    const delta = chunk.text();
+                    if (delta) {
+                        content += delta;
+                        onToken(delta);
+                    }
+                }
+                return content;
+            }
+
+            const result = await model.generateContent(request, { signal });
+            return result.response.text();
+        }
+    }),
+
+    local: () => ({
+        name: 'local',
+        model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+        timeoutMs: readNumber('LOCAL_LLM_TIMEOUT_MS', readNumber('LLM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS)),
+        maxRetries: readNumber('LOCAL_LLM_MAX_RETRIES', readNumber('LLM_MAX_RETRIES', DEFAULT_MAX_RETRIES)),
+        isConfigured: () => !!process.env.LOCAL_LLM_URL,
+
+        async complete(messages, { signal, temperature, onToken }) {
+            const baseUrl = process.env.LOCAL_LLM_URL.replace(/\/+$/, '');
+            const response = await fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(process.env.LOCAL_LLM_API_KEY
+                        ? { Authorization: `Bearer ${process.env.LOCAL_LLM_API_KEY}` }
+                        : {})
+                },
+                body: JSON.stringify({ model: this.model, messages, temperature, stream: !!onToken }),
+                signal
+            });
+
+            if (!response.ok) {
+                const error = new Error(`Local LLM responded with HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            if (onToken) {
+                return readOpenAIStream(response.body, onToken);
+            }
+
+            const completion = await response.json();
+            return completion.choices?.[0]?.message?.content ?? '';
+        }
+    })
+};
+
+/**
+ * Build the ordered provider chain from LLM_PROVIDERS.
+ * Unknown names are ignored; unconfigured providers are dropped.
+ *
+ * @returns {Array} Configured providers in failover order
+ */
+export function getProviderChain() {
+    const names = process.env.LLM_PROVIDERS
+        ? process.env.LLM_PROVIDERS.split(',').map(n => n.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_CHAIN;
+
+    return names
+        .filter(name => {
+            if (PROVIDERS[name]) return true;
+            console.warn(`[LLM] Unknown provider "${name}" in LLM_PROVIDERS - ignoring`);
+            return false;
+        })
+        .map(name => PROVIDERS[name]())
+        .filter(provider => provider.isConfigured());
+}
+
+/**
+ * Whether at least one provider can be called
+ * @returns {boolean}
+ */
+export function hasConfiguredProvider() {
+    return getProviderChain().length > 0;
+}
+
+// =============================================================================
+// FAILOVER
+// =============================================================================
+
+/**
+ * Client errors (bad key, bad request) will not get better on retry.
+ * Timeouts (408) and rate limits (429) might.
+ */
+function isRetryable(error) {
+    const status = error?.status;
+    if (!status) return true;
+    return status === 408 || status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a chat completion through the provider chain.
+ * Each provider is retried up to its maxRetries with exponential backoff,
+ * then the next provider is tried.
+ *
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @param {Object} options
+ * @param {number} options.temperature - Sampling temperature (default: 0.3)
+ * @param {AbortSignal} options.signal - Caller abort signal (stops the whole chain)
+ * @param {Function} options.onToken - Stream the reply: called with each text delta
+ * @param {Function} options.onRestart - Called when a streamed attempt failed part-way
+ *   and the reply starts over (retry or next provider), so listeners can discard it
+ * @returns {Promise<Object>} { content, provider, model, attempts }
+ * @throws {LLMUnavailableError} When every provider failed
+ */
+export async function completeWithFailover(messages, options = {}) {
+    const { temperature = 0.3, signal, onToken, onRestart } = options;
+    const chain = getProviderChain();
+    const attempts = [];
+
+    if (chain.length === 0) {
+        throw new LLMUnavailableError(
+            'No LLM provider configured. Set GROQ_API_KEY, GEMINI_API_KEY or LOCAL_LLM_URL.'
+        );
+    }
+
+    for (const provider of chain) {
+        for (let attempt = 0; attempt <= provider.maxRetries; attempt++) {
+            if (signal?.aborted) {
+                throw new LLMUnavailableError('LLM request aborted by caller', attempts);
+            }
+
+            const startTime = Date.now();
+            const timeoutSignal = AbortSignal.timeout(provider.timeoutMs);
+            const requestSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+            let streamed = false;
+            const tokenHandler = onToken && (delta => {
+                streamed = true;
+                onToken(delta);
+            });
+
+            try {
+                const content = await provider.complete(messages, { signal: requestSignal, temperature, onToken: tokenHandler });
+                attempts.push({ provider: provider.name, model: provider.model, ok: true, durationMs: Date.now() - startTime });
+                console.log(`[LLM] ${provider.name}/${provider.model} answered in ${Date.now() - startTime}ms`);
+                return { content, provider: provider.name, model: provider.model, attempts };
+            } catch (error) {
+                const reason = timeoutSignal.aborted ? `Timed out after ${provider.timeoutMs}ms` : error.message;
+                attempts.push({ provider: provider.name, model: provider.model, ok: false, error: reason, durationMs: Date.now() - startTime });
+                console.warn(`[LLM] ${provider.name} attempt ${attempt + 1} failed: ${reason}`);
+
+                if (signal?.aborted) {
+                    throw new LLMUnavailableError('LLM request aborted by caller', attempts);
+                }
+                if (streamed) onRestart?.();
+                if (!isRetryable(error) || attempt === provider.maxRetries) break;
+                await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+            }
+        }
+    }
+
+    throw new LLMUnavailableError(
+        `All LLM providers failed (${chain.map(p => p.name).join(' → ')})`,
+        attempts
+    );
+}
+
+export default {
+    getProviderChain,
+    hasConfiguredProvider,
+    completeWithFailover
+};
@@ -10,84 +10,13 @@
  * 2. Check for entity/topic overlap with documents
  * 3. Score each document's relevance
  * 4. Determine if we have sufficient relevant content
+ *
+ * Known companies, sectors and topics come from the entity registry
+ * (services/entity-registry.js): an entity's aliases, keywords and ticker
+ * all count as a query match.
  */
 
-// ============================================================================
-// KNOWN ENTITIES - Companies, sectors, and topics covered by our dataset
-// ============================================================================
-const KNOWN_ENTITIES = {
-    // Global Tech Companies
-    'apple': ['apple', 'aapl', 'iphone', 'ipad', 'mac', 'tim cook', 'cupertino', 'vision pro'],
-    'microsoft': ['microsoft', 'msft', 'azure', 'windows', 'satya nadella', 'copilot', 'xbox'],
-    'tesla': ['tesla', 'tsla', 'elon musk', 'cybertruck', 'fsd', 'gigafactory', 'supercharger'],
-    'nvidia': ['nvidia', 'nvda', 'jensen huang', 'gpu', 'cuda', 'h100', 'h200', 'geforce'],
-    'google': ['google', 'googl', 'alphabet', 'sundar pichai', 'android', 'chrome'],
-    'amazon': ['amazon', 'amzn', 'aws', 'bezos', 'prime'],
-    'meta': ['meta', 'facebook', 'zuckerberg', 'instagram', 'whatsapp'],
-
-    // Indian Companies
-    'reliance': ['reliance', 'jio', 'mukesh ambani', 'ril'],
-    'tata': ['tata', 'tata motors', 'tata group', 'ratan tata', 'tcs', 'tata power'],
-    'infosys': ['infosys', 'infy', 'salil parekh', 'infosys technologies'],
-    'tcs': ['tcs', 'tata consultancy', 'tata consulting'],
-    'hdfc': ['hdfc', 'hdfc bank', 'housing development finance'],
-    'icici': ['icici', 'icici bank'],
-
-    // EV Companies
-    'byd': ['byd', 'build your dreams'],
-    'nio': ['nio', 'nio inc'],
-    'rivian': ['rivian', 'rivn'],
-    'ola': ['ola', 'ola electric', 'bhavish aggarwal'],
-    'ather': ['ather', 'ather energy'],
-
-    // Crypto
-    'bitcoin': ['bitcoin', 'btc', 'satoshi', 'btc etf', 'spot etf'],
-    'ethereum': ['ethereum', 'eth', 'ether', 'vitalik', 'eth2'],
-    'crypto': ['crypto', 'cryptocurrency', 'blockchain', 'defi', 'web3'],
-
-    // Banking & Financial Policy
-    'banking': ['bank', 'banking', 'rbi', 'interest rate', 'repo rate', 'monetary policy', 'npa', 'credit growth'],
-    'rbi': ['rbi', 'reserve bank', 'repo', 'monetary'],
-    'sbi': ['sbi', 'state bank'],
-    'fed': ['fed', 'federal reserve', 'fomc', 'powell'],
-    'jpmorgan': ['jpmorgan', 'jpm', 'jp morgan', 'jamie dimon'],
-
-    // Commodities
-    'commodities': ['commodity', 'commodities'],
-    'oil': ['oil', 'crude', 'brent', 'wti', 'opec', 'petroleum'],
-    'gold': ['gold', 'bullion', 'precious metal'],
-    'silver': ['silver'],
-    'copper': ['copper'],
-    'gas': ['natural gas', 'lng', 'gas prices'],
-
-    // Energy & Power
-    'energy': ['energy', 'power', 'electricity', 'grid', 'utility'],
-    'solar': ['solar', 'photovoltaic', 'pv'],
-    'wind': ['wind power', 'wind energy', 'wind turbine'],
-    'renewable': ['renewable', 'clean energy', 'green energy'],
-    'hydrogen': ['hydrogen', 'green hydrogen', 'electrolyzer'],
-    'adani': ['adani', 'adani green', 'adani power'],
-
-    // Healthcare & Pharma
-    'healthcare': ['healthcare', 'health care', 'hospital', 'medical'],
-    'pharma': ['pharma', 'pharmaceutical', 'drug', 'medicine', 'fda'],
-    'biocon': ['biocon'],
-    'sunpharma': ['sun pharma', 'sunpharma', 'sun pharmaceutical'],
-    'apollo': ['apollo', 'apollo hospitals'],
-    'drreddy': ['dr reddy', 'drreddy', 'dr. reddy'],
-
-    // Sectors & Topics
-    'ev': ['ev', 'electric vehicle', 'electric car', 'electric scooter', 'battery', 'charging'],
-    'auto': ['auto', 'automobile', 'car sales', 'vehicle', 'automotive', 'car market'],
-    'ai': ['ai', 'artificial intelligence', 'machine learning', 'llm', 'chatgpt', 'generative'],
-    'cloud': ['cloud', 'azure', 'aws', 'saas', 'data center'],
-    'earnings': ['earnings', 'revenue', 'profit', 'q1', 'q2', 'q3', 'q4', 'quarterly', 'fiscal'],
-    'stock': ['stock', 'shares', 'market cap', 'valuation', 'price target', 'ipo'],
-    'markets': ['sensex', 'nifty', 'bse', 'nse', 'fii', 'market', 'index'],
-    'india': ['india', 'indian', 'rupee', 'inr', 'sebi'],
-    'finance': ['finance', 'financial', 'fintech', 'payment'],
-    'semiconductor': ['semiconductor', 'chip', 'chips', 'tsmc', 'foundry', 'fab']
-};
+import { getEntityVocabulary } from './entity-registry.js';
 
 // ============================================================================
 // OFF-TOPIC INDICATORS - Topics truly NOT in our dataset
@@ -153,15 +82,15 @@ function detectOffTopicQuery(queryTerms, hasKnownEntity) {
  * Check if query matches known entities in our dataset
  * Dynamically matches against all supported companies, sectors, and topics
  * @param {string[]} queryTerms - Normalized query terms
- * @returns {Object} { hasKnownEntity: boolean, matchedEntities: string[] }
+ * @returns {Object} { hasKnownEntity: boolean, matchedEntities: string[] (tickers) }
  */
 function detectKnownEntities(queryTerms) {
     const matchedEntities = [];
     const queryText = queryTerms.join(' ');
 
-    for (const [entity, variations] of Object.entries(KNOWN_ENTITIES)) {
+    for (const { ticker, terms } of getEntityVocabulary()) {
         // Check if any variation matches any query term
-        const hasMatch = variations.some(variation => {
+        const hasMatch = terms.some(variation => {
             // Exact term match (highest priority)
             if (queryTerms.includes(variation)) return true;
 
@@ -181,7 +110,7 @@ function detectKnownEntities(queryTerms) {
         });
 
         if (hasMatch) {
-            matchedEntities.push(entity);
+            matchedEntities.push(ticker);
         }
     }
 
@@ -229,9 +158,10 @@ function checkDocumentOverlap(queryTerms, documents) {
  * Calculate relevance score for a single document
  * @param {string[]} queryTerms - Normalized query terms
  * @param {Object} document - Article/document object
+ * @param {Array} vocabulary - Entity vocabulary (getEntityVocabulary)
  * @returns {number} Relevance score 0-1
  */
-function calculateDocumentRelevance(queryTerms, document) {
+function calculateDocumentRelevance(queryTerms, document, vocabulary) {
     const docText = `${document.headline} ${document.content}`.toLowerCase();
     const companies = (document.companies || []).map(c => c.toLowerCase());
     const sector = (document.sector || '').toLowerCase();
@@ -257,10 +187,12 @@ function calculateDocumentRelevance(queryTerms, document) {
             score += 0.3;
         }
 
-        // Entity variation match
-        for (const [entity, variations] of Object.entries(KNOWN_ENTITIES)) {
-            if (variations.some(v => v.includes(term) || term.includes(v))) {
-                if (docText.includes(entity) || companies.some(c => c.includes(entity))) {
+        // Entity variation match - the document must name the entity itself
+        // (topics have no aliases, so their keywords stand in)
+        for (const { ticker, aliases, terms } of vocabulary) {
+            if (terms.some(v => v.includes(term) || term.includes(v))) {
+                const names = aliases.length > 0 ? aliases : terms;
+                if (companies.includes(ticker.toLowerCase()) || names.some(name => docText.includes(name))) {
                     score += 0.2;
                 }
             }
@@ -304,9 +236,10 @@ export function evaluateRelevance(query, documents) {
     }
 
     // Score each document
+    const vocabulary = getEntityVocabulary();
     const docScores = documents.map(doc => ({
         id: doc.id,
-        score: calculateDocumentRelevance(queryTerms, doc)
+        score: calculateDocumentRelevance(queryTerms, doc, vocabulary)
     }));
 
     // Count highly relevant documents (score > 0.3)
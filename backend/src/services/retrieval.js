@@ -1,184 +1,153 @@
 /**
  * Retrieval Service
  * 
- * RAG-style document retrieval using keyword matching.
- * This is a lightweight approach suitable for hackathon demo.
+ * Hybrid RAG-style document retrieval:
+ * - LEXICAL - inverted index with BM25 scoring (exact terms, tickers)
+ * - SEMANTIC - local LSA vector index (related concepts, no literal match)
  * 
- * In production, you would use:
- * - Vector embeddings (OpenAI, Cohere, etc.)
- * - Vector database (Pinecone, Weaviate, etc.)
- * - Semantic similarity search
+ * The two ranked lists are merged with Reciprocal Rank Fusion, so an article
+ * ranked highly by either retriever surfaces, and one ranked by both wins.
  * 
- * For this MVP, we use keyword matching which is:
- * - Fast and simple
- * - Requires no external dependencies
- * - Sufficient for demo purposes
+ * The index is built once when the corpus loads and updated incrementally
+ * as articles are added, so a query only touches the postings of its own
+ * terms instead of scanning every article. Queries and documents go through
+ * the same tokenizer and stemmer (services/text.js), so "earnings" matches
+ * "earning" and regex metacharacters in a query ("c++", "(q4") are just
+ * separators.
+ * 
+ * Company names in the query are expanded to their tickers through the
+ * entity registry (services/entity-registry.js), which match the article's
+ * `companies` field.
+ * 
+ * An optional time window restricts candidates by timestamp, and each fused
+ * score gets a recency bonus that decays with article age
+ * (services/time-window.js), so this morning's release outranks a
+ * months-old rumor of similar relevance. The bonus is added rather than
+ * multiplied and worth at most RECENCY_WEIGHT of a top-ranked hit, so age
+ * breaks ties between comparable matches without burying a far better one.
+ * 
+ * Articles themselves live in the article store (SQLite or JSON, see
+ * services/article-store.js); the indexes are rebuilt from it at startup.
+ * Company and time-window filters and the recency decay read the timestamps
+ * and tickers kept in the search index, so only the articles actually
+ * returned are loaded from the store.
+ * Both indexes run in-process with no external services. In production,
+ * the semantic side could be swapped for hosted embeddings and a vector DB.
  */
 
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-// Get the directory name for ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load financial content from JSON file
-const dataPath = join(__dirname, '../data/financial-content.json');
-const financialData = JSON.parse(readFileSync(dataPath, 'utf-8'));
+import { createSearchIndex } from './search-index.js';
+import { createVectorIndex } from './vector-index.js';
+import { tokenize, stem } from './text.js';
+import { isWithinWindow, recencyWeight } from './time-window.js';
+import { resolveEntities } from './entity-registry.js';
+import * as articleStore from './article-store.js';
+import { storeFacts } from './fact-extraction.js';
+
+// Reciprocal Rank Fusion constant (standard value from the RRF paper)
+const RRF_K = 60;
+
+// Recency bonus for the newest candidate, as a share of one retriever's rank-1 score
+const RECENCY_WEIGHT = 0.25;
+
+// Build both indexes once at load time
+const searchIndex = createSearchIndex();
+const vectorIndex = createVectorIndex();
+articleStore.getAllArticles().forEach(article => {
+    searchIndex.add(article);
+    vectorIndex.add(article);
+});
+// Learn the concept space now rather than after the rebuild debounce
+vectorIndex.rebuild();
+console.log(`[Retrieval] Indexed ${searchIndex.size()} articles`);
 
 /**
  * Retrieve relevant articles based on a search query.
- * Uses keyword matching with scoring for relevance ranking.
+ * Fuses BM25 and LSA rankings for relevance ranking.
  * 
  * @param {string} query - User's search query (e.g., "Apple earnings")
  * @param {Object} options - Configuration options
  * @param {number} options.maxResults - Maximum number of articles to return (default: 5)
  * @param {string[]} options.companies - Filter by company tickers (e.g., ["AAPL", "MSFT"])
- * @returns {Array} Ranked array of relevant articles
+ * @param {string} options.mode - 'hybrid' (default), 'lexical' or 'semantic'
+ * @param {Object} options.timeWindow - Resolved window { from, to, halfLifeHours } (see resolveTimeWindow)
+ * @returns {Array} Ranked array of relevant articles, each tagged with the retrievers that matched it
  */
 export function retrieveRelevantContent(query, options = {}) {
-    const { maxResults = 5, companies = [] } = options;
-
-    // Normalize query for matching
-    const queryTerms = query.toLowerCase().split(/\s+/).filter(term => term.length > 2);
-
-    // Company name to ticker mapping for better matching
-    const companyAliases = {
-        // Global Tech
-        'apple': 'AAPL',
-        'microsoft': 'MSFT',
-        'tesla': 'TSLA',
-        'nvidia': 'NVDA',
-        'google': 'GOOGL',
-        'amazon': 'AMZN',
-        'meta': 'META',
-
-        // Indian Markets
-        'reliance': 'RELIANCE',
-        'tata': 'TATA',
-        'tcs': 'TCS',
-        'infosys': 'INFY',
-        'hdfc': 'HDFC',
-        'icici': 'ICICI',
-
-        // EV Sector
-        'byd': 'BYD',
-        'nio': 'NIO',
-        'rivian': 'RIVN',
-        'ola': 'OLA',
-        'ather': 'ATHER',
-
-        // Crypto
-        'bitcoin': 'BTC',
-        'ethereum': 'ETH',
-        'crypto': 'CRYPTO',
-        'blockchain': 'BLOCKCHAIN',
-
-        // Banking & Financial Policy
-        'rbi': 'RBI',
-        'sbi': 'SBI',
-        'bank': 'BANKS',
-        'banking': 'BANKS',
-        'interest': 'BANKS',
-        'repo': 'RBI',
-        'inflation': 'BANKS',
-        'fed': 'FED',
-        'credit': 'BANKS',
-        'loan': 'BANKS',
-        'jpmorgan': 'JPM',
-
-        // Commodities
-        'oil': 'OIL',
-        'crude': 'CRUDE',
-        'gold': 'GOLD',
-        'silver': 'SILVER',
-        'copper': 'COPPER',
-        'commodity': 'COMMODITIES',
-        'commodities': 'COMMODITIES',
-        'opec': 'OIL',
-        'gas': 'GAS',
-
-        // Energy & Power
-        'power': 'POWER',
-        'solar': 'SOLAR',
-        'renewable': 'RENEWABLE',
-        'wind': 'WIND',
-        'energy': 'ENERGY',
-        'hydrogen': 'HYDROGEN',
-        'battery': 'BATTERY',
-        'grid': 'ENERGY',
-        'adani': 'ADANI',
-
-        // Healthcare & Pharma
-        'pharma': 'PHARMA',
-        'healthcare': 'HEALTHCARE',
-        'drug': 'PHARMA',
-        'fda': 'PHARMA',
-        'biocon': 'BIOCON',
-        'sunpharma': 'SUNPHARMA',
-        'apollo': 'APOLLO',
-        'hospital': 'HEALTHCARE',
-
-        // Sectors
-        'ev': 'EV',
-        'automobile': 'AUTO',
-        'semiconductor': 'CHIPS',
-
-        // Ticker aliases (lowercase)
-        'msft': 'MSFT',
-        'aapl': 'AAPL',
-        'tsla': 'TSLA',
-        'nvda': 'NVDA',
-        'googl': 'GOOGL',
-        'amzn': 'AMZN',
-        'btc': 'BTC',
-        'eth': 'ETH'
-    };
-
-
+    const { maxResults = 5, companies = [], mode = 'hybrid', timeWindow = null } = options;
 
     // Expand query terms to include ticker matches
-    const expandedTerms = queryTerms.map(term => {
-        const ticker = companyAliases[term];
-        return ticker ? [term, ticker.toLowerCase()] : [term];
-    }).flat();
-
-    // Score each article based on relevance
-    const scoredArticles = financialData.articles.map(article => {
-        let score = 0;
-        const searchText = `${article.headline} ${article.content}`.toLowerCase();
-
-        // Score based on term frequency
-        expandedTerms.forEach(term => {
-            const regex = new RegExp(term, 'gi');
-            const matches = searchText.match(regex);
-            if (matches) {
-                // Headline matches are worth more
-                const headlineMatches = article.headline.toLowerCase().match(regex);
-                score += matches.length * 1;
-                score += (headlineMatches?.length || 0) * 2; // Bonus for headline matches
-            }
-        });
-
-        // Filter by company if specified
-        if (companies.length > 0) {
-            const hasCompany = article.companies.some(c =>
-                companies.map(x => x.toUpperCase()).includes(c)
-            );
-            if (!hasCompany) score = 0;
-        }
-
-        return { ...article, relevanceScore: score };
-    });
-
-    // Filter and sort by relevance
-    const relevantArticles = scoredArticles
-        .filter(article => article.relevanceScore > 0)
-        .sort((a, b) => b.relevanceScore - a.relevanceScore)
-        .slice(0, maxResults);
+    const expandedTerms = [
+        ...tokenize(query),
+        ...resolveEntities(query).map(ticker => ticker.toLowerCase())
+    ];
+
+    // Filters read the index's own metadata - no store round-trip per hit
+    const companyFilter = companies.map(c => c.toUpperCase());
+    const windowed = Boolean(timeWindow?.from || timeWindow?.to);
+    const passesFilter = id => {
+        if (companyFilter.length === 0 && !windowed) return true;
+        const meta = searchIndex.getMeta(id);
+        if (!meta) return false;
+        if (windowed && !isWithinWindow(meta.timestamp, timeWindow)) return false;
+        return companyFilter.length === 0 || meta.companies.some(c => companyFilter.includes(c));
+    };
 
-    console.log(`[Retrieval] Query: "${query}" | Found ${relevantArticles.length} relevant articles`);
+    // Each retriever produces its own ranked list of candidate IDs
+    const rankings = {};
+
+    if (mode !== 'semantic') {
+        const lexicalScores = searchIndex.searchTerms(expandedTerms.map(stem));
+        rankings.lexical = [...lexicalScores]
+            .filter(([id]) => passesFilter(id))
+            .sort((a, b) => b[1] - a[1])
+            .map(([id, score]) => ({ id, score }));
+    }
+
+    if (mode !== 'lexical') {
+        // Over-fetch when a window will discard part of the semantic list
+        rankings.semantic = vectorIndex
+            .search(expandedTerms.join(' '), { limit: maxResults * (windowed ? 10 : 3) })
+            .filter(({ id }) => passesFilter(id));
+    }
+
+    // Reciprocal Rank Fusion: score = Σ 1 / (k + rank)
+    const fused = new Map();
+    for (const [retriever, ranking] of Object.entries(rankings)) {
+        ranking.forEach(({ id, score }, rank) => {
+            if (!fused.has(id)) fused.set(id, { score: 0, retrievers: [], retrievalScores: {} });
+            const entry = fused.get(id);
+            entry.score += 1 / (RRF_K + rank + 1);
+            entry.retrievers.push(retriever);
+            entry.retrievalScores[retriever] = Math.round(score * 1000) / 1000;
+        });
+    }
+
+    // Recency bonus, anchored on the newest candidate (index metadata only;
+    // just the returned articles are loaded from the store)
+    const candidates = [...fused]
+        .map(([id, entry]) => ({ id, timestamp: searchIndex.getMeta(id)?.timestamp, ...entry }))
+        .filter(candidate => candidate.timestamp);
+    const halfLifeHours = timeWindow?.halfLifeHours ?? 0;
+    const newest = candidates.reduce((max, c) => c.timestamp > max ? c.timestamp : max, '');
+    for (const candidate of candidates) {
+        candidate.recencyWeight = recencyWeight(candidate.timestamp, halfLifeHours, new Date(newest));
+        candidate.score += RECENCY_WEIGHT * candidate.recencyWeight / (RRF_K + 1);
+    }
+
+    const relevantArticles = candidates
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxResults)
+        .map(candidate => ({ ...candidate, article: articleStore.getArticleById(candidate.id) }))
+        .filter(candidate => candidate.article && !candidate.article.retractedAt)
+        .map(candidate => ({
+            ...candidate.article,
+            relevanceScore: Math.round(candidate.score * 10000) / 10000,
+            recencyWeight: Math.round(candidate.recencyWeight * 1000) / 1000,
+            retrievers: candidate.retrievers,
+            retrievalScores: candidate.retrievalScores
+        }));
+
+    console.log(`[Retrieval] Query: "${query}" | Found ${relevantArticles.length} relevant articles${timeWindow?.from || timeWindow?.to ? ` in ${timeWindow.from || '…'} → ${timeWindow.to || 'now'}` : ''}`);
 
     return relevantArticles;
 }
@@ -188,7 +157,7 @@ export function retrieveRelevantContent(query, options = {}) {
  * @returns {Array} All articles in the dataset
  */
 export function getAllArticles() {
-    return financialData.articles;
+    return articleStore.getAllArticles();
 }
 
 /**
@@ -197,13 +166,54 @@ export function getAllArticles() {
  * @returns {Array} Articles mentioning the company
  */
 export function getArticlesByCompany(ticker) {
-    return financialData.articles.filter(article =>
-        article.companies.includes(ticker.toUpperCase())
-    );
+    return articleStore.queryArticles({ ticker });
+}
+
+/**
+ * Add articles to the corpus and make them searchable immediately.
+ * Articles with an existing ID replace the old version; retracted IDs are
+ * left as they are and stay out of the indexes.
+ *
+ * @param {Array} articles - Articles in the corpus schema
+ * @returns {number} Number of articles added or replaced
+ */
+export function addArticles(articles) {
+    const written = articleStore.upsertArticles(articles);
+    for (const article of written) {
+        searchIndex.add(article);
+        vectorIndex.add(article);
+    }
+    storeFacts(written);
+
+    if (written.length < articles.length) {
+        console.warn(`[Retrieval] Skipped ${articles.length - written.length} retracted article(s)`);
+    }
+    console.log(`[Retrieval] Indexed ${written.length} new/updated articles (corpus: ${searchIndex.size()})`);
+    return written.length;
+}
+
+/**
+ * Retract an article: soft-delete it in the store and drop it from both
+ * indexes so it no longer reaches any analysis
+ *
+ * @param {string} id - Article ID
+ * @param {string} reason - Retraction reason
+ * @returns {Object|null} The retracted article, or null if unknown
+ */
+export function retractArticle(id, reason) {
+    const retracted = articleStore.retractArticle(id, reason);
+    if (retracted) {
+        searchIndex.remove(id);
+        vectorIndex.remove(id);
+        console.log(`[Retrieval] Retracted ${id}${reason ? ` (${reason})` : ''}`);
+    }
+    return retracted;
 }
 
 export default {
     retrieveRelevantContent,
+    addArticles,
+    retractArticle,
     getAllArticles,
     getArticlesByCompany
 };
@@ -0,0 +1,149 @@
+/**
+ * Search Index Service
+ *
+ * In-memory inverted index with BM25F scoring.
+ *
+ * Each document is indexed per field (headline, content, companies) so a
+ * hit in the headline can be worth more than a hit deep in the body. Field
+ * term frequencies are length-normalized against that field's average
+ * length, combined with the field boosts, and then saturated once with the
+ * usual BM25 k1 curve (the BM25F formulation).
+ *
+ * The index is incremental: documents can be added or removed at any time
+ * and the corpus statistics (document count, average field lengths,
+ * document frequencies) are kept up to date.
+ *
+ * Each document also keeps its `timestamp` and `companies` (getMeta), so
+ * callers can filter and rank hits without going back to the article store.
+ */
+
+import { analyzeText } from './text.js';
+
+// BM25 parameters (standard defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Default field boosts - headline hits count 3x a body hit
+const DEFAULT_FIELDS = {
+    headline: 3,
+    content: 1,
+    companies: 2
+};
+
+/**
+ * Create an empty BM25F index
+ *
+ * @param {Object} options
+ * @param {Object} options.fields - Field name → boost
+ * @param {Function} options.getField - (doc, field) → text, defaults to doc[field]
+ * @returns {Object} Index API: add, remove, has, getMeta, search, size
+ */
+export function createSearchIndex(options = {}) {
+    const fields = options.fields || DEFAULT_FIELDS;
+    const getField = options.getField || ((doc, field) => {
+        const value = doc[field];
+        return Array.isArray(value) ? value.join(' ') : value;
+    });
+
+    // term → Map(docId → { field → tf })
+    const postings = new Map();
+    // docId → { lengths: { field → length }, terms: Set, meta: { timestamp, companies } }
+    const documents = new Map();
+    // field → total token length across the corpus
+    const totalFieldLength = Object.fromEntries(Object.keys(fields).map(f => [f, 0]));
+
+    function add(doc) {
+        if (documents.has(doc.id)) remove(doc.id);
+
+        const entry = {
+            lengths: {},
+            terms: new Set(),
+            meta: { timestamp: doc.timestamp, companies: doc.companies || [] }
+        };
+
+        for (const field of Object.keys(fields)) {
+            const terms = analyzeText(getField(doc, field));
+            entry.lengths[field] = terms.length;
+            totalFieldLength[field] += terms.length;
+
+            for (const term of terms) {
+                entry.terms.add(term);
+                if (!postings.has(term)) postings.set(term, new Map());
+                const docPostings = postings.get(term);
+                if (!docPostings.has(doc.id)) docPostings.set(doc.id, {});
+                const tf = docPostings.get(doc.id);
+                tf[field] = (tf[field] || 0) + 1;
+            }
+        }
+
+        documents.set(doc.id, entry);
+    }
+
+    function remove(id) {
+        const entry = documents.get(id);
+        if (!entry) return false;
+
+        for (const term of entry.terms) {
+            const docPostings = postings.get(term);
+            docPostings.delete(id);
+            if (docPostings.size === 0) postings.delete(term);
+        }
+        for (const field of Object.keys(fields)) {
+            totalFieldLength[field] -= entry.lengths[field];
+        }
+        documents.delete(id);
+        return true;
+    }
+
+    /**
+     * Score documents against already-analyzed query terms
+     *
+     * @param {string[]} terms - Stemmed query terms (duplicates are ignored)
+     * @returns {Map} docId → BM25F score (only documents with a hit)
+     */
+    function searchTerms(terms) {
+        const N = documents.size;
+        const scores = new Map();
+        if (N === 0) return scores;
+
+        const avgLength = Object.fromEntries(
+            Object.keys(fields).map(f => [f, totalFieldLength[f] / N || 1])
+        );
+
+        for (const term of new Set(terms)) {
+            const docPostings = postings.get(term);
+            if (!docPostings) continue;
+
+            const df = docPostings.size;
+            const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+
+            for (const [docId, tf] of docPostings) {
+                const lengths = documents.get(docId).lengths;
+                let weightedTf = 0;
+                for (const [field, boost] of Object.entries(fields)) {
+                    if (!tf[field]) continue;
+                    const norm = 1 - B + B * (lengths[field] / avgLength[field]);
+                    weightedTf += boost * tf[field] / norm;
+                }
+                const termScore = idf * (weightedTf * (K1 + 1)) / (weightedTf + K1);
+                scores.set(docId, (scores.get(docId) || 0) + termScore);
+            }
+        }
+
+        return scores;
+    }
+
+    return {
+        add,
+        remove,
+        has: id => documents.has(id),
+        getMeta: id => documents.get(id)?.meta ?? null,
+        size: () => documents.size,
+        search: query => searchTerms(analyzeText(query)),
+        searchTerms
+    };
+}
+
+export default {
+    createSearchIndex
+};
@@ -0,0 +1,200 @@
+/**
+ * Sentiment Service
+ *
+ * Lexicon-based financial sentiment scoring - no network, no model.
+ * Generic sentiment word lists misread finance text ("liability",
+ * "volatile", "crude" are not negative opinions), so we use a small
+ * finance-specific lexicon instead.
+ *
+ * Scores are in [-1, 1]. A negator ("not", "no", "never") within the
+ * three words before a lexicon hit flips its polarity.
+ *
+ * Multi-word finance phrases are matched before single words, so
+ * "beat expectations", "missed estimates", "cut its full-year guidance",
+ * "raised its price target" or "all-time high" score as one strong signal
+ * (and their words are not counted again). Phrases honour negation the same way:
+ * "did not beat expectations" is negative.
+ *
+ * Articles are scored with the headline counting double - it is what the
+ * author chose to lead with.
+ */
+
+import { stem, tokenize } from './text.js';
+
+// Words → polarity weight. Tokens and entries are both stemmed (services/text.js),
+// so one entry covers its plural and -ed/-ing forms; irregular and e-final
+// past forms ("rose", "surged") stem differently and need their own entry.
+const LEXICON = {
+    // Positive
+    beat: 1, record: 0.8, surge: 1, surged: 1, soar: 1, jump: 0.7, growth: 0.6, grew: 0.6,
+    grow: 0.5, gain: 0.6, rally: 0.8, rallied: 0.8, rise: 0.5, rose: 0.5, rising: 0.5, strong: 0.6,
+    stronger: 0.6, robust: 0.7, upgrade: 0.9, upgraded: 0.9, outperform: 0.9, exceed: 0.9,
+    profit: 0.4, profitable: 0.6, expansion: 0.5, expand: 0.5, accelerate: 0.6, momentum: 0.5,
+    bullish: 1, optimistic: 0.7, optimism: 0.7, approval: 0.7, approved: 0.7, boost: 0.6,
+    demand: 0.3, recovery: 0.6, rebound: 0.6, inflows: 0.6, breakthrough: 0.8, milestone: 0.5,
+    success: 0.6, successful: 0.6, raise: 0.4, raised: 0.4,
+
+    // Negative
+    miss: -1, decline: -0.7, declined: -0.7, drop: -0.7, fall: -0.6, fell: -0.6, plunge: -1,
+    plunged: -1, slump: -0.9, loss: -0.7, weak: -0.6, weaker: -0.6, downgrade: -0.9,
+    downgraded: -0.9, underperform: -0.9, cut: -0.6, slowdown: -0.7, slow: -0.5, concern: -0.5,
+    risk: -0.3, probe: -0.7, investigation: -0.7, lawsuit: -0.7, fine: -0.5, fined: -0.7,
+    penalty: -0.7, ban: -0.8, delay: -0.5, recall: -0.7, bearish: -1, pessimistic: -0.7,
+    shortage: -0.6, outflows: -0.6, default: -0.9, layoffs: -0.7, bankruptcy: -1, fraud: -1,
+    headwinds: -0.6, pressure: -0.4, volatile: -0.2, inflation: -0.2, tariff: -0.4,
+    sanctions: -0.6, crash: -1, selloff: -0.8
+};
+const STEMMED_LEXICON = new Map(Object.entries(LEXICON).map(([word, weight]) => [stem(word), weight]));
+
+// Up to three words between the verb and its object: "beat LSEG delivery estimates"
+const ANY_WORDS = String.raw`(?:[\w'$%.-]+\s+){0,3}`;
+// Guidance is a common word, so only period/owner words may sit in between
+const OPTIONAL_QUALIFIER = String.raw`(?:(?:its|their|the|full[- ]year|annual|quarterly|fiscal|fy\d*|q[1-4]|20\d\d|revenue|earnings|profit|sales|margin)\s+){0,3}`;
+// Multi-word signals, checked before the word lexicon
+const PHRASES = [
+    { label: 'beat expectations', weight: 1.2, pattern: String.raw`\b(?:beat|beats|beating|topped|tops|exceeded|exceeds|surpassed|surpasses|crushed)\s+${ANY_WORDS}(?:expectations|estimates|forecasts?|consensus|views)\b` },
+    { label: 'missed expectations', weight: -1.2, pattern: String.raw`\b(?:miss|missed|misses|missing|fell short of|falls short of|trailed|lagged)\s+${ANY_WORDS}(?:expectations|estimates|forecasts?|consensus|views)\b` },
+    { label: 'above expectations', weight: 0.9, pattern: String.raw`\b(?:above|ahead of|better than)\s+${ANY_WORDS}(?:expectations|estimates|forecasts?|consensus)\b` },
+    { label: 'below expectations', weight: -0.9, pattern: String.raw`\b(?:below|short of|worse than)\s+${ANY_WORDS}(?:expectations|estimates|forecasts?|consensus)\b` },
+    { label: 'in line with expectations', weight: 0, pattern: String.raw`\bin line with\s+${ANY_WORDS}(?:expectations|estimates|forecasts?|consensus)\b` },
+    { label: 'guidance cut', weight: -1.2, pattern: String.raw`\b(?:cut|cuts|cutting|lowered|lowers|lowering|slashed|slashes|reduced|reduces|trimmed|trims|withdrew|withdraws|suspended|pulled)\s+${OPTIONAL_QUALIFIER}(?:guidance|outlook|forecast)\b` },
+    { label: 'guidance cut', weight: -1.2, pattern: String.raw`\b(?:guidance|outlook|forecast)\s+(?:was\s+|is\s+)?(?:cut|lowered|slashed|reduced|trimmed|withdrawn)\b` },
+    { label: 'guidance raise', weight: 1.1, pattern: String.raw`\b(?:raised|raises|raising|lifted|lifts|boosted|hiked|increased|upped)\s+${OPTIONAL_QUALIFIER}(?:guidance|outlook|forecast)\b` },
+    { label: 'guidance reaffirmed', weight: 0.3, pattern: String.raw`\b(?:reaffirmed|reaffirms|reiterated|reiterates|maintained|maintains)\s+${OPTIONAL_QUALIFIER}(?:guidance|outlook|forecast)\b` },
+    { label: 'price target raise', weight: 0.8, pattern: String.raw`\b(?:raised|raises|lifted|boosted|hiked)\s+(?:its\s+|their\s+|the\s+)?price target\b` },
+    { label: 'price target cut', weight: -0.8, pattern: String.raw`\b(?:cut|cuts|lowered|lowers|slashed|trimmed)\s+(?:its\s+|their\s+|the\s+)?price target\b` },
+    { label: 'dividend raise', weight: 0.8, pattern: String.raw`\b(?:raised|raises|increased|increases|hiked|boosted)\s+(?:its\s+|the\s+|quarterly\s+)*dividend\b` },
+    { label: 'record high', weight: 0.8, pattern: String.raw`\b(?:all[- ]time|record|52[- ]week)\s+highs?\b` },
+    { label: 'record low', weight: -0.8, pattern: String.raw`\b(?:all[- ]time|record|52[- ]week)\s+lows?\b` },
+    { label: 'dividend cut', weight: -0.9, pattern: String.raw`\b(?:cut|cuts|slashed|suspended|suspends|eliminated)\s+(?:its\s+|the\s+|quarterly\s+)*dividend\b` }
+].map(phrase => ({ ...phrase, regex: new RegExp(phrase.pattern, 'g') }));
+
+const HEADLINE_WEIGHT = 2;
+
+const NEGATORS = new Set(['not', 'no', 'never', "didn't", "doesn't", "don't", 'without', 'failed', 'fails']);
+const NEGATION_WINDOW = 3;
+
+function isNegated(precedingText) {
+    return tokenize(precedingText).slice(-NEGATION_WINDOW).some(w => NEGATORS.has(w));
+}
+
+function damp(positive, negative) {
+    const total = positive + negative;
+    // Damp scores on texts with very few hits so one word can't pin ±1
+    const score = total === 0 ? 0 : (positive - negative) / (total + 1);
+    return Math.max(-1, Math.min(1, score));
+}
+
+/**
+ * Score a piece of text with the finance phrases and lexicon
+ *
+ * @param {string} text - Any text (headline, sentence, article body)
+ * @returns {Object} { score: -1..1, positive, negative, hits: string[] }
+ */
+export function scoreText(text) {
+    let lower = String(text || '').toLowerCase();
+    let positive = 0;
+    let negative = 0;
+    const hits = [];
+
+    for (const phrase of PHRASES) {
+        lower = lower.replace(phrase.regex, (match, offset, whole) => {
+            let weight = phrase.weight;
+            if (isNegated(whole.slice(Math.max(0, offset - 40), offset))) {
+                weight = -weight;
+                hits.push(`not ${phrase.label}`);
+            } else {
+                hits.push(phrase.label);
+            }
+            if (weight > 0) positive += weight;
+            else negative += -weight;
+            // Blank the phrase so its words are not scored again
+            return ' '.repeat(match.length);
+        });
+    }
+
+    const tokens = tokenize(lower);
+    tokens.forEach((token, i) => {
+        let weight = STEMMED_LEXICON.get(stem(token));
+        if (weight === undefined) return;
+
+        const window = tokens.slice(Math.max(0, i - NEGATION_WINDOW), i);
+        if (window.some(w => NEGATORS.has(w))) {
+            weight = -weight;
+            hits.push(`not ${token}`);
+        } else {
+            hits.push(token);
+        }
+
+        if (weight > 0) positive += weight;
+        else negative += -weight;
+    });
+
+    return {
+        score: damp(positive, negative),
+        positive,
+        negative,
+        hits
+    };
+}
+
+/**
+ * Score one article, headline counting double
+ *
+ * @param {Object} article - { headline, content }
+ * @returns {Object} { score: -1..1 (2 decimals), label, drivers: string[] }
+ *   - drivers are the distinct phrases/words that moved the score
+ */
+export function scoreArticle(article) {
+    const headline = scoreText(article.headline);
+    const content = scoreText(article.content);
+
+    const score = Math.round(damp(
+        headline.positive * HEADLINE_WEIGHT + content.positive,
+        headline.negative * HEADLINE_WEIGHT + content.negative
+    ) * 100) / 100;
+
+    return {
+        score,
+        label: labelSentiment(score),
+        drivers: [...new Set([...headline.hits, ...content.hits])]
+    };
+}
+
+/**
+ * Map a numeric score to the analysis sentiment label
+ *
+ * @param {number} score - Sentiment score in [-1, 1]
+ * @returns {string} POSITIVE / NEUTRAL / NEGATIVE
+ */
+export function labelSentiment(score) {
+    if (score >= 0.15) return 'POSITIVE';
+    if (score <= -0.15) return 'NEGATIVE';
+    return 'NEUTRAL';
+}
+
+/**
+ * Credibility-weighted average sentiment across articles
+ *
+ * @param {Array} articles - Articles with credibility scores
+ * @returns {number} Weighted score in [-1, 1]
+ */
+export function aggregateSentiment(articles) {
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    for (const article of articles) {
+        const weight = article.credibility?.score ?? 0.3;
+        weightedSum += (article.sentiment?.score ?? scoreArticle(article).score) * weight;
+        totalWeight += weight;
+    }
+
+    return totalWeight === 0 ? 0 : weightedSum / totalWeight;
+}
+
+export default {
+    scoreText,
+    scoreArticle,
+    labelSentiment,
+    aggregateSentiment
+};
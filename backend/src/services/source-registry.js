@@ -0,0 +1,337 @@
+/**
+ * Source Registry Service
+ *
+ * The managed list of news sources behind credibility scoring. Each entry
+ * has:
+ * - name       - canonical source name ("Reuters")
+ * - aliases    - other spellings that refer to it ("Thomson Reuters")
+ * - sourceType - base credibility tier (see CREDIBILITY_SCORES)
+ * - adjustment - added to the tier score (-0.5..0.5), e.g. -0.15 for a
+ *                trade paper whose scoops are often unconfirmed
+ * - region, notes
+ *
+ * Lookups are case-insensitive on name and aliases. The defaults ship in
+ * data/source-registry.json; entries added or edited through the API are
+ * stored in SQLite (source_overrides) and replace the file entry with the
+ * same name.
+ *
+ * Sources that ingestion meets but the registry does not know go to a
+ * review queue (source_review_queue) with a sample headline, so someone
+ * can register or dismiss them instead of the source quietly scoring as
+ * "unknown".
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getDatabase } from './database.js';
+import { CREDIBILITY_SCORES } from './credibility.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const REGISTRY_PATH = join(__dirname, '../data/source-registry.json');
+
+export const REVIEW_STATUSES = ['pending', 'registered', 'dismissed'];
+
+const MAX_ADJUSTMENT = 0.5;
+const MAX_ALIASES = 20;
+
+// Lazily built: { sources: Map<key, entry>, names: Map<name/alias key, key> }
+let registry = null;
+
+function keyOf(name) {
+    return String(name || '').trim().toLowerCase();
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Validate and normalize a registry entry
+ *
+ * Aliases already used by another source are rejected.
+ *
+ * @param {Object} input - Raw entry
+ * @param {Object} options
+ * @param {string} options.name - Canonical name to use (e.g. from the URL on PUT)
+ * @returns {Object} { valid, errors, value }
+ */
+export function validateSource(input, options = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: ['Source must be a JSON object'], value: null };
+    }
+
+    const errors = [];
+    const sourceTypes = Object.keys(CREDIBILITY_SCORES);
+
+    const name = String(options.name ?? input.name ?? '').trim();
+    if (!name || name.length > 100) {
+        errors.push('name is required and must be at most 100 characters');
+    }
+
+    if (!sourceTypes.includes(input.sourceType)) {
+        errors.push(`sourceType must be one of: ${sourceTypes.join(', ')}`);
+    }
+
+    const adjustment = input.adjustment ?? 0;
+    if (typeof adjustment !== 'number' || !Number.isFinite(adjustment) || Math.abs(adjustment) > MAX_ADJUSTMENT) {
+        errors.push(`adjustment must be a number between -${MAX_ADJUSTMENT} and ${MAX_ADJUSTMENT}`);
+    }
+
+    let aliases = [];
+    if (input.aliases != null) {
+        if (!Array.isArray(input.aliases) || input.aliases.length > MAX_ALIASES
+            || input.aliases.some(alias => typeof alias !== 'string' || !alias.trim() || alias.length > 100)) {
+            errors.push(`aliases must be an array of at most ${MAX_ALIASES} non-empty strings`);
+        } else {
+            aliases = [...new Set(input.aliases.map(alias => alias.trim()))]
+                .filter(alias => keyOf(alias) !== keyOf(name));
+        }
+    }
+
+    for (const field of ['region', 'notes']) {
+        const limit = field === 'notes' ? 500 : 20;
+        if (input[field] != null && (typeof input[field] !== 'string' || input[field].length > limit)) {
+            errors.push(`${field} must be a string of at most ${limit} characters`);
+        }
+    }
+
+    if (errors.length === 0) {
+        const { names } = loadRegistry();
+        for (const alias of [name, ...aliases]) {
+            const owner = names.get(keyOf(alias));
+            if (owner && owner !== keyOf(name)) {
+                errors.push(`"${alias}" already refers to ${loadRegistry().sources.get(owner).name}`);
+            }
+        }
+    }
+
+    if (errors.length > 0) return { valid: false, errors, value: null };
+
+    return {
+        valid: true,
+        errors: [],
+        value: {
+            name,
+            aliases,
+            sourceType: input.sourceType,
+            adjustment: Math.round(adjustment * 100) / 100,
+            region: input.region ? input.region.trim().toUpperCase() : null,
+            notes: input.notes ? input.notes.trim() : ''
+        }
+    };
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Read the registry file and apply the stored overrides
+ */
+function loadRegistry() {
+    if (registry) return registry;
+
+    const sources = new Map();
+    for (const entry of JSON.parse(readFileSync(REGISTRY_PATH, 'utf-8')).sources) {
+        sources.set(keyOf(entry.name), {
+            ...entry,
+            aliases: entry.aliases || [],
+            adjustment: entry.adjustment ?? 0,
+            region: entry.region ?? null,
+            notes: entry.notes ?? ''
+        });
+    }
+    for (const row of getDatabase().prepare('SELECT data FROM source_overrides').all()) {
+        const entry = JSON.parse(row.data);
+        sources.set(keyOf(entry.name), entry);
+    }
+
+    const names = new Map();
+    for (const [key, entry] of sources) {
+        for (const name of [entry.name, ...(entry.aliases || [])]) {
+            if (!names.has(keyOf(name))) names.set(keyOf(name), key);
+        }
+    }
+
+    registry = { sources, names };
+    return registry;
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Find the registry entry for a source name or alias
+ *
+ * @param {string} source - Source name as it appears on an article
+ * @returns {Object|null} { ...entry, matched } - matched is the name/alias that hit
+ */
+export function lookupSource(source) {
+    const { sources, names } = loadRegistry();
+    const key = names.get(keyOf(source));
+    if (!key) return null;
+    return { ...sources.get(key), matched: String(source).trim() };
+}
+
+/**
+ * List registry entries
+ *
+ * @param {Object} filters
+ * @param {string} filters.sourceType - Credibility tier
+ * @param {string} filters.region - e.g. "IN"
+ * @param {string} filters.q - Case-insensitive match on name or alias
+ * @returns {Array} Entries sorted by name
+ */
+export function listSources(filters = {}) {
+    const { sourceType, region, q } = filters;
+    const needle = q ? q.toLowerCase() : null;
+
+    return [...loadRegistry().sources.values()]
+        .filter(entry => !sourceType || entry.sourceType === sourceType)
+        .filter(entry => !region || entry.region === region.toUpperCase())
+        .filter(entry => !needle
+            || [entry.name, ...entry.aliases].some(name => name.toLowerCase().includes(needle)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} name - Canonical name (case-insensitive)
+ * @returns {Object|null} The entry, or null if unknown
+ */
+export function getSource(name) {
+    return loadRegistry().sources.get(keyOf(name)) || null;
+}
+
+// =============================================================================
+// MANAGEMENT
+// =============================================================================
+
+/**
+ * Add or replace a registry entry
+ *
+ * Any pending review for the name or one of its aliases is marked registered.
+ *
+ * @param {Object} value - Validated entry (see validateSource)
+ * @returns {Object} The stored entry
+ */
+export function saveSource(value) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    db.transaction(() => {
+        db.prepare(`
+            INSERT INTO source_overrides (name_key, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(name_key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `).run(keyOf(value.name), JSON.stringify(value), now);
+
+        const resolve = db.prepare(`
+            UPDATE source_review_queue SET status = 'registered', resolved_at = ?
+            WHERE source_key = ? AND status = 'pending'
+        `);
+        for (const name of [value.name, ...value.aliases]) resolve.run(now, keyOf(name));
+    })();
+
+    // Rebuild on next read so the name index picks up the change
+    registry = null;
+    return getSource(value.name);
+}
+
+// =============================================================================
+// REVIEW QUEUE
+// =============================================================================
+
+function rowToReview(row) {
+    return {
+        id: row.id,
+        source: row.source,
+        suggestedType: row.suggested_type,
+        feedId: row.feed_id,
+        sampleHeadline: row.sample_headline,
+        seenCount: row.seen_count,
+        status: row.status,
+        firstSeenAt: row.first_seen_at,
+        lastSeenAt: row.last_seen_at,
+        resolvedAt: row.resolved_at
+    };
+}
+
+/**
+ * Queue a source the registry does not know (no-op when it does)
+ *
+ * Repeat sightings bump seenCount; a dismissed source stays dismissed.
+ *
+ * @param {Object} sighting
+ * @param {string} sighting.source - Source name
+ * @param {string} sighting.suggestedType - Type the feed declared, if any
+ * @param {string} sighting.feedId - Feed it came from
+ * @param {string} sighting.headline - Example headline
+ * @returns {boolean} True if the source is unregistered
+ */
+export function recordUnknownSource({ source, suggestedType = null, feedId = null, headline = null }) {
+    if (!keyOf(source) || lookupSource(source)) return false;
+
+    const now = new Date().toISOString();
+    getDatabase().prepare(`
+        INSERT INTO source_review_queue
+            (source_key, source, suggested_type, feed_id, sample_headline, seen_count, status, first_seen_at, last_seen_at)
+        VALUES (?, ?, ?, ?, ?, 1, 'pending', ?, ?)
+        ON CONFLICT(source_key) DO UPDATE SET
+            seen_count = seen_count + 1,
+            last_seen_at = excluded.last_seen_at,
+            sample_headline = COALESCE(excluded.sample_headline, sample_headline)
+    `).run(keyOf(source), String(source).trim(), suggestedType, feedId, headline, now, now);
+    return true;
+}
+
+/**
+ * @param {Object} filters
+ * @param {string} filters.status - pending (default) | registered | dismissed
+ * @param {number} filters.limit - Max entries (default 50)
+ * @returns {Array} Queue entries, most seen first
+ */
+export function getReviewQueue(filters = {}) {
+    const { status = 'pending', limit = 50 } = filters;
+    return getDatabase()
+        .prepare('SELECT * FROM source_review_queue WHERE status = ? ORDER BY seen_count DESC, last_seen_at DESC LIMIT ?')
+        .all(status, limit)
+        .map(rowToReview);
+}
+
+/**
+ * @param {number} id - Queue entry ID
+ * @returns {Object|null} The entry, or null if unknown
+ */
+export function getReview(id) {
+    const row = getDatabase().prepare('SELECT * FROM source_review_queue WHERE id = ?').get(id);
+    return row ? rowToReview(row) : null;
+}
+
+/**
+ * Dismiss a queued source; it keeps scoring as its declared type
+ *
+ * @param {number} id - Queue entry ID
+ * @returns {Object|null} The updated entry, or null if unknown
+ */
+export function dismissReview(id) {
+    getDatabase()
+        .prepare("UPDATE source_review_queue SET status = 'dismissed', resolved_at = ? WHERE id = ?")
+        .run(new Date().toISOString(), id);
+    return getReview(id);
+}
+
+export default {
+    REVIEW_STATUSES,
+    validateSource,
+    lookupSource,
+    listSources,
+    getSource,
+    saveSource,
+    recordUnknownSource,
+    getReviewQueue,
+    getReview,
+    dismissReview
+};
@@ -0,0 +1,175 @@
+/**
+ * Story Clustering Service
+ *
+ * Groups related articles into STORIES - one event as reported by every
+ * outlet that covered it (the RBI's rate decision from the RBI itself,
+ * Reuters and Mint is one story, not three articles).
+ *
+ * Two articles belong to the same story when they report the same event
+ * (services/event-similarity.js: a shared entity, published within
+ * MAX_GAP_HOURS of each other, and a shared figure or enough shared
+ * terms). Stories are the connected groups of such pairs, so a follow-up
+ * that only resembles the latest report still joins the story.
+ *
+ * Each story carries:
+ * - headline             - from its most credible article (earliest on ties)
+ * - sources              - outlets that reported it (registry canonical names)
+ * - firstSeen/lastUpdated - earliest and latest article timestamps
+ * - credibility          - the span of its articles' scores, plus the tier mix
+ *
+ * The story ID is its earliest article's ID, so it stays stable as later
+ * coverage joins.
+ */
+
+import { queryArticles } from './article-store.js';
+import { assignCredibility } from './credibility.js';
+import { eventProfiles, isSameEvent } from './event-similarity.js';
+import { lookupSource } from './source-registry.js';
+
+const MAX_GAP_HOURS = 72;
+// Most recent articles considered per request (similarity is pairwise)
+const MAX_ARTICLES = 1000;
+
+const TIERS = ['HIGH', 'MEDIUM', 'LOW', 'UNVERIFIED'];
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// =============================================================================
+// CLUSTERING
+// =============================================================================
+
+/**
+ * Connected groups of articles that report the same event
+ *
+ * @returns {Array<Array<number>>} Groups of article indexes
+ */
+function groupArticles(articles, similarity, maxGapHours) {
+    const profiles = eventProfiles(articles);
+
+    // Union-find over the linked pairs
+    const parent = articles.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    for (let i = 0; i < articles.length; i++) {
+        for (let j = i + 1; j < articles.length; j++) {
+            if (isSameEvent(profiles[i], profiles[j], { maxGapHours, minOverlap: similarity })) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const groups = new Map();
+    articles.forEach((_, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(i);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Summarize one group of articles as a story
+ */
+function describeStory(members) {
+    const byTime = [...members].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const representative = byTime.reduce((best, article) =>
+        (article.credibility.score > best.credibility.score ? article : best));
+
+    const sources = new Map();
+    for (const article of byTime) {
+        const name = lookupSource(article.source)?.name ?? article.source;
+        const entry = sources.get(name)
+            || { name, sourceType: article.credibility.sourceType, tier: article.credibility.tier, articleCount: 0 };
+        entry.articleCount++;
+        sources.set(name, entry);
+    }
+
+    const scores = byTime.map(article => article.credibility.score);
+    const tierMix = Object.fromEntries(TIERS.map(tier => [tier, 0]));
+    for (const article of byTime) tierMix[article.credibility.tier]++;
+
+    return {
+        id: `story-${byTime[0].id}`,
+        headline: representative.headline,
+        representativeId: representative.id,
+        articleCount: byTime.length,
+        sources: [...sources.values()],
+        companies: [...new Set(byTime.flatMap(article => article.companies || []))],
+        sectors: [...new Set(byTime.map(article => article.sector).filter(Boolean))],
+        firstSeen: byTime[0].timestamp,
+        lastUpdated: byTime[byTime.length - 1].timestamp,
+        credibility: {
+            min: round(Math.min(...scores)),
+            max: round(Math.max(...scores)),
+            tierMix
+        },
+        articles: byTime.map(article => ({
+            id: article.id,
+            headline: article.headline,
+            source: article.source,
+            sourceType: article.credibility.sourceType,
+            timestamp: article.timestamp,
+            url: article.url,
+            credibility: { score: round(article.credibility.score), tier: article.credibility.tier }
+        }))
+    };
+}
+
+/**
+ * Cluster articles into stories
+ *
+ * @param {Array} articles - Articles in the corpus schema
+ * @param {Object} options
+ * @param {number} options.similarity - Term overlap that links two articles without a shared
+ *   figure (default 0.4, see isSameEvent)
+ * @param {number} options.maxGapHours - Maximum time between linked articles (default 72)
+ * @returns {Array} Stories, most recently updated first
+ */
+export function clusterStories(articles, options = {}) {
+    const { similarity, maxGapHours = MAX_GAP_HOURS } = options;
+    const scored = articles.map(assignCredibility);
+
+    return groupArticles(scored, similarity, maxGapHours)
+        .map(group => describeStory(group.map(i => scored[i])))
+        .sort((a, b) => b.lastUpdated.localeCompare(a.lastUpdated) || b.articleCount - a.articleCount);
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Stories from the stored corpus
+ *
+ * @param {Object} filters
+ * @param {Object} filters.timeWindow - Resolved window (see resolveTimeWindow)
+ * @param {string} filters.ticker - Only articles tagged with this ticker
+ * @param {string} filters.sector - Only articles in this sector
+ * @param {number} filters.minArticles - Hide stories with fewer articles (default 2)
+ * @param {number} filters.limit - Max stories (default 20)
+ * @param {number} filters.similarity - See clusterStories
+ * @returns {Object} { articleCount, total, stories } - total counts stories before the limit
+ */
+export function getStories(filters = {}) {
+    const { timeWindow = null, ticker, sector, minArticles = 2, limit = 20, similarity } = filters;
+
+    const articles = queryArticles({
+        from: timeWindow?.from,
+        to: timeWindow?.to,
+        ticker,
+        sector,
+        limit: MAX_ARTICLES
+    });
+
+    const stories = clusterStories(articles, { similarity })
+        .filter(story => story.articleCount >= minArticles);
+
+    return { articleCount: articles.length, total: stories.length, stories: stories.slice(0, limit) };
+}
+
+export default {
+    clusterStories,
+    getStories
+};
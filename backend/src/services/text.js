@@ -0,0 +1,93 @@
+/**
+ * Text Processing Utilities
+ *
+ * Shared tokenization and stemming used by the search index and the
+ * grounding checks, so a word is normalized the same way everywhere.
+ *
+ * The stemmer is a trimmed-down Porter stemmer: it covers the suffixes that
+ * actually show up in financial news ("earnings", "growing", "accelerated",
+ * "regulations") without the full rule set.
+ */
+
+// Common English words that carry no retrieval signal
+export const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'for', 'from', 'has', 'have',
+    'had', 'he', 'her', 'his', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'she',
+    'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to',
+    'was', 'were', 'which', 'while', 'who', 'will', 'with', 'would', 'what', 'when', 'where',
+    'how', 'about', 'after', 'also', 'any', 'can', 'do', 'does', 'did', 'not', 'over', 'more',
+    'most', 'some', 'such', 'up', 'we', 'you', 'all', 'new', 'says', 'said'
+]);
+
+const VOWEL = /[aeiouy]/;
+
+/**
+ * Reduce a lowercase word to its stem
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string} Stemmed word
+ */
+export function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+
+    let w = word;
+
+    // Plurals
+    if (w.endsWith('sses')) w = w.slice(0, -2);
+    else if (w.endsWith('ies')) w = `${w.slice(0, -3)}y`;
+    else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us') && !w.endsWith('is')) w = w.slice(0, -1);
+
+    // -ed / -ing, only when a vowel remains in the stem
+    const past = w.match(/^(.+?)(ed|ing)$/);
+    if (past && VOWEL.test(past[1]) && past[1].length >= 3) {
+        w = past[1];
+        if (/(at|bl|iz)$/.test(w)) w += 'e';
+        else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    }
+
+    // Derivational suffixes
+    const rules = [
+        ['ational', 'ate'], ['ization', 'ize'], ['ation', 'ate'], ['tional', 'tion'],
+        ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'], ['ment', ''],
+        ['ness', ''], ['ity', ''], ['ly', '']
+    ];
+    for (const [suffix, replacement] of rules) {
+        if (w.endsWith(suffix) && w.length - suffix.length >= 4) {
+            w = w.slice(0, -suffix.length) + replacement;
+            break;
+        }
+    }
+
+    return w;
+}
+
+/**
+ * Split text into lowercase tokens.
+ * Keeps decimals and hyphenated tickers together ("123.9", "h-1b"),
+ * treats everything else (including regex metacharacters) as separators.
+ *
+ * @param {string} text - Raw text
+ * @returns {string[]} Lowercase tokens (not stemmed, stopwords kept)
+ */
+export function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[a-z0-9]+(?:[.\-'][a-z0-9]+)*/g) || [];
+}
+
+/**
+ * Tokenize, drop stopwords/one-letter tokens and stem
+ *
+ * @param {string} text - Raw text
+ * @returns {string[]} Index terms
+ */
+export function analyzeText(text) {
+    return tokenize(text)
+        .filter(t => t.length > 1 && !STOPWORDS.has(t))
+        .map(stem);
+}
+
+export default {
+    STOPWORDS,
+    stem,
+    tokenize,
+    analyzeText
+};
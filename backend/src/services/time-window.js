@@ -0,0 +1,148 @@
+/**
+ * Time Window Service
+ *
+ * Resolves the time window of an analysis request and computes recency
+ * weights for retrieval.
+ *
+ * Windows can be absolute or relative:
+ *   { from: '2026-01-20', to: '2026-01-31T23:59:59Z' }
+ *   { window: '7d' }                  - the last 7 days up to now (or `to`)
+ *   { from: '48h' }                   - same thing, relative `from`
+ *
+ * Relative durations use m (minutes), h (hours), d (days) or w (weeks).
+ *
+ * Recency weights decay exponentially with a configurable half-life: an
+ * article one half-life older than the newest matching article weighs half
+ * as much as that article (retrieval.js turns the weight into a bounded
+ * score bonus). Anchoring on the newest match (rather than the wall clock)
+ * keeps scores readable when the whole corpus is old. The default comes
+ * from RECENCY_HALF_LIFE_HOURS (168 = one week), read per request; 0
+ * disables decay.
+ */
+
+import { readNumber } from './config.js';
+
+const DEFAULT_HALF_LIFE_HOURS = 168;
+
+const UNIT_MS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)\s*([mhdw])$/i;
+
+/**
+ * Thrown when a request carries a window that cannot be resolved
+ * (unparseable date, unknown duration unit, from after to, ...).
+ */
+export class TimeWindowError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TimeWindowError';
+        this.code = 'INVALID_TIME_WINDOW';
+    }
+}
+
+/**
+ * Parse a relative duration such as "7d" or "36h"
+ *
+ * @param {string} value - Duration string
+ * @returns {number|null} Milliseconds, or null if the value is not a duration
+ */
+export function parseDuration(value) {
+    const match = typeof value === 'string' ? value.trim().match(DURATION_PATTERN) : null;
+    return match ? Number(match[1]) * UNIT_MS[match[2].toLowerCase()] : null;
+}
+
+function parseDate(value, field) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new TimeWindowError(`${field} must be an ISO date or a relative duration like "7d"`);
+    }
+    return date;
+}
+
+/**
+ * Resolve request options into an absolute window
+ *
+ * @param {Object} options
+ * @param {string} options.from - ISO date or relative duration
+ * @param {string} options.to - ISO date (defaults to open-ended)
+ * @param {string} options.window - Relative duration ending at `to` or now
+ * @param {number|string} options.halfLife - Recency half-life in hours, or a duration ("3d")
+ * @param {Date} now - Reference time for relative windows (default: now)
+ * @returns {Object} { from, to, relative, halfLifeHours } - from/to are ISO strings or null
+ * @throws {TimeWindowError} On unparseable or inverted windows
+ */
+export function resolveTimeWindow(options = {}, now = new Date()) {
+    const { from, to, window, halfLife } = options;
+
+    const toDate = to ? parseDate(to, 'to') : null;
+    const relative = window || (parseDuration(from) !== null ? from : null);
+
+    let fromDate = null;
+    if (relative) {
+        const duration = parseDuration(relative);
+        if (duration === null) {
+            throw new TimeWindowError(`window must be a relative duration like "7d", "24h" or "2w" (got "${relative}")`);
+        }
+        fromDate = new Date((toDate || now).getTime() - duration);
+    } else if (from) {
+        fromDate = parseDate(from, 'from');
+    }
+
+    if (fromDate && toDate && fromDate > toDate) {
+        throw new TimeWindowError('from must be earlier than to');
+    }
+
+    let halfLifeHours = readNumber('RECENCY_HALF_LIFE_HOURS', DEFAULT_HALF_LIFE_HOURS);
+    if (halfLife != null) {
+        const duration = parseDuration(String(halfLife));
+        halfLifeHours = duration !== null ? duration / UNIT_MS.h : Number(halfLife);
+        if (!Number.isFinite(halfLifeHours) || halfLifeHours < 0) {
+            throw new TimeWindowError('halfLife must be a non-negative number of hours or a duration like "3d"');
+        }
+    }
+
+    return {
+        from: fromDate ? fromDate.toISOString() : null,
+        to: toDate ? toDate.toISOString() : null,
+        relative: relative || null,
+        halfLifeHours
+    };
+}
+
+/**
+ * @param {string} timestamp - Article timestamp
+ * @param {Object} window - Resolved window
+ * @returns {boolean} Whether the timestamp falls inside the window
+ */
+export function isWithinWindow(timestamp, window) {
+    const time = new Date(timestamp).getTime();
+    if (window.from && time < new Date(window.from).getTime()) return false;
+    if (window.to && time > new Date(window.to).getTime()) return false;
+    return true;
+}
+
+/**
+ * Exponential recency weight: 0.5 ^ (age / halfLife)
+ *
+ * @param {string} timestamp - Article timestamp
+ * @param {number} halfLifeHours - Half-life (0 disables decay)
+ * @param {Date} reference - The "newest" moment, usually the newest matching article
+ * @returns {number} Weight in (0, 1]
+ */
+export function recencyWeight(timestamp, halfLifeHours, reference = new Date()) {
+    if (!halfLifeHours) return 1;
+    const ageHours = (reference.getTime() - new Date(timestamp).getTime()) / UNIT_MS.h;
+    return Math.pow(0.5, Math.max(0, ageHours) / halfLifeHours);
+}
+
+export default {
+    TimeWindowError,
+    parseDuration,
+    resolveTimeWindow,
+    isWithinWindow,
+    recencyWeight
+};
@@ -0,0 +1,258 @@
+/**
+ * Source Track Record Service
+ *
+ * Learns how often an analyst or social source turns out to be right.
+ *
+ * A CLAIM is an analyst or social_media article. When an official article
+ * arrives, earlier claims (within CLAIM_WINDOW_DAYS) that report the same
+ * event (services/event-similarity.js) are checked against it. The claim
+ * is then:
+ * - confirmed    - both lean the same way (sentiment.js labels agree)
+ * - contradicted - they lean opposite ways
+ * Neutral pairs settle nothing. Each claim is settled once, by the first
+ * official article that does so. Retracting either article drops the
+ * outcome; a claim whose evidence was retracted is open again.
+ *
+ * A source's learned adjustment drifts with its record but stays within
+ * ±MAX_DRIFT, and a short record moves it only a little:
+ *
+ *     drift = MAX_DRIFT × (confirmed − contradicted) / (claims + PRIOR_CLAIMS)
+ *
+ * so 7 of 9 confirmed gives +0.06, and a single confirmed claim +0.04.
+ * assignCredibility() adds the drift on top of the registry adjustment.
+ */
+
+import { getDatabase } from './database.js';
+import { queryArticles, getArticleById } from './article-store.js';
+import { lookupSource } from './source-registry.js';
+import { scoreArticle } from './sentiment.js';
+import { eventProfiles, compareEvents, isSameEvent } from './event-similarity.js';
+
+export const CLAIM_SOURCE_TYPES = ['analyst', 'social_media'];
+
+const CLAIM_WINDOW_DAYS = 30;
+const MAX_DRIFT = 0.15;
+const PRIOR_CLAIMS = 3;
+
+// Source name as stored (lowercase) → { name, confirmed, contradicted }; rebuilt after outcomes change
+let tallies = null;
+
+/**
+ * Records are grouped by canonical registry name, so aliases share one record
+ */
+function sourceKey(source) {
+    return String(lookupSource(source)?.name ?? source).trim().toLowerCase();
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Settle a claim against an official article
+ *
+ * @returns {string|null} 'confirmed' | 'contradicted', or null if they don't settle it
+ */
+function judgeClaim(claim, evidence) {
+    const claimLabel = scoreArticle(claim).label;
+    const evidenceLabel = scoreArticle(evidence).label;
+    if (claimLabel === 'NEUTRAL' || evidenceLabel === 'NEUTRAL') return null;
+    return claimLabel === evidenceLabel ? 'confirmed' : 'contradicted';
+}
+
+// =============================================================================
+// RESOLUTION
+// =============================================================================
+
+/**
+ * Check prior claims against newly added official articles
+ *
+ * Non-official articles in the list are ignored; already settled claims
+ * are left alone, so this is safe to call more than once for an article.
+ *
+ * @param {Array} articles - Newly added articles
+ * @returns {number} Claims settled by this call
+ */
+export function resolveClaims(articles) {
+    const evidence = articles
+        .filter(article => article.sourceType === 'official')
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    if (evidence.length === 0) return 0;
+
+    const db = getDatabase();
+    const isSettled = db.prepare('SELECT 1 FROM claim_outcomes WHERE claim_id = ?');
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO claim_outcomes
+            (claim_id, source, evidence_id, outcome, topic_overlap, claim_timestamp, resolved_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    let settled = 0;
+    db.transaction(() => {
+        for (const official of evidence) {
+            const from = new Date(new Date(official.timestamp).getTime() - CLAIM_WINDOW_DAYS * 86400000).toISOString();
+            const claims = new Map();
+            for (const ticker of official.companies || []) {
+                for (const sourceType of CLAIM_SOURCE_TYPES) {
+                    for (const claim of queryArticles({ ticker, sourceType, from, to: official.timestamp })) {
+                        if (claim.timestamp < official.timestamp) claims.set(claim.id, claim);
+                    }
+                }
+            }
+
+            const open = [...claims.values()].filter(claim => !isSettled.get(claim.id));
+            if (open.length === 0) continue;
+
+            const [officialProfile, ...claimProfiles] = eventProfiles([official, ...open]);
+
+            for (const claimProfile of claimProfiles) {
+                const claim = claimProfile.article;
+                if (!isSameEvent(claimProfile, officialProfile, { maxGapHours: CLAIM_WINDOW_DAYS * 24 })) continue;
+                const outcome = judgeClaim(claim, official);
+                if (!outcome) continue;
+
+                const { overlap } = compareEvents(claimProfile, officialProfile);
+                settled += insert.run(claim.id, claim.source, official.id, outcome,
+                    round(overlap), claim.timestamp, official.timestamp).changes;
+            }
+        }
+    })();
+
+    if (settled > 0) {
+        tallies = null;
+        console.log(`[TrackRecord] Settled ${settled} claim(s) against ${evidence.length} official article(s)`);
+    }
+    return settled;
+}
+
+/**
+ * Settle every open claim against the official articles already stored
+ * (run at startup so the seed corpus and earlier imports count)
+ *
+ * @returns {number} Claims settled
+ */
+export function backfillTrackRecords() {
+    const db = getDatabase();
+    const retracted = db.prepare('SELECT claim_id FROM claim_outcomes UNION SELECT evidence_id FROM claim_outcomes')
+        .pluck()
+        .all()
+        .filter(id => getArticleById(id)?.retractedAt);
+    const remove = db.prepare('DELETE FROM claim_outcomes WHERE claim_id = ? OR evidence_id = ?');
+    db.transaction(() => retracted.forEach(id => remove.run(id, id)))();
+    if (retracted.length > 0) tallies = null;
+
+    return resolveClaims(queryArticles({ sourceType: 'official' }));
+}
+
+/**
+ * Drop every outcome a retracted article took part in, as claim or as
+ * evidence, and settle the reopened claims against the official articles
+ * that remain
+ *
+ * @param {string} id - Retracted article ID
+ * @returns {number} Outcomes removed
+ */
+export function forgetArticle(id) {
+    const { changes } = getDatabase()
+        .prepare('DELETE FROM claim_outcomes WHERE claim_id = ? OR evidence_id = ?')
+        .run(id, id);
+    if (changes === 0) return 0;
+
+    tallies = null;
+    console.log(`[TrackRecord] Dropped ${changes} outcome(s) of retracted article ${id}`);
+    resolveClaims(queryArticles({ sourceType: 'official' }));
+    return changes;
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+function loadTallies() {
+    if (tallies) return tallies;
+
+    tallies = new Map();
+    const rows = getDatabase().prepare(`
+        SELECT source,
+               SUM(outcome = 'confirmed') AS confirmed,
+               SUM(outcome = 'contradicted') AS contradicted
+        FROM claim_outcomes
+        GROUP BY source
+    `).all();
+
+    for (const row of rows) {
+        tallies.set(row.source.toLowerCase(), { name: row.source, confirmed: row.confirmed, contradicted: row.contradicted });
+    }
+    return tallies;
+}
+
+/**
+ * Stored source names that share a record with this source
+ */
+function recordNames(source) {
+    const key = sourceKey(source);
+    return [...loadTallies().values()].filter(tally => sourceKey(tally.name) === key);
+}
+
+/**
+ * A source's settled claims and learned adjustment
+ *
+ * @param {string} source - Source name or registry alias
+ * @returns {Object|null} { claims, confirmed, contradicted, drift }, or null with no settled claims
+ */
+export function getTrackRecord(source) {
+    const names = recordNames(source);
+    if (names.length === 0) return null;
+
+    const confirmed = names.reduce((sum, tally) => sum + tally.confirmed, 0);
+    const contradicted = names.reduce((sum, tally) => sum + tally.contradicted, 0);
+    const claims = confirmed + contradicted;
+    return {
+        claims,
+        confirmed,
+        contradicted,
+        drift: round(MAX_DRIFT * (confirmed - contradicted) / (claims + PRIOR_CLAIMS))
+    };
+}
+
+/**
+ * A source's record with every settled claim, newest first
+ *
+ * @param {string} source - Source name or registry alias
+ * @param {Object} options
+ * @param {number} options.limit - Max history entries (default 50)
+ * @returns {Object} { source, claims, confirmed, contradicted, drift, maxDrift, history }
+ */
+export function getTrackRecordHistory(source, options = {}) {
+    const { limit = 50 } = options;
+    const record = getTrackRecord(source) || { claims: 0, confirmed: 0, contradicted: 0, drift: 0 };
+    const names = recordNames(source).map(tally => tally.name);
+
+    const history = names.length === 0 ? [] : getDatabase().prepare(`
+        SELECT * FROM claim_outcomes
+        WHERE source IN (${names.map(() => '?').join(', ')})
+        ORDER BY resolved_at DESC, claim_id
+        LIMIT ?
+    `).all(...names, limit).map(row => ({
+        claimId: row.claim_id,
+        claimHeadline: getArticleById(row.claim_id)?.headline ?? null,
+        source: row.source,
+        evidenceId: row.evidence_id,
+        evidenceHeadline: getArticleById(row.evidence_id)?.headline ?? null,
+        outcome: row.outcome,
+        topicOverlap: row.topic_overlap,
+        claimedAt: row.claim_timestamp,
+        resolvedAt: row.resolved_at
+    }));
+
+    return { source: lookupSource(source)?.name ?? source, ...record, maxDrift: MAX_DRIFT, history };
+}
+
+export default {
+    CLAIM_SOURCE_TYPES,
+    resolveClaims,
+    backfillTrackRecords,
+    forgetArticle,
+    getTrackRecord,
+    getTrackRecordHistory
+};
@@ -0,0 +1,452 @@
+/**
+ * Vector Index Service
+ *
+ * Local semantic search with Latent Semantic Analysis (LSA) - runs fully
+ * offline, no embedding API, no vector database.
+ *
+ * How it works:
+ * 1. Every document becomes a TF-IDF vector over the corpus vocabulary
+ * 2. A truncated SVD of the term-document matrix finds the k strongest
+ *    "concepts" - groups of terms that tend to co-occur
+ * 3. Documents and queries are projected into that k-dimensional concept
+ *    space and compared by cosine similarity
+ *
+ * Because terms that co-occur share concept dimensions, a query for
+ * "chip shortage" also lands near articles about semiconductors and supply
+ * constraints even when they never use those exact words.
+ *
+ * The SVD is computed by randomized subspace iteration on AᵀA, multiplying
+ * by the sparse term-document matrix A and its transpose instead of forming
+ * the N×N Gram matrix, and the space is learned from at most
+ * MAX_TRAINING_DOCS documents (every document is still projected into it).
+ * New documents are folded into the existing space immediately; once enough
+ * of the corpus has changed, a rebuild is scheduled off the request path.
+ * It yields to the event loop between steps and swaps the new space in when
+ * done - searches keep using the current (folded-in) vectors meanwhile.
+ */
+
+import { analyzeText } from './text.js';
+
+// Upper bound on latent concepts; the actual k scales with corpus size
+const DEFAULT_DIMENSIONS = 100;
+// Extra start vectors and power iterations of the randomized SVD
+const OVERSAMPLING = 10;
+const POWER_ITERATIONS = 6;
+// Documents the concept space is learned from (a fixed-seed sample beyond this)
+const MAX_TRAINING_DOCS = 2000;
+// Rebuild once this share of the corpus was added/removed since the last SVD
+const REBUILD_RATIO = 0.25;
+// Quiet period after the last change before a rebuild starts
+const REBUILD_DELAY_MS = 2000;
+// Documents projected between event-loop yields
+const PROJECTION_BATCH = 500;
+
+/**
+ * Deterministic pseudo-random generator so the SVD start vectors - and
+ * therefore the results - are reproducible across restarts
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296 - 0.5;
+    };
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(dot(vector, vector));
+    if (norm > 0) for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    return vector;
+}
+
+/**
+ * Orthonormalize the columns of Q in place (modified Gram-Schmidt)
+ */
+function orthonormalize(columns) {
+    for (let c = 0; c < columns.length; c++) {
+        for (let p = 0; p < c; p++) {
+            const projection = dot(columns[c], columns[p]);
+            for (let i = 0; i < columns[c].length; i++) columns[c][i] -= projection * columns[p][i];
+        }
+        normalize(columns[c]);
+    }
+}
+
+/**
+ * Eigen-decomposition of a small symmetric matrix (cyclic Jacobi rotations)
+ *
+ * @param {Array<Float64Array>} matrix - Symmetric n×n matrix (overwritten)
+ * @returns {Object} { values, vectors } - vectors[i] is the i-th eigenvector
+ */
+function symmetricEigen(matrix) {
+    const n = matrix.length;
+    const vectors = Array.from({ length: n }, (_, i) => {
+        const row = new Float64Array(n);
+        row[i] = 1;
+        return row;
+    });
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) offDiagonal += matrix[p][q] ** 2;
+        if (offDiagonal < 1e-20) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(matrix[p][q]) < 1e-15) continue;
+                const theta = (matrix[q][q] - matrix[p][p]) / (2 * matrix[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const kp = matrix[k][p];
+                    const kq = matrix[k][q];
+                    matrix[k][p] = c * kp - s * kq;
+                    matrix[k][q] = s * kp + c * kq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const pk = matrix[p][k];
+                    const qk = matrix[q][k];
+                    matrix[p][k] = c * pk - s * qk;
+                    matrix[q][k] = s * pk + c * qk;
+                }
+                // vectors are stored as rows: v_p, v_q rotate together
+                for (let k = 0; k < n; k++) {
+                    const vp = vectors[p][k];
+                    const vq = vectors[q][k];
+                    vectors[p][k] = c * vp - s * vq;
+                    vectors[q][k] = s * vp + c * vq;
+                }
+            }
+        }
+    }
+
+    return { values: matrix.map((row, i) => row[i]), vectors };
+}
+
+function yieldToEventLoop() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Term counts for a document's text
+ */
+function countTerms(text) {
+    const counts = new Map();
+    for (const term of analyzeText(text)) counts.set(term, (counts.get(term) || 0) + 1);
+    return counts;
+}
+
+const EMPTY_SPACE = { idf: new Map(), termVectors: new Map(), dimensions: 0 };
+
+/**
+ * Weighted TF-IDF vector (as a term → weight Map), unit length
+ */
+function weigh(counts, space) {
+    const weights = new Map();
+    let norm = 0;
+    for (const [term, tf] of counts) {
+        const termIdf = space.idf.get(term);
+        if (!termIdf) continue;
+        const weight = (1 + Math.log(tf)) * termIdf;
+        weights.set(term, weight);
+        norm += weight * weight;
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (const [term, w] of weights) weights.set(term, w / norm);
+    return weights;
+}
+
+/**
+ * Project a term-count vector into concept space: Σ_t w_t · U[t]
+ */
+function project(counts, space) {
+    const vector = new Float64Array(space.dimensions);
+    for (const [term, weight] of weigh(counts, space)) {
+        const u = space.termVectors.get(term);
+        if (!u) continue;
+        for (let k = 0; k < space.dimensions; k++) vector[k] += weight * u[k];
+    }
+    return normalize(vector);
+}
+
+/**
+ * Learn a concept space from term counts
+ *
+ * @param {Array<Map>} training - Term counts of the training documents
+ * @param {Map} df - Document frequencies over the whole corpus
+ * @param {number} corpusSize - Documents in the corpus
+ * @param {number} maxDimensions - Upper bound on concepts
+ * @returns {Promise<Object>} { idf, termVectors, dimensions }
+ */
+async function buildSpace(training, df, corpusSize, maxDimensions) {
+    const idf = new Map();
+    for (const [term, count] of df) {
+        // Terms in every document carry no concept signal
+        if (count < corpusSize) idf.set(term, Math.log(corpusSize / count));
+    }
+
+    // Sparse columns of A: term indexes and weights per training document
+    const termIndex = new Map();
+    const columns = training.map(counts => {
+        const weights = weigh(counts, { idf });
+        const indexes = new Int32Array(weights.size);
+        const values = new Float64Array(weights.size);
+        let i = 0;
+        for (const [term, w] of weights) {
+            if (!termIndex.has(term)) termIndex.set(term, termIndex.size);
+            indexes[i] = termIndex.get(term);
+            values[i++] = w;
+        }
+        return { indexes, values };
+    });
+    const N = columns.length;
+    const T = termIndex.size;
+
+    // AᵀA·z as Aᵀ(A·z) - never forms the N×N matrix
+    const gramTimes = (z) => {
+        const y = new Float64Array(T);
+        columns.forEach(({ indexes, values }, j) => {
+            if (z[j] === 0) return;
+            for (let i = 0; i < indexes.length; i++) y[indexes[i]] += values[i] * z[j];
+        });
+        const out = new Float64Array(N);
+        columns.forEach(({ indexes, values }, j) => {
+            let sum = 0;
+            for (let i = 0; i < indexes.length; i++) sum += values[i] * y[indexes[i]];
+            out[j] = sum;
+        });
+        return out;
+    };
+
+    // Top-k eigenvectors of AᵀA by randomized subspace iteration. Few
+    // concepts relative to the corpus size is what makes LSA generalize
+    // beyond exact terms.
+    const k = Math.min(maxDimensions, N - 1, Math.max(8, Math.round(2 * Math.sqrt(N))));
+    const width = Math.min(N, k + OVERSAMPLING);
+    const random = seededRandom(42);
+    let basis = Array.from({ length: width }, () => Float64Array.from({ length: N }, random));
+    orthonormalize(basis);
+
+    for (let iteration = 0; iteration < POWER_ITERATIONS; iteration++) {
+        const next = [];
+        for (const column of basis) {
+            next.push(gramTimes(column));
+            await yieldToEventLoop();
+        }
+        basis = next;
+        orthonormalize(basis);
+    }
+
+    // Rayleigh-Ritz: eigen-decompose H = QᵀAᵀAQ and rotate Q by its eigenvectors
+    const images = [];
+    for (const column of basis) {
+        images.push(gramTimes(column));
+        await yieldToEventLoop();
+    }
+    const projected = basis.map(row => Float64Array.from(images, image => dot(row, image)));
+    const { values, vectors } = symmetricEigen(projected);
+
+    // σ = √λ, strongest first
+    const kept = values
+        .map((lambda, index) => ({ s: Math.sqrt(Math.max(0, lambda)), index }))
+        .sort((a, b) => b.s - a.s)
+        .slice(0, k)
+        .filter(({ s }) => s > 1e-6);
+    const dimensions = kept.length;
+    const right = kept.map(({ index }) => {
+        const v = new Float64Array(N);
+        vectors[index].forEach((weight, c) => {
+            for (let j = 0; j < N; j++) v[j] += weight * basis[c][j];
+        });
+        return v;
+    });
+
+    // Term concept vectors: U = A V Σ⁻¹
+    const termOf = [...termIndex.keys()];
+    const termVectors = new Map();
+    columns.forEach(({ indexes, values: weights }, docIndex) => {
+        for (let i = 0; i < indexes.length; i++) {
+            const term = termOf[indexes[i]];
+            if (!termVectors.has(term)) termVectors.set(term, new Float64Array(dimensions));
+            const u = termVectors.get(term);
+            kept.forEach(({ s }, dim) => {
+                u[dim] += weights[i] * right[dim][docIndex] / s;
+            });
+        }
+    });
+
+    return { idf, termVectors, dimensions };
+}
+
+/**
+ * Create an empty LSA vector index
+ *
+ * @param {Object} options
+ * @param {number} options.dimensions - Max number of latent concepts (default: 100)
+ * @param {Function} options.getText - doc → text to embed
+ * @returns {Object} Index API: add, remove, search, rebuild, size
+ */
+export function createVectorIndex(options = {}) {
+    const maxDimensions = options.dimensions || DEFAULT_DIMENSIONS;
+    const getText = options.getText || (doc => `${doc.headline} ${doc.content} ${(doc.companies || []).join(' ')}`);
+
+    // docId → term counts (the raw material for rebuilds)
+    const termCounts = new Map();
+    // docId → unit vector in concept space
+    let docVectors = new Map();
+
+    // Space from the last SVD
+    let space = EMPTY_SPACE;
+    let changesSinceBuild = 0;
+    let builtSize = 0;
+
+    // Rebuild in progress, and the debounce timer before the next one
+    let building = null;
+    let timer = null;
+
+    async function runRebuild() {
+        const ids = [...termCounts.keys()];
+        const N = ids.length;
+        const snapshot = new Map(termCounts);
+        changesSinceBuild = 0;
+
+        let next = EMPTY_SPACE;
+        const vectors = new Map();
+        if (N >= 2) {
+            const df = new Map();
+            for (const counts of snapshot.values()) {
+                for (const term of counts.keys()) df.set(term, (df.get(term) || 0) + 1);
+            }
+
+            // Fixed-seed sample so the space is reproducible across restarts
+            let trainingIds = ids;
+            if (N > MAX_TRAINING_DOCS) {
+                const random = seededRandom(7);
+                trainingIds = [...ids];
+                for (let i = trainingIds.length - 1; i > 0; i--) {
+                    const j = Math.floor((random() + 0.5) * (i + 1));
+                    [trainingIds[i], trainingIds[j]] = [trainingIds[j], trainingIds[i]];
+                }
+                trainingIds = trainingIds.slice(0, MAX_TRAINING_DOCS);
+            }
+
+            next = await buildSpace(trainingIds.map(id => snapshot.get(id)), df, N, maxDimensions);
+
+            for (let i = 0; i < N; i++) {
+                vectors.set(ids[i], project(snapshot.get(ids[i]), next));
+                if (i % PROJECTION_BATCH === PROJECTION_BATCH - 1) await yieldToEventLoop();
+            }
+        }
+
+        // Swap in, then catch up with changes made while building
+        space = next;
+        builtSize = N;
+        for (const id of vectors.keys()) {
+            if (termCounts.get(id) !== snapshot.get(id)) vectors.delete(id);
+        }
+        if (space.dimensions > 0) {
+            for (const [id, counts] of termCounts) {
+                if (!vectors.has(id)) vectors.set(id, project(counts, space));
+            }
+        }
+        docVectors = vectors;
+
+        console.log(`[Vector] Built LSA space: ${N} documents, ${space.idf.size} terms, ${space.dimensions} dimensions`);
+    }
+
+    /**
+     * Rebuild the concept space now (or join the rebuild in progress)
+     *
+     * @returns {Promise<void>} Settles when the new space is in use
+     */
+    function rebuild() {
+        clearTimeout(timer);
+        timer = null;
+        if (!building) {
+            building = runRebuild()
+                .catch(error => console.error('[Vector] Rebuild failed:', error.message))
+                .finally(() => {
+                    building = null;
+                    if (isStale()) scheduleRebuild();
+                });
+        }
+        return building;
+    }
+
+    function isStale() {
+        return builtSize === 0 ? termCounts.size > 0 : changesSinceBuild > builtSize * REBUILD_RATIO;
+    }
+
+    function scheduleRebuild() {
+        if (building) return;
+        clearTimeout(timer);
+        timer = setTimeout(rebuild, REBUILD_DELAY_MS);
+        timer.unref?.();
+    }
+
+    function add(doc) {
+        termCounts.set(doc.id, countTerms(getText(doc)));
+        changesSinceBuild++;
+        // Fold into the current space until the next rebuild
+        if (space.dimensions > 0) docVectors.set(doc.id, project(termCounts.get(doc.id), space));
+        if (isStale()) scheduleRebuild();
+    }
+
+    function remove(id) {
+        const existed = termCounts.delete(id);
+        docVectors.delete(id);
+        if (existed) {
+            changesSinceBuild++;
+            if (isStale()) scheduleRebuild();
+        }
+        return existed;
+    }
+
+    /**
+     * Find documents semantically close to the query
+     *
+     * Never rebuilds: uses the current space, with documents added since
+     * folded in.
+     *
+     * @param {string} query - Free-text query
+     * @param {Object} searchOptions
+     * @param {number} searchOptions.limit - Max results (default: 10)
+     * @param {number} searchOptions.minScore - Minimum cosine similarity (default: 0.35)
+     * @returns {Array} [{ id, score }] sorted by similarity
+     */
+    function search(query, searchOptions = {}) {
+        const { limit = 10, minScore = 0.35 } = searchOptions;
+        if (space.dimensions === 0) return [];
+
+        const queryVector = project(countTerms(query), space);
+        if (dot(queryVector, queryVector) === 0) return [];
+
+        const results = [];
+        for (const [id, vector] of docVectors) {
+            const score = dot(queryVector, vector);
+            if (score >= minScore) results.push({ id, score });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    return {
+        add,
+        remove,
+        search,
+        rebuild,
+        size: () => termCounts.size
+    };
+}
+
+export default {
+    createVectorIndex
+};
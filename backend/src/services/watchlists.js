@@ -0,0 +1,536 @@
+/**
+ * Watchlist Service
+ *
+ * Persisted watchlists of queries or tickers that are re-run on a schedule
+ * through the regular analysis pipeline. Every run records the sentiment,
+ * confidence and source set per item, and is compared with the previous run
+ * of the same item to raise alerts. Confidence is the label computed from
+ * the evidence (services/confidence.js), not the one the LLM chose, so an
+ * upgrade means the sources changed:
+ *
+ * - sentiment_shift     - the score moved into a different band
+ *                         (NEGATIVE ≤ -threshold < NEUTRAL < threshold ≤ POSITIVE)
+ * - confidence_upgrade  - confidence went from RUMOR to CONFIRMED
+ * - new_official_source - an OFFICIAL-tier source appeared that the previous
+ *                         run did not have
+ *
+ * The first run of an item is the baseline and never alerts. Each run is
+ * stored in the shared analysis history (services/analysis-history.js) and
+ * emits analysis.completed (analysis.failed when it produced no analysis);
+ * each alert emits alert.triggered (services/webhooks.js).
+ *
+ * Watchlists live in SQLite (services/database.js) regardless of the
+ * article store mode. The scheduler checks once a minute which watchlists
+ * are due and runs them one at a time. A watchlist never runs twice at
+ * once: a manual run that arrives while it is running (scheduled or not)
+ * joins the run in progress instead of starting a second one.
+ */
+
+import { randomUUID } from 'crypto';
+import { getDatabase } from './database.js';
+import { runAnalysisPipeline, validateAnalysisOptions } from './analysis-pipeline.js';
+import { emitWebhookEvent, emitAnalysisEvent } from './webhooks.js';
+import { saveAnalysis } from './analysis-history.js';
+import { resolveTimeWindow, TimeWindowError } from './time-window.js';
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const MIN_INTERVAL_MINUTES = 5;
+const DEFAULT_SENTIMENT_THRESHOLD = 0.3;
+const MAX_ITEMS = 25;
+const SCHEDULER_TICK_MS = 60 * 1000;
+
+// Bare upper-case symbols ("NVDA", "RELIANCE", "BRK.B") are treated as tickers
+const TICKER_PATTERN = /^[A-Z0-9][A-Z0-9.\-]{0,14}$/;
+
+export const ALERT_TYPES = ['sentiment_shift', 'confidence_upgrade', 'new_official_source'];
+
+let schedulerTimer = null;
+let tickRunning = false;
+
+// Watchlist ID → promise of the run in progress
+const inFlight = new Map();
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+function normalizeItem(item) {
+    if (typeof item === 'string') {
+        const value = item.trim();
+        return value ? { type: TICKER_PATTERN.test(value) ? 'ticker' : 'query', value } : null;
+    }
+    if (item && typeof item === 'object' && typeof item.value === 'string' && item.value.trim()) {
+        const type = item.type === 'ticker' ? 'ticker' : 'query';
+        const value = item.value.trim();
+        return { type, value: type === 'ticker' ? value.toUpperCase() : value };
+    }
+    return null;
+}
+
+/**
+ * Validate and normalize a watchlist definition
+ *
+ * @param {Object} input - { name, items, intervalMinutes?, sentimentThreshold?, options?, enabled? }
+ * @returns {Object} { valid, errors, value }
+ */
+export function validateWatchlist(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: ['Watchlist must be a JSON object'], value: null };
+    }
+
+    const errors = [];
+
+    if (typeof input.name !== 'string' || input.name.trim().length === 0) {
+        errors.push('name is required and must be a non-empty string');
+    }
+
+    let items = [];
+    if (!Array.isArray(input.items) || input.items.length === 0) {
+        errors.push('items must be a non-empty array of tickers or queries');
+    } else {
+        items = input.items.map(normalizeItem);
+        if (items.some(item => !item)) {
+            errors.push('each item must be a non-empty string or { type: "ticker" | "query", value }');
+        }
+        items = items.filter(Boolean).filter((item, i, all) => all.findIndex(o => o.value === item.value) === i);
+        if (items.length > MAX_ITEMS) errors.push(`a watchlist can hold at most ${MAX_ITEMS} items`);
+    }
+
+    const intervalMinutes = input.intervalMinutes ?? DEFAULT_INTERVAL_MINUTES;
+    if (!Number.isFinite(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES) {
+        errors.push(`intervalMinutes must be a number ≥ ${MIN_INTERVAL_MINUTES}`);
+    }
+
+    const sentimentThreshold = input.sentimentThreshold ?? DEFAULT_SENTIMENT_THRESHOLD;
+    if (!Number.isFinite(sentimentThreshold) || sentimentThreshold <= 0 || sentimentThreshold >= 1) {
+        errors.push('sentimentThreshold must be a number between 0 and 1 (exclusive)');
+    }
+
+    // Same rules as /api/analyze, so a run never fails on its own options
+    if (input.options != null) {
+        const optionErrors = validateAnalysisOptions(input.options).errors;
+        errors.push(...optionErrors);
+        if (optionErrors.length === 0) {
+            try {
+                resolveTimeWindow(input.options);
+            } catch (error) {
+                if (!(error instanceof TimeWindowError)) throw error;
+                errors.push(`options: ${error.message}`);
+            }
+        }
+    }
+
+    if (errors.length > 0) return { valid: false, errors, value: null };
+
+    return {
+        valid: true,
+        errors: [],
+        value: {
+            name: input.name.trim(),
+            items,
+            intervalMinutes: Math.round(intervalMinutes),
+            sentimentThreshold,
+            options: input.options || {},
+            enabled: input.enabled !== false
+        }
+    };
+}
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+
+function rowToWatchlist(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        items: JSON.parse(row.items),
+        options: row.options ? JSON.parse(row.options) : {},
+        intervalMinutes: row.interval_minutes,
+        sentimentThreshold: row.sentiment_threshold,
+        enabled: row.enabled === 1,
+        lastRunAt: row.last_run_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function rowToRun(row) {
+    return {
+        id: row.id,
+        watchlistId: row.watchlist_id,
+        item: row.item,
+        runAt: row.run_at,
+        success: row.success === 1,
+        sentiment: row.sentiment,
+        sentimentScore: row.sentiment_score,
+        confidence: row.confidence,
+        sourceIds: JSON.parse(row.source_ids),
+        officialSourceIds: JSON.parse(row.official_source_ids),
+        message: row.message
+    };
+}
+
+function rowToAlert(row) {
+    return {
+        id: row.id,
+        watchlistId: row.watchlist_id,
+        runId: row.run_id,
+        item: row.item,
+        type: row.type,
+        message: row.message,
+        details: row.details ? JSON.parse(row.details) : null,
+        createdAt: row.created_at,
+        acknowledgedAt: row.acknowledged_at
+    };
+}
+
+/**
+ * @returns {Array} Every watchlist with the latest run of each item
+ */
+export function listWatchlists() {
+    return getDatabase()
+        .prepare('SELECT * FROM watchlists ORDER BY created_at')
+        .all()
+        .map(row => withLatestRuns(rowToWatchlist(row)));
+}
+
+/**
+ * @param {string} id - Watchlist ID
+ * @returns {Object|null} The watchlist with the latest run of each item
+ */
+export function getWatchlist(id) {
+    const row = getDatabase().prepare('SELECT * FROM watchlists WHERE id = ?').get(id);
+    return row ? withLatestRuns(rowToWatchlist(row)) : null;
+}
+
+function withLatestRuns(watchlist) {
+    return {
+        ...watchlist,
+        latestRuns: Object.fromEntries(
+            watchlist.items.map(item => [item.value, getLatestRun(watchlist.id, item.value)])
+        )
+    };
+}
+
+function getLatestRun(watchlistId, item) {
+    const row = getDatabase()
+        .prepare('SELECT * FROM watchlist_runs WHERE watchlist_id = ? AND item = ? ORDER BY id DESC LIMIT 1')
+        .get(watchlistId, item);
+    return row ? rowToRun(row) : null;
+}
+
+/**
+ * @param {Object} value - Normalized watchlist from validateWatchlist
+ * @returns {Object} The created watchlist
+ */
+export function createWatchlist(value) {
+    const id = `wl-${randomUUID().slice(0, 8)}`;
+    const now = new Date().toISOString();
+
+    getDatabase().prepare(`
+        INSERT INTO watchlists
+            (id, name, items, options, interval_minutes, sentiment_threshold, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, value.name, JSON.stringify(value.items), JSON.stringify(value.options),
+        value.intervalMinutes, value.sentimentThreshold, value.enabled ? 1 : 0, now, now);
+
+    console.log(`[Watchlists] Created ${id} "${value.name}" (${value.items.length} items, every ${value.intervalMinutes}m)`);
+    return getWatchlist(id);
+}
+
+/**
+ * @param {string} id - Watchlist ID
+ * @param {Object} value - Normalized watchlist from validateWatchlist
+ * @returns {Object|null} The updated watchlist, or null if unknown
+ */
+export function updateWatchlist(id, value) {
+    const { changes } = getDatabase().prepare(`
+        UPDATE watchlists
+        SET name = ?, items = ?, options = ?, interval_minutes = ?, sentiment_threshold = ?, enabled = ?, updated_at = ?
+        WHERE id = ?
+    `).run(value.name, JSON.stringify(value.items), JSON.stringify(value.options),
+        value.intervalMinutes, value.sentimentThreshold, value.enabled ? 1 : 0, new Date().toISOString(), id);
+
+    return changes > 0 ? getWatchlist(id) : null;
+}
+
+/**
+ * Delete a watchlist with its runs and alerts
+ *
+ * @param {string} id - Watchlist ID
+ * @returns {boolean} Whether it existed
+ */
+export function deleteWatchlist(id) {
+    return getDatabase().prepare('DELETE FROM watchlists WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Run history, newest first
+ *
+ * @param {string} watchlistId - Watchlist ID
+ * @param {Object} filters - { item, limit }
+ * @returns {Array} Runs
+ */
+export function getRuns(watchlistId, filters = {}) {
+    const { item, limit = 50 } = filters;
+    const rows = item
+        ? getDatabase()
+            .prepare('SELECT * FROM watchlist_runs WHERE watchlist_id = ? AND item = ? ORDER BY id DESC LIMIT ?')
+            .all(watchlistId, item, limit)
+        : getDatabase()
+            .prepare('SELECT * FROM watchlist_runs WHERE watchlist_id = ? ORDER BY id DESC LIMIT ?')
+            .all(watchlistId, limit);
+    return rows.map(rowToRun);
+}
+
+/**
+ * Alerts, newest first
+ *
+ * @param {Object} filters - { watchlistId, unacknowledged, limit }
+ * @returns {Array} Alerts
+ */
+export function getAlerts(filters = {}) {
+    const { watchlistId, unacknowledged = false, limit = 50 } = filters;
+    const where = [];
+    const params = [];
+    if (watchlistId) { where.push('watchlist_id = ?'); params.push(watchlistId); }
+    if (unacknowledged) where.push('acknowledged_at IS NULL');
+
+    return getDatabase()
+        .prepare(`SELECT * FROM watchlist_alerts ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`)
+        .all(...params, limit)
+        .map(rowToAlert);
+}
+
+/**
+ * @param {number} id - Alert ID
+ * @returns {Object|null} The acknowledged alert, or null if unknown
+ */
+export function acknowledgeAlert(id) {
+    const db = getDatabase();
+    db.prepare('UPDATE watchlist_alerts SET acknowledged_at = COALESCE(acknowledged_at, ?) WHERE id = ?')
+        .run(new Date().toISOString(), id);
+    const row = db.prepare('SELECT * FROM watchlist_alerts WHERE id = ?').get(id);
+    return row ? rowToAlert(row) : null;
+}
+
+// =============================================================================
+// ALERTS
+// =============================================================================
+
+function sentimentBand(score, threshold) {
+    if (score >= threshold) return 'POSITIVE';
+    if (score <= -threshold) return 'NEGATIVE';
+    return 'NEUTRAL';
+}
+
+/**
+ * Compare a run with the previous run of the same item
+ *
+ * @param {Object|null} previous - Previous successful run (null for the baseline run)
+ * @param {Object} current - The new run
+ * @param {number} threshold - Sentiment band threshold
+ * @returns {Array} Alerts { type, message, details }
+ */
+export function detectAlerts(previous, current, threshold) {
+    if (!previous || !current.success) return [];
+    const alerts = [];
+
+    if (previous.sentimentScore != null && current.sentimentScore != null) {
+        const from = sentimentBand(previous.sentimentScore, threshold);
+        const to = sentimentBand(current.sentimentScore, threshold);
+        if (from !== to) {
+            alerts.push({
+                type: 'sentiment_shift',
+                message: `${current.item}: sentiment moved ${from} → ${to} (${previous.sentimentScore.toFixed(2)} → ${current.sentimentScore.toFixed(2)}, threshold ±${threshold})`,
+                details: { from, to, previousScore: previous.sentimentScore, score: current.sentimentScore, threshold }
+            });
+        }
+    }
+
+    if (previous.confidence === 'RUMOR' && current.confidence === 'CONFIRMED') {
+        alerts.push({
+            type: 'confidence_upgrade',
+            message: `${current.item}: confidence upgraded RUMOR → CONFIRMED`,
+            details: { from: previous.confidence, to: current.confidence }
+        });
+    }
+
+    const newOfficial = current.officialSourceIds.filter(id => !previous.officialSourceIds.includes(id));
+    if (newOfficial.length > 0) {
+        alerts.push({
+            type: 'new_official_source',
+            message: `${current.item}: ${newOfficial.length} new official source${newOfficial.length > 1 ? 's' : ''} (${newOfficial.join(', ')})`,
+            details: { sourceIds: newOfficial }
+        });
+    }
+
+    return alerts;
+}
+
+// =============================================================================
+// RUNNING
+// =============================================================================
+
+async function runItem(watchlist, item) {
+    const query = item.value;
+    const options = item.type === 'ticker'
+        ? { ...watchlist.options, companies: [item.value] }
+        : watchlist.options;
+
+    let body;
+    try {
+        ({ body } = await runAnalysisPipeline(query, options));
+    } catch (error) {
+        body = { success: false, query, analysis: null, sources: [], error: error.message, timestamp: new Date().toISOString() };
+    }
+
+    // Shared history, best-effort like /api/analyze
+    try {
+        body = saveAnalysis(body, options);
+    } catch (error) {
+        console.warn(`[Watchlists] Could not store analysis: ${error.message}`);
+    }
+    emitAnalysisEvent(body);
+
+    const sources = body.sources || [];
+    return {
+        item: item.value,
+        success: Boolean(body.success && body.analysis && !body.pipeline?.relevanceFiltered),
+        sentiment: body.analysis?.sentiment ?? null,
+        sentimentScore: body.analysis?.sentimentScore ?? null,
+        confidence: body.confidenceAssessment?.label ?? null,
+        sourceIds: sources.map(s => s.id),
+        officialSourceIds: sources.filter(s => s.sourceType === 'official').map(s => s.id),
+        message: body.error || body.message || (body.pipeline?.relevanceFiltered ? body.pipeline.relevanceReason : null)
+    };
+}
+
+/**
+ * Run every item of a watchlist through the pipeline now, or join the run
+ * already in progress for it
+ *
+ * @param {string} id - Watchlist ID
+ * @returns {Promise<Object|null>} { watchlistId, runs, alerts }, or null if unknown
+ */
+export function runWatchlist(id) {
+    if (inFlight.has(id)) return inFlight.get(id);
+
+    const run = runWatchlistItems(id).finally(() => inFlight.delete(id));
+    inFlight.set(id, run);
+    return run;
+}
+
+async function runWatchlistItems(id) {
+    const watchlist = getWatchlist(id);
+    if (!watchlist) return null;
+
+    const db = getDatabase();
+    const insertRun = db.prepare(`
+        INSERT INTO watchlist_runs
+            (watchlist_id, item, run_at, success, sentiment, sentiment_score, confidence, source_ids, official_source_ids, message)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertAlert = db.prepare(`
+        INSERT INTO watchlist_alerts (watchlist_id, run_id, item, type, message, details, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const previousSuccessful = db.prepare(
+        'SELECT * FROM watchlist_runs WHERE watchlist_id = ? AND item = ? AND success = 1 ORDER BY id DESC LIMIT 1'
+    );
+
+    const runs = [];
+    const alerts = [];
+
+    // Sequential on purpose - each item may be an LLM call
+    for (const item of watchlist.items) {
+        const result = await runItem(watchlist, item);
+        const previousRow = previousSuccessful.get(watchlist.id, item.value);
+        const runAt = new Date().toISOString();
+
+        const { lastInsertRowid } = insertRun.run(
+            watchlist.id, result.item, runAt, result.success ? 1 : 0, result.sentiment, result.sentimentScore,
+            result.confidence, JSON.stringify(result.sourceIds), JSON.stringify(result.officialSourceIds), result.message
+        );
+        const run = { id: Number(lastInsertRowid), watchlistId: watchlist.id, runAt, ...result };
+        runs.push(run);
+
+        for (const alert of detectAlerts(previousRow ? rowToRun(previousRow) : null, run, watchlist.sentimentThreshold)) {
+            const { lastInsertRowid: alertId } = insertAlert.run(
+                watchlist.id, run.id, run.item, alert.type, alert.message, JSON.stringify(alert.details), runAt
+            );
+            const saved = { id: Number(alertId), watchlistId: watchlist.id, runId: run.id, item: run.item, createdAt: runAt, acknowledgedAt: null, ...alert };
+            alerts.push(saved);
+            emitWebhookEvent('alert.triggered', saved);
+            console.log(`[Watchlists] ALERT ${alert.message}`);
+        }
+    }
+
+    db.prepare('UPDATE watchlists SET last_run_at = ? WHERE id = ?').run(new Date().toISOString(), watchlist.id);
+    console.log(`[Watchlists] Ran ${watchlist.id} "${watchlist.name}": ${runs.length} items, ${alerts.length} alerts`);
+
+    return { watchlistId: watchlist.id, runs, alerts };
+}
+
+// =============================================================================
+// SCHEDULER
+// =============================================================================
+
+function isDue(watchlist, now) {
+    if (!watchlist.enabled) return false;
+    if (!watchlist.lastRunAt) return true;
+    return now - new Date(watchlist.lastRunAt).getTime() >= watchlist.intervalMinutes * 60 * 1000;
+}
+
+async function tick() {
+    // A slow run (many LLM calls) must not overlap with the next tick
+    if (tickRunning) return;
+    tickRunning = true;
+    try {
+        const now = Date.now();
+        for (const watchlist of listWatchlists().filter(w => isDue(w, now))) {
+            await runWatchlist(watchlist.id);
+        }
+    } catch (error) {
+        console.warn(`[Watchlists] Scheduled run failed: ${error.message}`);
+    } finally {
+        tickRunning = false;
+    }
+}
+
+/**
+ * Start the scheduler (checks for due watchlists once a minute)
+ */
+export function startWatchlists() {
+    stopWatchlists();
+    schedulerTimer = setInterval(tick, SCHEDULER_TICK_MS);
+    schedulerTimer.unref();
+    const count = listWatchlists().filter(w => w.enabled).length;
+    if (count > 0) console.log(`[Watchlists] Scheduling ${count} watchlist(s)`);
+}
+
+/**
+ * Stop the scheduler
+ */
+export function stopWatchlists() {
+    if (schedulerTimer) clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
+
+export default {
+    ALERT_TYPES,
+    validateWatchlist,
+    listWatchlists,
+    getWatchlist,
+    createWatchlist,
+    updateWatchlist,
+    deleteWatchlist,
+    getRuns,
+    getAlerts,
+    acknowledgeAlert,
+    detectAlerts,
+    runWatchlist,
+    startWatchlists,
+    stopWatchlists
+};
@@ -0,0 +1,505 @@
+/**
+ * Outbound Webhook Service
+ *
+ * Registered subscriptions receive a signed POST for every event they listen
+ * to:
+ *
+ * - analysis.completed - data is the exact /api/analyze response body of a
+ *                        successful analysis
+ * - analysis.failed    - the same for one that produced no analysis (all LLM
+ *                        providers failed, relevance guardrail, errors)
+ * - alert.triggered    - data is the watchlist alert (GET /api/alerts shape)
+ * - article.ingested   - data is the article as listed in an analysis'
+ *                        `sources` (summarizeSource shape)
+ *
+ * Every request body is the envelope { id, event, createdAt, data } and
+ * carries these headers:
+ *
+ *   X-Monitor110-Event      event name
+ *   X-Monitor110-Delivery   event ID (the same across retries)
+ *   X-Monitor110-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Deliveries are queued in SQLite, so restarts do not lose them. A non-2xx
+ * response or network error is retried with exponential backoff
+ * (WEBHOOK_RETRY_BASE_SECONDS × 2^(attempt-1), capped at an hour); after
+ * WEBHOOK_MAX_ATTEMPTS the delivery is dead-lettered and only goes out again
+ * when redelivered by hand.
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { getDatabase } from './database.js';
+import { summarizeSource } from './analysis-pipeline.js';
+import { assignCredibility } from './credibility.js';
+import { readNumber } from './config.js';
+
+export const WEBHOOK_EVENTS = ['analysis.completed', 'analysis.failed', 'alert.triggered', 'article.ingested'];
+export const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'dead'];
+
+// Defaults for WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_SECONDS and WEBHOOK_TIMEOUT_MS
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_DELIVERY_TIMEOUT_MS = 10000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const DISPATCH_TICK_MS = 5000;
+const DISPATCH_BATCH_SIZE = 20;
+const MIN_SECRET_LENGTH = 16;
+
+let dispatchTimer = null;
+let dispatching = false;
+
+// =============================================================================
+// SIGNING
+// =============================================================================
+
+/**
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+export function signPayload(secret, timestamp, body) {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check an X-Monitor110-Signature header the way a receiver should
+ *
+ * @param {string} secret - Subscription secret
+ * @param {string} header - Signature header value
+ * @param {string} body - Raw request body
+ * @param {number} toleranceSeconds - Maximum accepted age (replay protection)
+ * @returns {boolean} Whether the signature is valid and fresh
+ */
+export function verifySignature(secret, header, body, toleranceSeconds = 300) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isFinite(timestamp) || !parts.v1) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// =============================================================================
+// SUBSCRIPTIONS
+// =============================================================================
+
+/**
+ * Validate and normalize a subscription
+ *
+ * @param {Object} input - { url, events, secret?, description?, enabled? }
+ * @returns {Object} { valid, errors, value }
+ */
+export function validateSubscription(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: ['Subscription must be a JSON object'], value: null };
+    }
+
+    const errors = [];
+
+    let url = null;
+    try {
+        url = new URL(input.url);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            errors.push('url must use http or https');
+        }
+    } catch {
+        errors.push('url is required and must be an absolute URL');
+    }
+
+    if (!Array.isArray(input.events) || input.events.length === 0) {
+        errors.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+    } else {
+        const unknown = input.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            errors.push(`unknown events: ${unknown.join(', ')} (expected ${WEBHOOK_EVENTS.join(', ')})`);
+        }
+    }
+
+    if (input.secret != null && (typeof input.secret !== 'string' || input.secret.length < MIN_SECRET_LENGTH)) {
+        errors.push(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+
+    if (input.description != null && (typeof input.description !== 'string' || input.description.length > 200)) {
+        errors.push('description must be a string of at most 200 characters');
+    }
+
+    if (errors.length > 0) return { valid: false, errors, value: null };
+
+    return {
+        valid: true,
+        errors: [],
+        value: {
+            url: url.toString(),
+            events: [...new Set(input.events)],
+            secret: input.secret ?? null,
+            description: input.description?.trim() || null,
+            enabled: input.enabled !== false
+        }
+    };
+}
+
+function maskSecret(secret) {
+    return `${secret.slice(0, 6)}…${secret.slice(-4)}`;
+}
+
+function rowToSubscription(row, { revealSecret = false } = {}) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: JSON.parse(row.events),
+        description: row.description,
+        enabled: row.enabled === 1,
+        secret: revealSecret ? row.secret : maskSecret(row.secret),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * @returns {Array} Every subscription (secrets masked)
+ */
+export function listSubscriptions() {
+    return getDatabase()
+        .prepare('SELECT * FROM webhook_subscriptions ORDER BY created_at')
+        .all()
+        .map(row => rowToSubscription(row));
+}
+
+/**
+ * @param {string} id - Subscription ID
+ * @returns {Object|null} The subscription (secret masked)
+ */
+export function getSubscription(id) {
+    const row = getDatabase().prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(id);
+    return row ? rowToSubscription(row) : null;
+}
+
+/**
+ * Register a subscription. A secret is generated unless one is supplied;
+ * this is the only response that shows it in full.
+ *
+ * @param {Object} value - Normalized subscription from validateSubscription
+ * @returns {Object} The created subscription, secret included
+ */
+export function createSubscription(value) {
+    const id = `wh-${randomUUID().slice(0, 8)}`;
+    const secret = value.secret || `whsec_${randomBytes(24).toString('hex')}`;
+    const now = new Date().toISOString();
+
+    getDatabase().prepare(`
+        INSERT INTO webhook_subscriptions (id, url, secret, events, description, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, value.url, secret, JSON.stringify(value.events), value.description, value.enabled ? 1 : 0, now, now);
+
+    console.log(`[Webhooks] Registered ${id} → ${value.url} (${value.events.join(', ')})`);
+    const row = getDatabase().prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(id);
+    return rowToSubscription(row, { revealSecret: true });
+}
+
+/**
+ * Replace a subscription. The secret is kept unless a new one is supplied.
+ *
+ * @param {string} id - Subscription ID
+ * @param {Object} value - Normalized subscription from validateSubscription
+ * @returns {Object|null} The updated subscription, or null if unknown
+ */
+export function updateSubscription(id, value) {
+    const { changes } = getDatabase().prepare(`
+        UPDATE webhook_subscriptions
+        SET url = ?, secret = COALESCE(?, secret), events = ?, description = ?, enabled = ?, updated_at = ?
+        WHERE id = ?
+    `).run(value.url, value.secret, JSON.stringify(value.events), value.description, value.enabled ? 1 : 0,
+        new Date().toISOString(), id);
+
+    return changes > 0 ? getSubscription(id) : null;
+}
+
+/**
+ * Delete a subscription with its delivery log
+ *
+ * @param {string} id - Subscription ID
+ * @returns {boolean} Whether it existed
+ */
+export function deleteSubscription(id) {
+    return getDatabase().prepare('DELETE FROM webhook_subscriptions WHERE id = ?').run(id).changes > 0;
+}
+
+// =============================================================================
+// EVENTS
+// =============================================================================
+
+/**
+ * Queue an event for every enabled subscription that listens to it.
+ * Never throws for storage errors - a webhook problem must not fail the
+ * analysis or ingestion that triggered it.
+ *
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload
+ * @returns {number} Number of deliveries queued
+ */
+export function emitWebhookEvent(event, data) {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+        throw new Error(`Unknown webhook event: ${event}`);
+    }
+
+    try {
+        const db = getDatabase();
+        const subscribers = db
+            .prepare('SELECT id, events FROM webhook_subscriptions WHERE enabled = 1')
+            .all()
+            .filter(row => JSON.parse(row.events).includes(event));
+        if (subscribers.length === 0) return 0;
+
+        const now = new Date().toISOString();
+        const envelope = { id: `evt-${randomUUID()}`, event, createdAt: now, data };
+        const payload = JSON.stringify(envelope);
+
+        const insert = db.prepare(`
+            INSERT INTO webhook_deliveries (subscription_id, event_id, event, payload, status, next_attempt_at, created_at)
+            VALUES (?, ?, ?, ?, 'pending', ?, ?)
+        `);
+        db.transaction(() => {
+            for (const subscriber of subscribers) insert.run(subscriber.id, envelope.id, event, payload, now, now);
+        })();
+
+        scheduleDispatch();
+        return subscribers.length;
+    } catch (error) {
+        console.warn(`[Webhooks] Could not queue ${event}: ${error.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Queue analysis.completed for a successful analysis, analysis.failed otherwise
+ *
+ * @param {Object} body - The /api/analyze response body
+ * @returns {number} Number of deliveries queued
+ */
+export function emitAnalysisEvent(body) {
+    return emitWebhookEvent(body.success && body.analysis ? 'analysis.completed' : 'analysis.failed', body);
+}
+
+/**
+ * Queue article.ingested for newly added articles
+ *
+ * @param {Array} articles - Raw articles as passed to addArticles()
+ * @returns {number} Number of deliveries queued
+ */
+export function emitArticlesIngested(articles) {
+    return articles.reduce(
+        (queued, article) => queued + emitWebhookEvent('article.ingested', summarizeSource(assignCredibility(article))),
+        0
+    );
+}
+
+// =============================================================================
+// DELIVERY
+// =============================================================================
+
+function retryDelayMs(attempts) {
+    const baseMs = readNumber('WEBHOOK_RETRY_BASE_SECONDS', DEFAULT_RETRY_BASE_SECONDS) * 1000;
+    return Math.min(MAX_RETRY_DELAY_MS, baseMs * 2 ** (attempts - 1));
+}
+
+async function attemptDelivery(row) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = row.attempts + 1;
+    const attemptedAt = new Date().toISOString();
+    const timeoutMs = readNumber('WEBHOOK_TIMEOUT_MS', DEFAULT_DELIVERY_TIMEOUT_MS);
+
+    let responseStatus = null;
+    let error = null;
+    try {
+        const response = await fetch(row.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Monitor110-Webhooks/1.0',
+                'X-Monitor110-Event': row.event,
+                'X-Monitor110-Delivery': row.event_id,
+                'X-Monitor110-Signature': `t=${timestamp},v1=${signPayload(row.secret, timestamp, row.payload)}`
+            },
+            body: row.payload,
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        responseStatus = response.status;
+        if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (err) {
+        // fetch() hides network errors (ECONNREFUSED, ENOTFOUND, ...) behind "fetch failed"
+        error = err.name === 'TimeoutError'
+            ? `Timed out after ${timeoutMs}ms`
+            : [err.message, err.cause?.code].filter(Boolean).join(': ');
+    }
+
+    const db = getDatabase();
+    if (!error) {
+        db.prepare(`
+            UPDATE webhook_deliveries
+            SET status = 'delivered', attempts = ?, last_attempt_at = ?, response_status = ?, last_error = NULL,
+                next_attempt_at = NULL, delivered_at = ?
+            WHERE id = ?
+        `).run(attempts, attemptedAt, responseStatus, attemptedAt, row.id);
+        return;
+    }
+
+    const dead = attempts >= readNumber('WEBHOOK_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+    const nextAttemptAt = dead ? null : new Date(Date.now() + retryDelayMs(attempts)).toISOString();
+    db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = ?, attempts = ?, last_attempt_at = ?, response_status = ?, last_error = ?, next_attempt_at = ?
+        WHERE id = ?
+    `).run(dead ? 'dead' : 'retrying', attempts, attemptedAt, responseStatus, error, nextAttemptAt, row.id);
+
+    console.warn(dead
+        ? `[Webhooks] ${row.event} → ${row.url} dead-lettered after ${attempts} attempts: ${error}`
+        : `[Webhooks] ${row.event} → ${row.url} attempt ${attempts} failed (${error}), retrying at ${nextAttemptAt}`);
+}
+
+/**
+ * Send every delivery that is due, oldest first
+ *
+ * @returns {Promise<number>} Number of attempts made
+ */
+export async function processDueDeliveries() {
+    // One dispatcher at a time - a slow endpoint must not cause double sends
+    if (dispatching) return 0;
+    dispatching = true;
+
+    const due = getDatabase().prepare(`
+        SELECT d.*, s.url, s.secret
+        FROM webhook_deliveries d
+        JOIN webhook_subscriptions s ON s.id = d.subscription_id
+        WHERE d.status IN ('pending', 'retrying') AND d.next_attempt_at <= ? AND s.enabled = 1
+        ORDER BY d.id
+        LIMIT ?
+    `);
+
+    let attempted = 0;
+    try {
+        let batch;
+        while ((batch = due.all(new Date().toISOString(), DISPATCH_BATCH_SIZE)).length > 0) {
+            // Sequential on purpose - keeps per-subscriber ordering and load predictable
+            for (const row of batch) {
+                await attemptDelivery(row);
+                attempted++;
+            }
+        }
+    } catch (error) {
+        console.warn(`[Webhooks] Dispatch failed: ${error.message}`);
+    } finally {
+        dispatching = false;
+    }
+    return attempted;
+}
+
+function scheduleDispatch() {
+    if (dispatchTimer) setImmediate(processDueDeliveries);
+}
+
+// =============================================================================
+// DELIVERY LOG
+// =============================================================================
+
+function rowToDelivery(row, { includePayload = false } = {}) {
+    return {
+        id: row.id,
+        subscriptionId: row.subscription_id,
+        eventId: row.event_id,
+        event: row.event,
+        status: row.status,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        lastAttemptAt: row.last_attempt_at,
+        responseStatus: row.response_status,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at,
+        ...(includePayload ? { payload: JSON.parse(row.payload) } : {})
+    };
+}
+
+/**
+ * Deliveries, newest first
+ *
+ * @param {Object} filters - { subscriptionId, status, event, limit, includePayload }
+ * @returns {Array} Deliveries
+ */
+export function getDeliveries(filters = {}) {
+    const { subscriptionId, status, event, limit = 50, includePayload = false } = filters;
+    const where = [];
+    const params = [];
+    if (subscriptionId) { where.push('subscription_id = ?'); params.push(subscriptionId); }
+    if (status) { where.push('status = ?'); params.push(status); }
+    if (event) { where.push('event = ?'); params.push(event); }
+
+    return getDatabase()
+        .prepare(`SELECT * FROM webhook_deliveries ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`)
+        .all(...params, limit)
+        .map(row => rowToDelivery(row, { includePayload }));
+}
+
+/**
+ * Put a delivery back in the queue with a fresh retry budget
+ * (typically one from the dead-letter list)
+ *
+ * @param {number} id - Delivery ID
+ * @returns {Object|null} The re-queued delivery, or null if unknown
+ */
+export function redeliver(id) {
+    const db = getDatabase();
+    const { changes } = db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'pending', attempts = 0, next_attempt_at = ?, delivered_at = NULL
+        WHERE id = ?
+    `).run(new Date().toISOString(), id);
+    if (changes === 0) return null;
+
+    scheduleDispatch();
+    return rowToDelivery(db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id));
+}
+
+// =============================================================================
+// DISPATCHER
+// =============================================================================
+
+/**
+ * Start sending queued deliveries (also picks up ones left from a restart)
+ */
+export function startWebhooks() {
+    stopWebhooks();
+    dispatchTimer = setInterval(processDueDeliveries, DISPATCH_TICK_MS);
+    dispatchTimer.unref();
+    scheduleDispatch();
+}
+
+/**
+ * Stop the dispatcher; events are still queued
+ */
+export function stopWebhooks() {
+    if (dispatchTimer) clearInterval(dispatchTimer);
+    dispatchTimer = null;
+}
+
+export default {
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUSES,
+    signPayload,
+    verifySignature,
+    validateSubscription,
+    listSubscriptions,
+    getSubscription,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    emitWebhookEvent,
+    emitAnalysisEvent,
+    emitArticlesIngested,
+    processDueDeliveries,
+    getDeliveries,
+    redeliver,
+    startWebhooks,
+    stopWebhooks
+};
@@ -4,12 +4,15 @@
  * 
  * Orchestrates the market intelligence UI with:
  * - Query input and analysis triggering
+ * - Live pipeline progress and streamed narrative while analyzing
  * - Intelligence display with sentiment/confidence
  * - Explainability and transparency features
- * - Sentiment trend tracking
+ * - Key figures extracted from the sources
+ * - Sentiment trend from the shared server-side analysis history
+ * - Related coverage grouped into stories
  */
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef, useEffect } from 'react';
 import Header from './components/Header';
 import QueryPanel from './components/QueryPanel';
 import BrandTicker from './components/BrandTicker';
@@ -17,25 +20,44 @@ import IntelligenceCard from './components/IntelligenceCard';
 import ExplainabilityCard from './components/ExplainabilityCard';
 import KeyInsights from './components/KeyInsights';
 import SentimentChart from './components/SentimentChart';
+import KeyFiguresTable from './components/KeyFiguresTable';
 import SourcesTable from './components/SourcesTable';
 import PipelineInfo from './components/PipelineInfo';
+import WatchlistPanel from './components/WatchlistPanel';
+import StoryView from './components/StoryView';
 import EmptyState from './components/EmptyState';
-import { analyzeQuery } from './services/api';
+import { analyzeQueryStream } from './services/api';
 
 export default function App() {
     // State management
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
     const [result, setResult] = useState(null);
-    const [sentimentHistory, setSentimentHistory] = useState([]);
+    const [liveStages, setLiveStages] = useState({});
+    const [liveNarrative, setLiveNarrative] = useState('');
+    const abortRef = useRef(null);
+
+    // Cancel an in-flight analysis when the dashboard goes away
+    useEffect(() => () => abortRef.current?.abort(), []);
 
     // Handle analyze request
-    const handleAnalyze = useCallback(async (query) => {
+    const handleAnalyze = useCallback(async (query, options = {}) => {
+        abortRef.current?.abort();
+        const controller = new AbortController();
+        abortRef.current = controller;
+
         setIsLoading(true);
         setError(null);
+        setLiveStages({});
+        setLiveNarrative('');
 
         try {
-            const response = await analyzeQuery(query);
+            const response = await analyzeQueryStream(query, options, {
+                signal: controller.signal,
+                onStage: (stage, data) => setLiveStages(prev => ({ ...prev, [stage]: data })),
+                onToken: text => setLiveNarrative(prev => prev + text),
+                onRestart: () => setLiveNarrative('')
+            });
 
             if (!response.success && response.error) {
                 throw new Error(response.error);
@@ -43,27 +65,15 @@ export default function App() {
 
             setResult(response);
 
-            // Add to sentiment history if we have a score
-            if (response.analysis?.sentimentScore !== undefined) {
-                setSentimentHistory(prev => {
-                    const newHistory = [
-                        ...prev.slice(-9), // Keep last 9, add new one
-                        {
-                            query: query.length > 15 ? query.substring(0, 15) + '...' : query,
-                            score: response.analysis.sentimentScore,
-                            timestamp: new Date().toISOString()
-                        }
-                    ];
-                    return newHistory;
-                });
-            }
-
         } catch (err) {
+            if (controller.signal.aborted) return;
             console.error('Analysis error:', err);
             setError(err.message || 'Failed to analyze query. Please try again.');
             setResult(null);
         } finally {
-            setIsLoading(false);
+            if (abortRef.current === controller) {
+                setIsLoading(false);
+            }
         }
     }, []);
 
@@ -77,15 +87,26 @@ export default function App() {
 
             <BrandTicker />
 
-            {/* Loading State */}
+            <WatchlistPanel onSelect={handleAnalyze} />
+
+            <StoryView onSelect={handleAnalyze} />
+
+            {/* Loading State - stages light up as the backend reports them */}
             {isLoading && (
-                <div className="card full-width">
-                    <div className="card-body">
-                        <div className="loading-overlay">
-                            <div className="loading-spinner"></div>
-                            <span className="loading-text">Analyzing market intelligence...</span>
+                <div className="dashboard-grid">
+                    {liveNarrative ? (
+                        <IntelligenceCard analysis={{ narrative: liveNarrative }} streaming />
+                    ) : (
+                        <div className="card full-width">
+                            <div className="card-body">
+                                <div className="loading-overlay">
+                                    <div className="loading-spinner"></div>
+                                    <span className="loading-text">Analyzing market intelligence...</span>
+                                </div>
+                            </div>
                         </div>
-                    </div>
+                    )}
+                    <PipelineInfo stages={liveStages} live />
                 </div>
             )}
 
@@ -101,26 +122,34 @@ export default function App() {
                     )}
 
                     {/* Hero: Intelligence Summary */}
-                    <IntelligenceCard analysis={result.analysis} />
+                    <IntelligenceCard analysis={result.analysis} sourceSentiment={result.sourceSentiment} />
 
                     {/* Left Column */}
-                    <ExplainabilityCard analysis={result.analysis} />
+                    <ExplainabilityCard
+                        analysis={result.analysis}
+                        assessment={result.confidenceAssessment}
+                        contradictions={result.contradictions}
+                    />
 
                     {/* Right Column */}
                     <KeyInsights analysis={result.analysis} />
 
                     {/* Sentiment Chart - Full Width */}
                     <div className="full-width">
-                        <SentimentChart history={sentimentHistory} />
+                        <SentimentChart query={result.query} latestId={result.id} sources={result.sources} />
                     </div>
 
+                    {/* Key Figures - Full Width */}
+                    <KeyFiguresTable facts={result.facts} />
+
                     {/* Sources Table - Full Width */}
-                    <SourcesTable sources={result.sources} />
+                    <SourcesTable sources={result.sources} duplicates={result.duplicates} />
 
                     {/* Pipeline Transparency - Full Width */}
                     <PipelineInfo
                         pipeline={result.pipeline}
                         metadata={result.metadata}
+                        stages={liveStages}
                     />
                 </div>
             ) : (
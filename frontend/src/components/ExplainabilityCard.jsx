@@ -1,9 +1,14 @@
 /**
  * ExplainabilityCard Component
- * Shows confidence explanation and caveats
+ * Shows confidence explanation and caveats.
+ * `assessment` is the backend's evidence-based confidence (corroboration,
+ * official sources, tier mix): its label, the rule that fired and the
+ * reasons are listed, with a warning when the LLM chose a different label.
+ * `contradictions` are the figures and claims the sources disagree on; each
+ * side is shown with the outlets behind it.
  */
 
-export default function ExplainabilityCard({ analysis }) {
+export default function ExplainabilityCard({ analysis, assessment, contradictions = [] }) {
     if (!analysis) return null;
 
     const { confidence, confidenceExplanation, dataLimitations } = analysis;
@@ -19,7 +24,61 @@ export default function ExplainabilityCard({ analysis }) {
                     {confidenceExplanation || 'No explanation available.'}
                 </p>
 
-                {isNotConfirmed && (
+                {assessment && (
+                    <div className="confidence-evidence">
+                        <div className="confidence-evidence-header">
+                            <span>Evidence says</span>
+                            <span className={`badge badge-confidence ${assessment.label.toLowerCase()}`}>
+                                {assessment.label}
+                            </span>
+                            <code className="confidence-rule">{assessment.rule}</code>
+                        </div>
+                        <ul className="confidence-reasons">
+                            {assessment.reasons.map((reason) => (
+                                <li key={reason}>{reason}</li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {contradictions.length > 0 && (
+                    <div className="contradictions">
+                        <div className="contradictions-header">
+                            <span className="explanation-note-icon">⚠</span>
+                            <strong>Sources disagree</strong>
+                        </div>
+                        <ul className="contradictions-list">
+                            {contradictions.map((conflict) => (
+                                <li key={`${conflict.kind}-${conflict.entity}-${conflict.metric}`}>
+                                    <span className="contradiction-topic">{conflict.entity} · {conflict.metric}</span>
+                                    {conflict.sides.map((side) => (
+                                        <div key={side.claim} className="contradiction-side">
+                                            <span className="contradiction-claim">{side.claim}</span>
+                                            <span
+                                                className="contradiction-sources"
+                                                title={side.sources.map(source => `${source.source}: "${source.excerpt}"`).join('\n')}
+                                            >
+                                                {side.sources.map(source => source.outlet).join(', ')}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {assessment?.disagrees && (
+                    <div className="explanation-note">
+                        <span className="explanation-note-icon">⚠</span>
+                        <p className="explanation-note-text">
+                            <strong>Labels disagree:</strong> the model said {assessment.llmLabel}, but the
+                            evidence supports {assessment.label}. Weigh the sources before acting on it.
+                        </p>
+                    </div>
+                )}
+
+                {!assessment && isNotConfirmed && (
                     <div className="explanation-note">
                         <span className="explanation-note-icon">⚠</span>
                         <p className="explanation-note-text">
@@ -1,12 +1,17 @@
 /**
  * IntelligenceCard Component
- * Hero section displaying narrative, sentiment, and confidence
+ * Hero section displaying narrative, sentiment, and confidence.
+ * With `streaming`, shows the narrative as it arrives and hides the badges.
+ * `sourceSentiment` puts the credibility-weighted article score next to the
+ * LLM's, highlighted when the two disagree.
  */
 
-export default function IntelligenceCard({ analysis }) {
+export default function IntelligenceCard({ analysis, sourceSentiment, streaming = false }) {
     if (!analysis) return null;
 
-    const { narrative, sentiment, confidence } = analysis;
+    const { narrative, sentiment, sentimentScore, confidence } = analysis;
+
+    const formatScore = (score) => `${score > 0 ? '+' : ''}${score.toFixed(2)}`;
 
     const getSentimentClass = (s) => {
         switch (s?.toUpperCase()) {
@@ -32,15 +37,29 @@ export default function IntelligenceCard({ analysis }) {
             </div>
             <div className="card-body">
                 <div className="intelligence-content">
-                    <p className="narrative-text">{narrative}</p>
-                    <div className="intelligence-meta">
-                        <div className={`badge badge-sentiment ${getSentimentClass(sentiment)}`}>
-                            {sentiment || 'NEUTRAL'}
-                        </div>
-                        <div className={`badge badge-confidence ${getConfidenceClass(confidence)}`}>
-                            {confidence || 'EMERGING'}
+                    <p className={`narrative-text ${streaming ? 'streaming' : ''}`}>{narrative}</p>
+                    {!streaming && (
+                        <div className="intelligence-meta">
+                            <div className={`badge badge-sentiment ${getSentimentClass(sentiment)}`}>
+                                {sentiment || 'NEUTRAL'}
+                            </div>
+                            <div className={`badge badge-confidence ${getConfidenceClass(confidence)}`}>
+                                {confidence || 'EMERGING'}
+                            </div>
+                            {sourceSentiment && typeof sentimentScore === 'number' && (
+                                <div
+                                    className={`sentiment-comparison ${sourceSentiment.disagrees ? 'disagrees' : ''}`}
+                                    title={sourceSentiment.disagrees
+                                        ? 'The LLM reading and the article-level scores disagree - check the sources'
+                                        : 'The LLM reading matches the article-level scores'}
+                                >
+                                    <span>LLM {formatScore(sentimentScore)}</span>
+                                    <span>Sources {formatScore(sourceSentiment.score)}</span>
+                                    {sourceSentiment.disagrees && <span className="sentiment-comparison-flag">⚠ Disagree</span>}
+                                </div>
+                            )}
                         </div>
-                    </div>
+                    )}
                 </div>
             </div>
         </div>
@@ -0,0 +1,86 @@
+/**
+ * KeyFiguresTable Component
+ * Typed figures the sources state (revenue, growth rates, price targets, ...)
+ * as a table sortable by any column. Forecasts and estimates are marked so
+ * they are not read as reported results.
+ */
+
+import { useState } from 'react';
+
+const COLUMNS = [
+    { key: 'entity', label: 'Entity' },
+    { key: 'metric', label: 'Metric' },
+    { key: 'value', label: 'Value' },
+    { key: 'period', label: 'Period' },
+    { key: 'source', label: 'Source' }
+];
+
+// Units sort apart so 34% never lands between $25 and $40
+const UNIT_ORDER = ['currency', 'percent', 'bps', 'count'];
+
+function compareFacts(a, b, { key, direction }) {
+    if (key === 'value') {
+        return ((UNIT_ORDER.indexOf(a.unit) - UNIT_ORDER.indexOf(b.unit))
+            || (a.currency || '').localeCompare(b.currency || '')
+            || a.value - b.value) * direction;
+    }
+    // Missing periods sort last either way
+    if (!a[key] || !b[key]) return !a[key] - !b[key];
+    return String(a[key]).localeCompare(String(b[key])) * direction;
+}
+
+export default function KeyFiguresTable({ facts = [] }) {
+    const [sort, setSort] = useState({ key: 'entity', direction: 1 });
+
+    if (!facts.length) return null;
+
+    const sorted = [...facts].sort((a, b) => compareFacts(a, b, sort) || a.metric.localeCompare(b.metric));
+
+    const toggleSort = (key) => setSort(prev => ({
+        key,
+        direction: prev.key === key ? -prev.direction : 1
+    }));
+
+    return (
+        <div className="card full-width">
+            <div className="card-header">
+                <span className="card-title">Key Figures</span>
+                <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                    {facts.length} figure{facts.length !== 1 ? 's' : ''}
+                </span>
+            </div>
+            <div className="card-body" style={{ padding: 0 }}>
+                <table className="sources-table key-figures-table">
+                    <thead>
+                        <tr>
+                            {COLUMNS.map(column => (
+                                <th key={column.key}>
+                                    <button className="key-figures-sort" onClick={() => toggleSort(column.key)}>
+                                        {column.label}
+                                        {sort.key === column.key && (sort.direction === 1 ? ' ▲' : ' ▼')}
+                                    </button>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sorted.map((fact, index) => (
+                            <tr key={`${fact.sourceId}-${index}`}>
+                                <td><span className="source-name">{fact.entity}</span></td>
+                                <td>{fact.metric}</td>
+                                <td title={fact.excerpt}>
+                                    <span className="key-figure-value">{fact.text}</span>
+                                    {fact.basis !== 'reported' && (
+                                        <span className="key-figure-basis">{fact.basis}</span>
+                                    )}
+                                </td>
+                                <td>{fact.period || '-'}</td>
+                                <td>{fact.source}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
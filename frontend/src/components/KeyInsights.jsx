@@ -1,24 +1,53 @@
 /**
  * KeyInsights Component
- * Displays bullet-point insights from analysis
+ * Displays bullet-point insights from analysis, each with the sources it
+ * cites and a flag when the backend could not verify it against them
  */
 
 export default function KeyInsights({ analysis }) {
     if (!analysis?.keyInsights?.length) return null;
 
+    const grounding = analysis.grounding;
+
     return (
         <div className="card">
             <div className="card-header">
                 <span className="card-title">Key Insights</span>
+                {grounding?.ungroundedCount > 0 && (
+                    <span className="insight-flag">
+                        {grounding.ungroundedCount} unverified
+                    </span>
+                )}
             </div>
             <div className="card-body">
                 <div className="insights-list">
-                    {analysis.keyInsights.map((insight, index) => (
-                        <div key={index} className="insight-item">
-                            <span className="insight-bullet">→</span>
-                            <span>{insight}</span>
-                        </div>
-                    ))}
+                    {analysis.keyInsights.map((insight, index) => {
+                        const check = grounding?.insights?.[index];
+
+                        return (
+                            <div
+                                key={index}
+                                className={`insight-item ${check && !check.grounded ? 'ungrounded' : ''}`}
+                            >
+                                <span className="insight-bullet">→</span>
+                                <div className="insight-body">
+                                    <span>{insight}</span>
+                                    {check && (
+                                        <div className="insight-citations">
+                                            {check.citations.map(id => (
+                                                <span key={id} className="citation-chip">{id}</span>
+                                            ))}
+                                            {!check.grounded && (
+                                                <span className="insight-flag" title={check.issues.join('\n')}>
+                                                    ⚠ {check.issues[0]}
+                                                </span>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
                 </div>
             </div>
         </div>
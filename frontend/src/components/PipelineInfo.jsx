@@ -1,18 +1,69 @@
 /**
  * PipelineInfo Component
- * Collapsible panel showing RAG pipeline metadata
+ * Collapsible panel showing RAG pipeline metadata, plus a stage tracker
+ * that lights up live while a streamed analysis is running
  */
 
 import { useState } from 'react';
 
-export default function PipelineInfo({ pipeline, metadata }) {
+// Stages in the order the backend reports them
+const STAGES = [
+    { key: 'retrieve', label: 'Retrieve', detail: d => `${d.count} docs` },
+    { key: 'filter', label: 'Credibility', detail: d => `${d.count} kept` },
+    { key: 'dedupe', label: 'Dedupe', detail: d => `${d.finalSourcesUsed} sources` },
+    { key: 'relevance', label: 'Relevance', detail: d => (d.isRelevant ? 'on-topic' : 'off-topic') },
+    { key: 'analyze', label: 'Analysis', detail: d => d.model || (d.success ? 'done' : 'failed') },
+    { key: 'verify', label: 'Grounding', detail: d => (d.ungroundedInsights ? `${d.ungroundedInsights} ungrounded` : 'grounded') }
+];
+
+function StageTracker({ stages, live }) {
+    const activeIndex = STAGES.findIndex(stage => !stages[stage.key]);
+
+    return (
+        <div className="pipeline-stages">
+            {STAGES.map((stage, index) => {
+                const data = stages[stage.key];
+                const status = data ? 'done' : live && index === activeIndex ? 'active' : 'pending';
+                return (
+                    <div key={stage.key} className={`pipeline-stage ${status}`}>
+                        <span className="pipeline-stage-dot" />
+                        <span className="pipeline-stage-label">{stage.label}</span>
+                        <span className="pipeline-stage-detail">
+                            {data ? stage.detail(data) : status === 'active' ? 'running…' : '—'}
+                        </span>
+                        {data && <span className="pipeline-stage-time">{data.elapsedMs}ms</span>}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+function formatDay(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleDateString() : null;
+}
+
+export default function PipelineInfo({ pipeline, metadata, stages = {}, live = false }) {
     const [expanded, setExpanded] = useState(false);
+    const hasStages = Object.keys(stages).length > 0 || live;
 
-    if (!pipeline) return null;
+    if (!pipeline && !hasStages) return null;
+
+    // While streaming there is no final pipeline yet - show the tracker only
+    if (!pipeline) {
+        return (
+            <div className="card full-width">
+                <div className="card-body">
+                    <StageTracker stages={stages} live={live} />
+                </div>
+            </div>
+        );
+    }
 
     return (
         <div className="card full-width">
             <div className="card-body">
+                {hasStages && <StageTracker stages={stages} live={false} />}
                 <button
                     className="pipeline-toggle"
                     onClick={() => setExpanded(!expanded)}
@@ -45,6 +96,33 @@ export default function PipelineInfo({ pipeline, metadata }) {
                             <span className="pipeline-label">Final Sources Used</span>
                             <span className="pipeline-value">{pipeline.finalSourcesUsed || 0}</span>
                         </div>
+                        {pipeline.timeWindow && (
+                            <div className="pipeline-row">
+                                <span className="pipeline-label">Time Window</span>
+                                <span className="pipeline-value">
+                                    {pipeline.timeWindow.from || pipeline.timeWindow.to
+                                        ? `${formatDay(pipeline.timeWindow.from) || 'Beginning'} → ${formatDay(pipeline.timeWindow.to) || 'Now'}`
+                                        : 'All time'}
+                                    {pipeline.timeWindow.relative && ` (${pipeline.timeWindow.relative})`}
+                                </span>
+                            </div>
+                        )}
+                        {pipeline.timeWindow?.earliestSource && (
+                            <div className="pipeline-row">
+                                <span className="pipeline-label">Sources Dated</span>
+                                <span className="pipeline-value">
+                                    {formatDay(pipeline.timeWindow.earliestSource)} → {formatDay(pipeline.timeWindow.latestSource)}
+                                </span>
+                            </div>
+                        )}
+                        {pipeline.timeWindow && (
+                            <div className="pipeline-row">
+                                <span className="pipeline-label">Recency Half-Life</span>
+                                <span className="pipeline-value">
+                                    {pipeline.timeWindow.halfLifeHours ? `${pipeline.timeWindow.halfLifeHours}h` : 'Off'}
+                                </span>
+                            </div>
+                        )}
                         <div className="pipeline-row">
                             <span className="pipeline-label">Processing Time</span>
                             <span className="pipeline-value">{pipeline.processingTimeMs || 0}ms</span>
@@ -55,11 +133,21 @@ export default function PipelineInfo({ pipeline, metadata }) {
                                 <span className="pipeline-value">{metadata.model}</span>
                             </div>
                         )}
-                        {pipeline.usedMockResponse && (
+                        {metadata?.providerAttempts?.some(a => !a.ok) && (
+                            <div className="pipeline-row">
+                                <span className="pipeline-label">Provider Failovers</span>
+                                <span className="pipeline-value">
+                                    {metadata.providerAttempts.filter(a => !a.ok).map(a => a.provider).join(', ')}
+                                </span>
+                            </div>
+                        )}
+                        {(pipeline.usedMockResponse || pipeline.offlineFallback) && (
                             <div className="pipeline-row">
                                 <span className="pipeline-label">Mode</span>
                                 <span className="pipeline-value" style={{ color: 'var(--accent-yellow)' }}>
-                                    Mock Response (No API Key)
+                                    {pipeline.offlineFallback
+                                        ? 'Offline Analysis (No LLM Available)'
+                                        : 'Offline Analysis (Requested)'}
                                 </span>
                             </div>
                         )}
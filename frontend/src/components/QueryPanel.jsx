@@ -5,13 +5,22 @@
 
 import { useState } from 'react';
 
+// Relative windows understood by the backend ('' = all time)
+const TIME_WINDOWS = [
+    { value: '', label: 'All time' },
+    { value: '24h', label: 'Last 24h' },
+    { value: '7d', label: 'Last 7 days' },
+    { value: '30d', label: 'Last 30 days' }
+];
+
 export default function QueryPanel({ onAnalyze, isLoading }) {
     const [query, setQuery] = useState('');
+    const [timeWindow, setTimeWindow] = useState('');
 
     const handleSubmit = (e) => {
         e.preventDefault();
         if (query.trim() && !isLoading) {
-            onAnalyze(query.trim());
+            onAnalyze(query.trim(), timeWindow ? { window: timeWindow } : {});
         }
     };
 
@@ -34,6 +43,17 @@ export default function QueryPanel({ onAnalyze, isLoading }) {
                         onKeyDown={handleKeyDown}
                         disabled={isLoading}
                     />
+                    <select
+                        className="query-window-select"
+                        value={timeWindow}
+                        onChange={(e) => setTimeWindow(e.target.value)}
+                        disabled={isLoading}
+                        aria-label="Time window"
+                    >
+                        {TIME_WINDOWS.map(w => (
+                            <option key={w.value} value={w.value}>{w.label}</option>
+                        ))}
+                    </select>
                     <button
                         type="submit"
                         className={`query-button ${isLoading ? 'loading' : ''}`}
@@ -1,19 +1,77 @@
 /**
  * SentimentChart Component
- * Line chart showing sentiment score history
+ * Line chart of sentiment scores: the server-side analysis history (for the
+ * current query or across every stored analysis), or the daily article
+ * sentiment of one of the companies behind the current result
  */
 
+import { useState, useEffect } from 'react';
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { getAnalyses, getEntitySentiment } from '../services/api';
+
+const HISTORY_LIMIT = 30;
+const MAX_TICKERS = 3;
+
+function formatTime(iso) {
+    return new Date(iso).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+// Most frequently tagged companies across the result's sources
+function topTickers(sources = []) {
+    const counts = new Map();
+    for (const source of sources) {
+        for (const ticker of source.companies || []) counts.set(ticker, (counts.get(ticker) || 0) + 1);
+    }
+    return [...counts].sort((a, b) => b[1] - a[1]).slice(0, MAX_TICKERS).map(([ticker]) => ticker);
+}
+
+function loadHistory(scope, query) {
+    const filters = { limit: HISTORY_LIMIT, ...(scope === 'query' && query ? { q: query } : {}) };
+    return getAnalyses(filters).then(({ analyses }) => analyses
+        .filter(a => a.sentimentScore != null)
+        .reverse()
+        .map(a => ({ time: formatTime(a.createdAt), label: a.query, score: a.sentimentScore })));
+}
+
+function loadEntitySeries(ticker) {
+    return getEntitySentiment(ticker, { interval: 'day' }).then(({ series }) => series.map(b => ({
+        time: b.bucket,
+        label: `${ticker} · ${b.articleCount} article${b.articleCount !== 1 ? 's' : ''}`,
+        score: b.score
+    })));
+}
+
+export default function SentimentChart({ query, latestId, sources }) {
+    const [scope, setScope] = useState('query');
+    const [history, setHistory] = useState([]);
+
+    const tickers = topTickers(sources);
+    // A ticker scope from a previous result falls back to this query
+    const activeScope = scope === 'query' || scope === 'all' || tickers.includes(scope) ? scope : 'query';
+
+    // Refetch whenever a new analysis has been stored
+    useEffect(() => {
+        let cancelled = false;
+        const load = activeScope === 'query' || activeScope === 'all'
+            ? loadHistory(activeScope, query)
+            : loadEntitySeries(activeScope);
+
+        load
+            .then(points => { if (!cancelled) setHistory(points); })
+            .catch(err => console.error('Sentiment history error:', err));
+
+        return () => { cancelled = true; };
+    }, [activeScope, query, latestId]);
 
-export default function SentimentChart({ history }) {
     // If no history, show placeholder with current data point
-    const data = history && history.length > 0
+    const data = history.length > 0
         ? history
-        : [{ query: 'Current', score: 0 }];
+        : [{ time: 'Current', score: 0 }];
 
     const CustomTooltip = ({ active, payload, label }) => {
         if (active && payload && payload.length) {
             const score = payload[0].value;
+            const point = payload[0].payload;
             const sentiment = score > 0.2 ? 'Positive' : score < -0.2 ? 'Negative' : 'Neutral';
             return (
                 <div style={{
@@ -23,7 +81,8 @@ export default function SentimentChart({ history }) {
                     borderRadius: '4px',
                     fontSize: '0.75rem'
                 }}>
-                    <p style={{ color: 'var(--text-primary)', marginBottom: '4px' }}>{label}</p>
+                    <p style={{ color: 'var(--text-primary)', marginBottom: '4px' }}>{point.label || label}</p>
+                    {point.label && <p style={{ color: 'var(--text-muted)', marginBottom: '4px' }}>{label}</p>}
                     <p style={{ color: 'var(--accent-blue)' }}>
                         Score: {score.toFixed(2)} ({sentiment})
                     </p>
@@ -37,13 +96,37 @@ export default function SentimentChart({ history }) {
         <div className="card">
             <div className="card-header">
                 <span className="card-title">Sentiment Trend</span>
+                <div className="chart-scope">
+                    <button
+                        className={activeScope === 'query' ? 'active' : ''}
+                        onClick={() => setScope('query')}
+                    >
+                        This query
+                    </button>
+                    <button
+                        className={activeScope === 'all' ? 'active' : ''}
+                        onClick={() => setScope('all')}
+                    >
+                        All analyses
+                    </button>
+                    {tickers.map(ticker => (
+                        <button
+                            key={ticker}
+                            className={activeScope === ticker ? 'active' : ''}
+                            onClick={() => setScope(ticker)}
+                            title={`Daily credibility-weighted article sentiment for ${ticker}`}
+                        >
+                            {ticker}
+                        </button>
+                    ))}
+                </div>
             </div>
             <div className="card-body">
                 <div className="chart-container">
                     <ResponsiveContainer width="100%" height="100%">
                         <LineChart data={data} margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
                             <XAxis
-                                dataKey="query"
+                                dataKey="time"
                                 stroke="var(--text-muted)"
                                 fontSize={11}
                                 tickLine={false}
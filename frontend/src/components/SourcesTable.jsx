@@ -1,9 +1,15 @@
 /**
  * SourcesTable Component
- * Displays sources with credibility information
+ * Displays sources with credibility and per-article sentiment.
+ * Articles dropped as near-duplicates are listed in an expandable section
+ * below, each with the kept source it matched and how similar it was.
  */
 
-export default function SourcesTable({ sources }) {
+import { useState } from 'react';
+
+export default function SourcesTable({ sources, duplicates = [] }) {
+    const [showDuplicates, setShowDuplicates] = useState(false);
+
     if (!sources?.length) return null;
 
     const getCredibilityClass = (tier) => {
@@ -15,6 +21,8 @@ export default function SourcesTable({ sources }) {
         }
     };
 
+    const formatScore = (score) => `${score > 0 ? '+' : ''}${score.toFixed(2)}`;
+
     const formatDate = (timestamp) => {
         if (!timestamp) return '-';
         const date = new Date(timestamp);
@@ -41,6 +49,7 @@ export default function SourcesTable({ sources }) {
                             <th>Source</th>
                             <th>Type</th>
                             <th>Credibility</th>
+                            <th>Sentiment</th>
                             <th>Timestamp</th>
                         </tr>
                     </thead>
@@ -56,17 +65,62 @@ export default function SourcesTable({ sources }) {
                                 </td>
                                 <td style={{ textTransform: 'capitalize' }}>
                                     {source.sourceType?.replace('_', ' ') || '-'}
+                                    {source.retrievers?.length > 0 && (
+                                        <>
+                                            <br />
+                                            <span style={{ fontSize: '0.7rem', color: 'var(--text-muted)', textTransform: 'none' }}>
+                                                via {source.retrievers.join(' + ')}
+                                            </span>
+                                        </>
+                                    )}
                                 </td>
                                 <td>
                                     <span className={`credibility-badge ${getCredibilityClass(source.credibility?.tier)}`}>
                                         {source.credibility?.tier || 'UNKNOWN'}
                                     </span>
                                 </td>
+                                <td>
+                                    {source.sentiment ? (
+                                        <span
+                                            className={`source-sentiment ${source.sentiment.label?.toLowerCase()}`}
+                                            title={source.sentiment.drivers?.length
+                                                ? `Driven by: ${source.sentiment.drivers.join(', ')}`
+                                                : 'No sentiment-bearing terms'}
+                                        >
+                                            {formatScore(source.sentiment.score)}
+                                        </span>
+                                    ) : '-'}
+                                </td>
                                 <td>{formatDate(source.timestamp)}</td>
                             </tr>
                         ))}
                     </tbody>
                 </table>
+
+                {duplicates.length > 0 && (
+                    <div className="duplicates-section">
+                        <button className="duplicates-toggle" onClick={() => setShowDuplicates(!showDuplicates)}>
+                            <span>
+                                {duplicates.length} near-duplicate{duplicates.length !== 1 ? 's' : ''} removed
+                            </span>
+                            <span>{showDuplicates ? '▾' : '▸'}</span>
+                        </button>
+                        {showDuplicates && (
+                            <ul className="duplicates-list">
+                                {duplicates.map(duplicate => (
+                                    <li key={duplicate.id}>
+                                        <span className="source-name">{duplicate.source}</span>
+                                        <span className="duplicate-headline">{duplicate.headline}</span>
+                                        <span className="duplicate-match">
+                                            {Math.round(duplicate.similarity * 100)}% similar to {duplicate.duplicateOf.source}:
+                                            {' '}"{duplicate.duplicateOf.headline}"
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,140 @@
+/**
+ * StoryView Component
+ * Related articles grouped into stories (GET /api/stories): each story shows
+ * its representative headline, the outlets that reported it, when it was
+ * first seen and last updated, and the credibility span of its articles.
+ * Expanding a story lists its articles; the headline runs an analysis.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getStories } from '../services/api';
+
+// Background refresh so newly ingested coverage joins its story
+const REFRESH_MS = 60000;
+
+const WINDOWS = [
+    { value: '', label: 'All time' },
+    { value: '24h', label: '24h' },
+    { value: '7d', label: '7 days' },
+    { value: '30d', label: '30 days' }
+];
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+export default function StoryView({ onSelect }) {
+    const [stories, setStories] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [timeWindow, setTimeWindow] = useState('');
+    const [includeSingles, setIncludeSingles] = useState(false);
+    const [expandedId, setExpandedId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const refresh = useCallback(async () => {
+        try {
+            const params = { minArticles: includeSingles ? 1 : 2, limit: 20 };
+            if (timeWindow) params.window = timeWindow;
+            const result = await getStories(params);
+            setStories(result.stories);
+            setTotal(result.total);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [timeWindow, includeSingles]);
+
+    useEffect(() => {
+        refresh();
+        const timer = setInterval(refresh, REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [refresh]);
+
+    return (
+        <div className="card full-width story-view">
+            <div className="card-header">
+                <span className="card-title">Stories</span>
+                <div className="story-controls">
+                    <select value={timeWindow} onChange={(e) => setTimeWindow(e.target.value)}>
+                        {WINDOWS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={includeSingles}
+                            onChange={(e) => setIncludeSingles(e.target.checked)}
+                        />
+                        Single articles
+                    </label>
+                </div>
+            </div>
+            <div className="card-body">
+                {error && <div className="watchlist-error">{error}</div>}
+
+                {!error && stories.length === 0 && (
+                    <p className="story-empty">
+                        {includeSingles ? 'No articles in this window.' : 'No story has more than one article in this window.'}
+                    </p>
+                )}
+
+                {stories.map(story => {
+                    const expanded = expandedId === story.id;
+                    return (
+                        <div key={story.id} className="story">
+                            <div className="story-header">
+                                <button className="story-headline" onClick={() => onSelect?.(story.headline)}>
+                                    {story.headline}
+                                </button>
+                                <span className="story-span" title="Credibility span of the story's articles">
+                                    {story.credibility.min === story.credibility.max
+                                        ? story.credibility.min.toFixed(2)
+                                        : `${story.credibility.min.toFixed(2)}–${story.credibility.max.toFixed(2)}`}
+                                </span>
+                            </div>
+                            <div className="story-meta">
+                                {story.articleCount} article{story.articleCount !== 1 ? 's' : ''}
+                                {' · '}first seen {formatDate(story.firstSeen)}
+                                {story.lastUpdated !== story.firstSeen && ` · updated ${formatDate(story.lastUpdated)}`}
+                            </div>
+                            <div className="story-sources">
+                                {story.sources.map(source => (
+                                    <span key={source.name} className={`credibility-badge ${source.tier.toLowerCase()}`}>
+                                        {source.name}{source.articleCount > 1 && ` ×${source.articleCount}`}
+                                    </span>
+                                ))}
+                                <button className="watchlist-link" onClick={() => setExpandedId(expanded ? null : story.id)}>
+                                    {expanded ? 'Hide articles' : 'Show articles'}
+                                </button>
+                            </div>
+                            {expanded && (
+                                <ul className="story-articles">
+                                    {story.articles.map(article => (
+                                        <li key={article.id}>
+                                            <span className="story-article-time">{formatDate(article.timestamp)}</span>
+                                            <span className="source-name">{article.source}</span>
+                                            {article.url
+                                                ? <a href={article.url} target="_blank" rel="noreferrer">{article.headline}</a>
+                                                : <span>{article.headline}</span>}
+                                            <span className="story-article-score">{article.credibility.score.toFixed(2)}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    );
+                })}
+
+                {total > stories.length && (
+                    <p className="story-empty">Showing {stories.length} of {total} stories.</p>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,183 @@
+/**
+ * WatchlistPanel Component
+ * Saved watchlists with each item's latest scheduled run, plus open alerts.
+ * Clicking an item runs it through the main dashboard.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+    getWatchlists,
+    createWatchlist,
+    deleteWatchlist,
+    runWatchlist,
+    getAlerts,
+    acknowledgeAlert
+} from '../services/api';
+
+// Background refresh so scheduled runs and new alerts show up
+const REFRESH_MS = 60000;
+
+const ALERT_ICONS = {
+    sentiment_shift: '↕',
+    confidence_upgrade: '✓',
+    new_official_source: '★'
+};
+
+export default function WatchlistPanel({ onSelect }) {
+    const [watchlists, setWatchlists] = useState([]);
+    const [alerts, setAlerts] = useState([]);
+    const [name, setName] = useState('');
+    const [items, setItems] = useState('');
+    const [busyId, setBusyId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const refresh = useCallback(async () => {
+        try {
+            const [lists, open] = await Promise.all([getWatchlists(), getAlerts({ unacknowledged: true })]);
+            setWatchlists(lists);
+            setAlerts(open);
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        refresh();
+        const timer = setInterval(refresh, REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [refresh]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const entries = items.split(',').map(i => i.trim()).filter(Boolean);
+        if (!name.trim() || entries.length === 0) return;
+
+        try {
+            await createWatchlist({ name: name.trim(), items: entries });
+            setName('');
+            setItems('');
+            refresh();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleRun = async (id) => {
+        setBusyId(id);
+        try {
+            await runWatchlist(id);
+            await refresh();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await deleteWatchlist(id);
+            refresh();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const handleAcknowledge = async (id) => {
+        try {
+            await acknowledgeAlert(id);
+            setAlerts(prev => prev.filter(a => a.id !== id));
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="card full-width watchlist-panel">
+            <div className="card-header">
+                <span className="card-title">Watchlists</span>
+                {alerts.length > 0 && (
+                    <span className="watchlist-alert-count">{alerts.length} alert{alerts.length !== 1 ? 's' : ''}</span>
+                )}
+            </div>
+            <div className="card-body">
+                {error && <div className="watchlist-error">{error}</div>}
+
+                {alerts.length > 0 && (
+                    <ul className="watchlist-alerts">
+                        {alerts.map(alert => (
+                            <li key={alert.id} className={`watchlist-alert ${alert.type}`}>
+                                <span className="watchlist-alert-icon">{ALERT_ICONS[alert.type] || '!'}</span>
+                                <span className="watchlist-alert-message">{alert.message}</span>
+                                <button className="watchlist-link" onClick={() => handleAcknowledge(alert.id)}>
+                                    Dismiss
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {watchlists.map(watchlist => (
+                    <div key={watchlist.id} className="watchlist">
+                        <div className="watchlist-header">
+                            <span className="watchlist-name">{watchlist.name}</span>
+                            <span className="watchlist-meta">
+                                every {watchlist.intervalMinutes}m
+                                {watchlist.lastRunAt && ` · last run ${new Date(watchlist.lastRunAt).toLocaleTimeString()}`}
+                            </span>
+                            <button
+                                className="watchlist-link"
+                                onClick={() => handleRun(watchlist.id)}
+                                disabled={busyId === watchlist.id}
+                            >
+                                {busyId === watchlist.id ? 'Running…' : 'Run now'}
+                            </button>
+                            <button className="watchlist-link danger" onClick={() => handleDelete(watchlist.id)}>
+                                Delete
+                            </button>
+                        </div>
+                        <div className="watchlist-items">
+                            {watchlist.items.map(item => {
+                                const run = watchlist.latestRuns?.[item.value];
+                                return (
+                                    <button
+                                        key={item.value}
+                                        className="watchlist-item"
+                                        onClick={() => onSelect?.(item.value)}
+                                        title={run?.message || `Analyze ${item.value}`}
+                                    >
+                                        <span className="watchlist-item-value">{item.value}</span>
+                                        {run?.success ? (
+                                            <span className={`watchlist-item-sentiment ${run.sentiment?.toLowerCase()}`}>
+                                                {run.sentimentScore?.toFixed(2)} · {run.confidence}
+                                            </span>
+                                        ) : (
+                                            <span className="watchlist-item-sentiment">{run ? 'no data' : 'not run yet'}</span>
+                                        )}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    </div>
+                ))}
+
+                <form className="watchlist-form" onSubmit={handleCreate}>
+                    <input
+                        type="text"
+                        placeholder="Watchlist name"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                    />
+                    <input
+                        type="text"
+                        placeholder="NVDA, RELIANCE, BTC, Indian car market"
+                        value={items}
+                        onChange={(e) => setItems(e.target.value)}
+                    />
+                    <button type="submit" disabled={!name.trim() || !items.trim()}>Add watchlist</button>
+                </form>
+            </div>
+        </div>
+    );
+}
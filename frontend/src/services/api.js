@@ -19,12 +19,132 @@ export async function analyzeQuery(query, options = {}) {
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
-    throw new Error(error.message || `HTTP error: ${response.status}`);
+    throw new Error(error.message || error.error || `HTTP error: ${response.status}`);
   }
 
   return response.json();
 }
 
+/**
+ * Analyze with live progress over Server-Sent Events.
+ * Uses fetch (not EventSource) so options can travel in a POST body.
+ *
+ * @param {string} query - Market query
+ * @param {Object} options - Same options as analyzeQuery
+ * @param {Object} handlers - { onStage(stage, data), onToken(text), onRestart(), signal }
+ * @returns {Promise<Object>} The final analyze response
+ */
+export async function analyzeQueryStream(query, options = {}, handlers = {}) {
+  const { onStage, onToken, onRestart, signal } = handlers;
+
+  const response = await fetch(`${API_BASE_URL}/api/analyze/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+    },
+    body: JSON.stringify({ query, options }),
+    signal,
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.message || error.error || `HTTP error: ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  const handleEvent = (block) => {
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    if (!event || data === undefined) return;
+    const payload = JSON.parse(data);
+
+    switch (event) {
+      case 'stage': onStage?.(payload.stage, payload); break;
+      case 'token': onToken?.(payload.text); break;
+      case 'restart': onRestart?.(); break;
+      case 'result': {
+        const { status, ...body } = payload;
+        result = body;
+        break;
+      }
+      case 'error':
+        throw new Error(payload.message || payload.error || 'Analysis failed');
+      default:
+        break;
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    blocks.forEach(handleEvent);
+  }
+
+  if (!result) throw new Error('Analysis stream ended without a result');
+  return result;
+}
+
+/**
+ * JSON request helper for the CRUD endpoints
+ */
+async function requestJson(path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const details = data.errors?.length ? `: ${data.errors.join('; ')}` : '';
+    throw new Error(`${data.message || data.error || `HTTP error: ${response.status}`}${details}`);
+  }
+  return data;
+}
+
+/**
+ * Watchlists - persisted queries/tickers re-analyzed on a schedule
+ */
+export const getWatchlists = () => requestJson('/api/watchlists').then(d => d.watchlists);
+export const createWatchlist = (watchlist) =>
+  requestJson('/api/watchlists', { method: 'POST', body: watchlist }).then(d => d.watchlist);
+export const deleteWatchlist = (id) => requestJson(`/api/watchlists/${id}`, { method: 'DELETE' });
+export const runWatchlist = (id) => requestJson(`/api/watchlists/${id}/run`, { method: 'POST' });
+
+/**
+ * Watchlist alerts
+ */
+export const getAlerts = (filters = {}) =>
+  requestJson(`/api/alerts?${new URLSearchParams(filters)}`).then(d => d.alerts);
+export const acknowledgeAlert = (id) =>
+  requestJson(`/api/alerts/${id}/acknowledge`, { method: 'POST' }).then(d => d.alert);
+
+/**
+ * Stored analysis history, newest first - { total, analyses }
+ */
+export const getAnalyses = (filters = {}) => requestJson(`/api/analyses?${new URLSearchParams(filters)}`);
+export const getAnalysis = (id) => requestJson(`/api/analyses/${id}`);
+
+/**
+ * Article sentiment series for a ticker or sector - { overall, series: [{ bucket, score, articleCount, tierMix }] }
+ */
+export const getEntitySentiment = (ticker, params = {}) =>
+  requestJson(`/api/entities/${encodeURIComponent(ticker)}/sentiment?${new URLSearchParams(params)}`);
+
+/**
+ * Related articles clustered into stories - { articleCount, total, stories }
+ */
+export const getStories = (params = {}) => requestJson(`/api/stories?${new URLSearchParams(params)}`);
+
 /**
  * Check backend health status
  */
@@ -40,5 +160,16 @@ export async function checkHealth() {
 
 export default {
   analyzeQuery,
+  analyzeQueryStream,
+  getAnalyses,
+  getAnalysis,
+  getEntitySentiment,
+  getStories,
+  getWatchlists,
+  createWatchlist,
+  deleteWatchlist,
+  runWatchlist,
+  getAlerts,
+  acknowledgeAlert,
   checkHealth,
 };